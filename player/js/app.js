@@ -13,11 +13,13 @@ import { nfc } from './services/NFCService.js';
 // Components
 import './components/PebbblePlayer.js';
 import './components/NfcPrompt.js';
+import './components/QrScanner.js';
 import './components/MagicStoneWelcome.js';
 import './components/DeviceModeSelector.js';
 import './components/PlaylistView.js';
 import './components/PlayerControls.js';
 import './components/ProgressBar.js';
+import './components/CaptionsPanel.js';
 import './components/StoneCanvas.js';
 import './components/TapeCanvas.js';
 import './components/PlaybackModes.js';
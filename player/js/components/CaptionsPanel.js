@@ -0,0 +1,229 @@
+/**
+ * CaptionsPanel - Transcript display synchronized with playback
+ * Timed (WebVTT) transcripts follow the playback position,
+ * plain transcripts are shown in full for the whole track
+ */
+
+import { eventBus, Events } from '../services/EventBus.js';
+import { audio } from '../services/AudioService.js';
+import { t } from '../services/I18nService.js';
+
+class CaptionsPanel extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+
+        this.cues = [];
+        this.plainText = '';
+        this.activeIndex = -1;
+        this.isVisible = localStorage.getItem('pebbble-captions') !== 'off';
+        this.unsubscribers = [];
+    }
+
+    connectedCallback() {
+        // Pick up the transcript of the track that is already loaded
+        const state = audio.getState();
+        this.loadTranscript(state.currentTrack?.transcript);
+
+        this.render();
+        this.setupEventListeners();
+        this.updateActiveCue(state.currentTime);
+    }
+
+    disconnectedCallback() {
+        this.unsubscribers.forEach(unsub => unsub());
+    }
+
+    setupEventListeners() {
+        this.unsubscribers.push(
+            eventBus.on(Events.TRACK_CHANGE, (data) => {
+                this.loadTranscript(data.track?.transcript);
+                this.render();
+            })
+        );
+
+        this.unsubscribers.push(
+            eventBus.on(Events.TIME_UPDATE, (data) => {
+                this.updateActiveCue(data.currentTime);
+            })
+        );
+
+        this.unsubscribers.push(
+            eventBus.on(Events.SEEK, (data) => {
+                this.updateActiveCue(data.time);
+            })
+        );
+    }
+
+    /**
+     * Load a transcript for the current track
+     * @param {string} text - Plain text or WebVTT
+     */
+    loadTranscript(text) {
+        const trimmed = text?.trim() || '';
+        this.activeIndex = -1;
+
+        if (trimmed.startsWith('WEBVTT')) {
+            this.cues = this.parseVtt(trimmed);
+            this.plainText = '';
+        } else {
+            this.cues = [];
+            this.plainText = trimmed;
+        }
+    }
+
+    /**
+     * Parse WebVTT cues
+     * @param {string} text - WebVTT document
+     * @returns {Array} Cues sorted by start time: { start, end, text }
+     */
+    parseVtt(text) {
+        const cues = [];
+        const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/).slice(1);
+
+        for (const block of blocks) {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1) continue;
+
+            const [startText, endText] = lines[timingIndex].split('-->');
+            const start = this.parseTimestamp(startText);
+            const end = this.parseTimestamp(endText.trim().split(/\s+/)[0]);
+            if (start === null || end === null) continue;
+
+            cues.push({
+                start,
+                end,
+                text: lines.slice(timingIndex + 1).join('\n').trim()
+            });
+        }
+
+        return cues.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Parse a WebVTT timestamp ("01:02.500" or "01:02:03.250")
+     * @param {string} value
+     * @returns {number|null} Seconds
+     */
+    parseTimestamp(value) {
+        const match = /^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/.exec(value.trim());
+        if (!match) return null;
+
+        const [, hours = '0', minutes, seconds, millis] = match;
+        return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+    }
+
+    /**
+     * Highlight the cue at the given playback position
+     * @param {number} time - Seconds
+     */
+    updateActiveCue(time) {
+        if (this.cues.length === 0) return;
+
+        const index = this.cues.findIndex(cue => time >= cue.start && time < cue.end);
+        if (index === this.activeIndex) return;
+
+        this.activeIndex = index;
+
+        const cueEl = this.shadowRoot.getElementById('cue-text');
+        if (cueEl) {
+            cueEl.textContent = index >= 0 ? this.cues[index].text : '';
+        }
+    }
+
+    toggleVisibility() {
+        this.isVisible = !this.isVisible;
+        localStorage.setItem('pebbble-captions', this.isVisible ? 'on' : 'off');
+        this.render();
+    }
+
+    render() {
+        const hasTranscript = this.cues.length > 0 || this.plainText;
+        this.hidden = !hasTranscript;
+
+        if (!hasTranscript) {
+            this.shadowRoot.innerHTML = '';
+            return;
+        }
+
+        const activeText = this.activeIndex >= 0 ? this.cues[this.activeIndex].text : '';
+
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host {
+                    display: block;
+                    padding: 0.25rem 0 0.5rem;
+                    flex-shrink: 0;
+                }
+
+                :host([hidden]) {
+                    display: none;
+                }
+
+                .toggle {
+                    display: block;
+                    margin: 0 auto 0.5rem;
+                    padding: 0.25rem 0.75rem;
+                    font-size: 0.7rem;
+                    font-weight: 600;
+                    letter-spacing: 0.05em;
+                    text-transform: uppercase;
+                    color: var(--color-text-muted, #666);
+                    background: transparent;
+                    border: 1px solid var(--color-surface, #333);
+                    border-radius: 50px;
+                    cursor: pointer;
+                }
+
+                .toggle:hover {
+                    color: var(--color-text-primary, #fff);
+                    border-color: var(--color-accent, #FF4D00);
+                }
+
+                .captions {
+                    min-height: 3.5rem;
+                    max-height: 8rem;
+                    overflow-y: auto;
+                    padding: 0.75rem 1rem;
+                    background: var(--color-bg-elevated, #242424);
+                    border-radius: 12px;
+                    text-align: center;
+                    font-size: 1.1rem;
+                    line-height: 1.5;
+                    color: var(--color-text-primary, #fff);
+                    white-space: pre-line;
+                }
+
+                .captions--plain {
+                    text-align: left;
+                    font-size: 0.95rem;
+                    color: var(--color-text-secondary, #a0a0a0);
+                }
+            </style>
+
+            <button class="toggle" id="captions-toggle" aria-pressed="${this.isVisible}">
+                CC · ${this.isVisible ? t('captions.hide') : t('captions.show')}
+            </button>
+
+            ${this.isVisible ? (this.cues.length > 0 ? `
+                <div class="captions" id="cue-text" aria-live="polite">${this.escapeHtml(activeText)}</div>
+            ` : `
+                <div class="captions captions--plain">${this.escapeHtml(this.plainText)}</div>
+            `) : ''}
+        `;
+
+        this.shadowRoot.getElementById('captions-toggle')
+            ?.addEventListener('click', () => this.toggleVisibility());
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+customElements.define('captions-panel', CaptionsPanel);
+
+export default CaptionsPanel;
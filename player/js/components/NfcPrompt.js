@@ -132,10 +132,9 @@ class NfcPrompt extends HTMLElement {
     }
 
     render() {
-        // Check if we have a playlistHash from URL (launched via NFC)
-        const hash = window.location.hash.slice(1);
-        const params = new URLSearchParams(hash);
-        const hasPlaylistHash = params.has('playlistHash');
+        // Check if we have a playlistHash from URL (launched via NFC), in any tag URL format
+        const parsed = nfc.parseTagUrl(window.location.href);
+        const hasPlaylistHash = !!(parsed?.playlistHash || parsed?.pointer);
 
         this.shadowRoot.innerHTML = `
             <style>
@@ -306,6 +305,8 @@ class NfcPrompt extends HTMLElement {
                 `}
 
                 <div class="error-message" id="error-message"></div>
+
+                <qr-scanner></qr-scanner>
             </div>
 
             ${!this.isScanning ? `
@@ -4,6 +4,7 @@
 
 import { eventBus, Events } from '../services/EventBus.js';
 import { storage } from '../services/StorageService.js';
+import { ipfs } from '../services/IPFSService.js';
 import { t } from '../services/I18nService.js';
 
 class OfflineLibrary extends HTMLElement {
@@ -11,6 +12,7 @@ class OfflineLibrary extends HTMLElement {
         super();
         this.attachShadow({ mode: 'open' });
         this.playlists = [];
+        this.updatedIds = new Set();
         this.unsubscribers = [];
     }
 
@@ -18,12 +20,14 @@ class OfflineLibrary extends HTMLElement {
         // Try to load playlists immediately (storage might be ready)
         await this.loadPlaylists();
         this.render();
+        this.checkForUpdates();
 
         // Also listen for storage ready event in case it wasn't ready yet
         this.unsubscribers.push(
             eventBus.on(Events.STORAGE_READY, async () => {
                 await this.loadPlaylists();
                 this.render();
+                this.checkForUpdates();
             })
         );
 
@@ -43,6 +47,30 @@ class OfflineLibrary extends HTMLElement {
         this.playlists = await storage.getAllPlaylists();
     }
 
+    /**
+     * Resolve the pointer of each updatable pebbble and flag the ones
+     * that were republished since they were cached
+     */
+    async checkForUpdates() {
+        if (!navigator.onLine) return;
+
+        const updatable = this.playlists.filter(playlist => playlist.pointer);
+        for (const playlist of updatable) {
+            try {
+                const resolved = await ipfs.resolvePointer(playlist.pointer);
+                if (resolved.manifestHash !== playlist.manifestHash) {
+                    this.updatedIds.add(playlist.id);
+                }
+            } catch (error) {
+                console.warn('OfflineLibrary: Could not check for updates', playlist.id, error.message);
+            }
+        }
+
+        if (this.updatedIds.size > 0) {
+            this.render();
+        }
+    }
+
     formatDate(timestamp) {
         if (!timestamp) return '';
         const date = new Date(timestamp);
@@ -55,8 +83,9 @@ class OfflineLibrary extends HTMLElement {
     handlePlaylistClick(playlist) {
         // Emit event with playlist data to load it
         eventBus.emit(Events.OFFLINE_PLAYLIST_SELECT, {
-            playlistHash: playlist.id,
-            serial: playlist.serial
+            playlistHash: playlist.manifestHash || playlist.id,
+            serial: playlist.serial,
+            pointer: playlist.pointer
         });
     }
 
@@ -159,6 +188,17 @@ class OfflineLibrary extends HTMLElement {
                     align-items: center;
                 }
 
+                .update-badge {
+                    display: inline-block;
+                    margin-left: 0.5rem;
+                    padding: 0.1rem 0.5rem;
+                    border-radius: 999px;
+                    background: var(--color-accent, #FF4D00);
+                    color: #fff;
+                    font-size: 0.7rem;
+                    font-weight: 600;
+                }
+
                 .delete-btn {
                     width: 36px;
                     height: 36px;
@@ -224,7 +264,10 @@ class OfflineLibrary extends HTMLElement {
             <div class="playlist-item">
                 <div class="playlist-icon">🪨</div>
                 <div class="playlist-info">
-                    <div class="playlist-name">Pebbble</div>
+                    <div class="playlist-name">
+                        Pebbble
+                        ${this.updatedIds.has(playlist.id) ? `<span class="update-badge">${t('storage.updateAvailable')}</span>` : ''}
+                    </div>
                     <div class="playlist-meta">
                         ${trackCount} ${trackCount === 1 ? 'track' : 'tracks'}
                         ${lastPlayed ? ` · ${lastPlayed}` : ''}
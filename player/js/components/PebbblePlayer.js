@@ -7,6 +7,7 @@ import { eventBus, Events } from '../services/EventBus.js';
 import { i18n, t } from '../services/I18nService.js';
 import { storage } from '../services/StorageService.js';
 import { nfc } from '../services/NFCService.js';
+import { urlFormats } from '../services/UrlFormatRegistry.js';
 import { ipfs } from '../services/IPFSService.js';
 import { cryptoService } from '../services/CryptoService.js';
 import { audio } from '../services/AudioService.js';
@@ -19,7 +20,8 @@ const Screen = {
     DEVICE_MODE: 'device_mode',
     LOADING: 'loading',
     PLAYER: 'player',
-    ERROR: 'error'
+    ERROR: 'error',
+    UPDATE_REQUIRED: 'update_required'
 };
 
 class PebbblePlayer extends HTMLElement {
@@ -84,38 +86,46 @@ class PebbblePlayer extends HTMLElement {
     }
 
     /**
-     * Check for URL parameters
+     * Check for URL parameters, in any format of the URL registry
      * - Debug mode: #playlistHash=Qm...&serial=04:2D:B7:1A:E7:1C:90
-     * - NFC launch: #playlistHash=Qm... (need to scan for serial)
-     * @returns {boolean} true if URL was fully handled (debug mode), false otherwise
+     * - QR code opened by the camera app: #playlistHash=Qm...&serial=042DB71AE71C90
+     * - NFC launch: #playlistHash=Qm... or #1.Qm... (need to scan for serial)
+     * - Updatable pebbble: #pointer=k51... instead of #playlistHash
+     * @returns {boolean} true if URL was fully handled (serial known or update needed), false otherwise
      */
     checkUrlParams() {
-        const hash = window.location.hash.slice(1);
-        if (!hash) return false;
+        const parsed = nfc.parseTagUrl(window.location.href);
+        if (!parsed) return false;
 
-        const params = new URLSearchParams(hash);
-        const playlistHash = params.get('playlistHash');
-        const serial = params.get('serial');
+        if (!parsed.supported) {
+            this.showUpdateRequired(parsed);
+            return true;
+        }
+
+        const { playlistHash, pointer, params } = parsed;
+        const serial = nfc.formatSerial(params.get('serial'));
+
+        if (serial) {
+            // The serial unlocks the pebbble, keep it out of history and shared links
+            const url = urlFormats.withoutSerial(window.location.href);
+            history.replaceState(null, '', url);
 
-        if (playlistHash && serial) {
-            // Debug mode: both params provided
-            console.log('🧪 Debug mode: Using URL parameters');
-            console.log(`   Playlist: ${playlistHash}`);
+            // Serial in the URL: debug links and QR codes opened by the camera app
+            console.log(`🧪 Using URL parameters (${parsed.format} format)`);
+            console.log(`   Playlist: ${playlistHash || pointer}`);
             console.log(`   Serial: ${serial}`);
 
-            this.handleNfcRead({
-                serial,
-                url: `https://play.pebbble.app/#playlistHash=${playlistHash}`
-            });
+            this.handleNfcRead({ serial, url });
             return true; // URL fully handled
-        } else if (playlistHash) {
-            // App launched via NFC tag - we have the hash but need to scan for serial
-            console.log('📱 Launched via NFC URL, need to scan for serial');
-            console.log(`   Playlist: ${playlistHash}`);
-
-            // Store the playlistHash for later use when we get the serial
-            this.pendingPlaylistHash = playlistHash;
         }
+
+        // App launched via NFC tag - we have the hash but need to scan for serial
+        console.log(`📱 Launched via NFC URL (${parsed.format} format), need to scan for serial`);
+        console.log(`   Playlist: ${playlistHash || pointer}`);
+
+        // Store the playlistHash/pointer for later use when we get the serial
+        this.pendingPlaylistHash = playlistHash;
+        this.pendingPointer = pointer;
         return false; // Still need to show NFC prompt or cached content
     }
 
@@ -187,29 +197,41 @@ class PebbblePlayer extends HTMLElement {
 
     async handleNfcRead(data) {
         const { serial, url } = data;
+        const parsed = nfc.parseTagUrl(url);
+
+        // Written by a newer writer: a decryption error would blame the stone
+        if (parsed && !parsed.supported) {
+            this.showUpdateRequired(parsed);
+            return;
+        }
 
         if (!serial) {
             this.showError(t('nfc.error'));
             return;
         }
 
-        // Use pending playlistHash from URL if available, otherwise parse from NFC URL
-        let playlistHash = this.pendingPlaylistHash;
-        if (!playlistHash && url) {
-            playlistHash = nfc.parsePlaylistHash(url);
+        // The scanned URL belongs to the serial it came with. Fall back to the
+        // playlistHash/pointer the app was launched with for tags without a URL.
+        let playlistHash = parsed?.playlistHash || null;
+        let pointer = parsed?.pointer || null;
+        if (!playlistHash && !pointer) {
+            playlistHash = this.pendingPlaylistHash;
+            pointer = this.pendingPointer;
         }
 
-        if (!playlistHash) {
+        if (!playlistHash && !pointer) {
             this.showError(t('errors.decryptionFailed'));
             return;
         }
 
         // Clear pending hash
         this.pendingPlaylistHash = null;
+        this.pendingPointer = null;
 
-        // Store NFC data
+        // Store NFC data. Updatable pebbbles are cached under their pointer,
+        // the manifest hash is only known once the pointer is resolved.
         this.updateState({
-            nfcData: { serial, url, playlistHash },
+            nfcData: { serial, url, playlistHash, pointer, playlistId: pointer || playlistHash },
             screen: Screen.WELCOME
         });
 
@@ -235,14 +257,18 @@ class PebbblePlayer extends HTMLElement {
      * Handle selection of an offline/cached playlist
      */
     handleOfflinePlaylistSelect(data) {
-        const { playlistHash, serial } = data;
+        const { playlistHash, serial, pointer } = data;
 
         // Set up nfcData as if we scanned the tag
         this.updateState({
             nfcData: {
                 serial,
                 playlistHash,
-                url: `https://play.pebbble.app/#playlistHash=${playlistHash}`
+                pointer,
+                playlistId: pointer || playlistHash,
+                url: pointer
+                    ? `https://play.pebbble.app/#pointer=${pointer}`
+                    : `https://play.pebbble.app/#playlistHash=${playlistHash}`
             }
         });
 
@@ -269,10 +295,17 @@ class PebbblePlayer extends HTMLElement {
 
         try {
             // Check if playlist is cached
-            const cachedPlaylist = await storage.getPlaylist(nfcData.playlistHash);
-            const cachedAudio = await storage.getPlaylistAudio(nfcData.playlistHash);
+            const cachedPlaylist = await storage.getPlaylist(nfcData.playlistId);
+            const cachedAudio = await storage.getPlaylistAudio(nfcData.playlistId);
+
+            if (nfcData.pointer) {
+                await this.resolvePointer(cachedPlaylist);
+            }
 
-            if (cachedPlaylist && cachedAudio.length > 0) {
+            const cacheIsCurrent = cachedPlaylist?.manifestHash === undefined
+                || cachedPlaylist.manifestHash === this.state.nfcData.playlistHash;
+
+            if (cachedPlaylist && cachedAudio.length > 0 && cacheIsCurrent) {
                 console.log('💾 Loading from cache...');
                 await this.loadFromCache(cachedPlaylist, cachedAudio);
             } else {
@@ -295,6 +328,30 @@ class PebbblePlayer extends HTMLElement {
         }
     }
 
+    /**
+     * Resolve an updatable pebbble's pointer to its current manifest.
+     * Offline, falls back to the version that was cached last.
+     * @param {Object|null} cachedPlaylist - Cached playlist record, if any
+     */
+    async resolvePointer(cachedPlaylist) {
+        const { nfcData } = this.state;
+
+        try {
+            const resolved = await ipfs.resolvePointer(nfcData.pointer);
+            console.log(`🔗 Pointer resolved to revision ${resolved.revision}:`, resolved.manifestHash);
+            this.updateState({
+                nfcData: { ...nfcData, playlistHash: resolved.manifestHash, revision: resolved.revision }
+            });
+        } catch (error) {
+            if (!cachedPlaylist) throw error;
+
+            console.warn('Could not resolve pointer, using cached version:', error.message);
+            this.updateState({
+                nfcData: { ...nfcData, playlistHash: cachedPlaylist.manifestHash, revision: cachedPlaylist.revision }
+            });
+        }
+    }
+
     /**
      * Load playlist from IndexedDB cache
      */
@@ -325,8 +382,10 @@ class PebbblePlayer extends HTMLElement {
                 title: audioRecord.title || `Message ${tracks.length + 1}`,
                 audioUrl,
                 duration: audioRecord.duration || await this.getAudioDuration(audioUrl),
+                transcript: audioRecord.transcript || '',
                 availableFrom: messageInfo.availableFrom,
                 availableTo: messageInfo.availableTo,
+                gainDb: messageInfo.gainDb || 0,
                 timestamp: audioRecord.timestamp
             };
 
@@ -356,7 +415,7 @@ class PebbblePlayer extends HTMLElement {
         this.updateNowPlayingTitle();
 
         // Update last played timestamp
-        await storage.updateLastPlayed(this.state.nfcData.playlistHash);
+        await storage.updateLastPlayed(this.state.nfcData.playlistId);
 
         console.log('📊 Loaded from cache:', tracks.length, 'tracks');
 
@@ -401,7 +460,8 @@ class PebbblePlayer extends HTMLElement {
                     ...pkg,
                     messageId: message.messageId,
                     availableFrom: message.availableFrom,
-                    availableTo: message.availableTo
+                    availableTo: message.availableTo,
+                    gainDb: message.gainDb || 0
                 };
 
                 console.log('🔐 Processing:', fullPkg.messageId);
@@ -410,14 +470,17 @@ class PebbblePlayer extends HTMLElement {
                 const audioBlob = await cryptoService.decryptAudioPackage(fullPkg, nfcData.serial);
                 const audioUrl = URL.createObjectURL(audioBlob);
                 const duration = await this.getAudioDuration(audioUrl);
+                const transcript = await this.decryptTranscript(fullPkg, nfcData.serial);
 
                 const track = {
                     id: fullPkg.messageId,
                     title: fullPkg.metadata?.title || `Message ${tracks.length + 1}`,
                     audioUrl,
                     duration,
+                    transcript,
                     availableFrom: fullPkg.availableFrom,
                     availableTo: fullPkg.availableTo,
+                    gainDb: fullPkg.gainDb,
                     timestamp: fullPkg.timestamp
                 };
 
@@ -445,9 +508,10 @@ class PebbblePlayer extends HTMLElement {
 
                 // Save to storage if in personal mode
                 if (storage.isAvailable()) {
-                    await storage.saveAudio(fullPkg.messageId, nfcData.playlistHash, audioBlob, {
+                    await storage.saveAudio(fullPkg.messageId, nfcData.playlistId, audioBlob, {
                         title: fullPkg.metadata?.title,
-                        duration
+                        duration,
+                        transcript
                     });
                 }
 
@@ -460,7 +524,29 @@ class PebbblePlayer extends HTMLElement {
 
         // Save playlist metadata
         if (storage.isAvailable()) {
-            await storage.savePlaylist(nfcData.playlistHash, nfcData.serial, manifest);
+            await storage.savePlaylist(nfcData.playlistId, nfcData.serial, manifest, {
+                manifestHash: nfcData.playlistHash,
+                pointer: nfcData.pointer,
+                revision: nfcData.revision
+            });
+
+            // A newer version of an updatable pebbble may have dropped clips
+            if (nfcData.pointer) {
+                await storage.pruneAudio(nfcData.playlistId, messages.map(m => m.messageId));
+            }
+        }
+    }
+
+    /**
+     * Decrypt a message transcript, if any
+     * A broken transcript should never block playback of the audio itself
+     */
+    async decryptTranscript(pkg, serial) {
+        try {
+            return await cryptoService.decryptTranscript(pkg, serial);
+        } catch (error) {
+            console.warn('Could not decrypt transcript:', pkg.messageId, error);
+            return '';
         }
     }
 
@@ -476,6 +562,40 @@ class PebbblePlayer extends HTMLElement {
         });
     }
 
+    /**
+     * @param {Object} parsed - Unsupported result of the URL registry
+     */
+    showUpdateRequired(parsed) {
+        console.warn(`Tag URL version ${parsed.version} (${parsed.format}) needs a newer player`);
+        this.updateState({
+            screen: Screen.UPDATE_REQUIRED,
+            requiredVersion: parsed.version
+        });
+        this.render();
+    }
+
+    /**
+     * Fetch the latest app through the service worker, then reload
+     */
+    async updateApp() {
+        try {
+            const registration = await navigator.serviceWorker?.getRegistration();
+            await registration?.update();
+            const worker = registration?.installing || registration?.waiting;
+            if (worker) {
+                await new Promise((resolve) => {
+                    worker.addEventListener('statechange', () => {
+                        if (worker.state === 'activated') resolve();
+                    });
+                    setTimeout(resolve, 5000);
+                });
+            }
+        } catch (error) {
+            console.warn('Could not check for an app update:', error);
+        }
+        window.location.reload();
+    }
+
     showError(message) {
         this.updateState({
             screen: Screen.ERROR,
@@ -619,8 +739,14 @@ class PebbblePlayer extends HTMLElement {
                 <div class="screen ${screen === Screen.ERROR ? 'active' : ''}" id="screen-error">
                     ${this.renderError()}
                 </div>
+
+                <div class="screen ${screen === Screen.UPDATE_REQUIRED ? 'active' : ''}" id="screen-update">
+                    ${this.renderUpdateRequired()}
+                </div>
             </div>
         `;
+
+        this.shadowRoot.getElementById('update-btn')?.addEventListener('click', () => this.updateApp());
     }
 
     renderLoading() {
@@ -668,6 +794,8 @@ class PebbblePlayer extends HTMLElement {
 
                 <progress-bar></progress-bar>
 
+                <captions-panel></captions-panel>
+
                 <div class="transport-row">
                     <playback-modes></playback-modes>
                     <player-controls></player-controls>
@@ -708,6 +836,36 @@ class PebbblePlayer extends HTMLElement {
             </div>
         `;
     }
+
+    renderUpdateRequired() {
+        return `
+            <div class="error-screen" style="
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                flex: 1;
+                text-align: center;
+                padding: 2rem;
+            ">
+                <div style="
+                    font-size: 4rem;
+                    margin-bottom: 1rem;
+                ">✨</div>
+                <h2 style="
+                    color: var(--color-text-primary);
+                    margin-bottom: 0.5rem;
+                ">${t('update.title')}</h2>
+                <p style="
+                    color: var(--color-text-secondary);
+                    margin-bottom: 2rem;
+                ">${t('update.message')}</p>
+                <button class="btn btn--primary" id="update-btn">
+                    ${t('update.button')}
+                </button>
+            </div>
+        `;
+    }
 }
 
 customElements.define('pebbble-player', PebbblePlayer);
@@ -0,0 +1,234 @@
+/**
+ * QrScanner - Camera and photo QR scanning for devices without Web NFC
+ * A scanned Pebbble code is emitted as NFC_TAG_READ, so the app flow is the same as a tag tap
+ */
+
+import { eventBus, Events } from '../services/EventBus.js';
+import { t } from '../services/I18nService.js';
+import { qrScanner } from '../services/QRScannerService.js';
+
+class QrScanner extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.isOpen = false;
+        this.unsubscribers = [];
+        this.handleScanRequest = () => this.openCamera();
+    }
+
+    connectedCallback() {
+        this.render();
+
+        // The plain HTML start screen asks for the camera through a window event
+        window.addEventListener('pebbble-qr-requested', this.handleScanRequest);
+
+        this.unsubscribers.push(
+            eventBus.on(Events.LANGUAGE_CHANGE, () => {
+                if (!this.isOpen) this.render();
+            })
+        );
+    }
+
+    disconnectedCallback() {
+        window.removeEventListener('pebbble-qr-requested', this.handleScanRequest);
+        this.unsubscribers.forEach(unsub => unsub());
+        qrScanner.stop();
+    }
+
+    setupEventListeners() {
+        this.shadowRoot.getElementById('camera-btn')?.addEventListener('click', () => this.openCamera());
+        this.shadowRoot.getElementById('cancel-btn')?.addEventListener('click', () => this.closeCamera());
+
+        const fileInput = this.shadowRoot.getElementById('photo-input');
+        this.shadowRoot.getElementById('photo-btn')?.addEventListener('click', () => fileInput.click());
+        fileInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.scanPhoto(file);
+        });
+    }
+
+    async openCamera() {
+        if (this.isOpen) return;
+        this.showError('');
+
+        if (!qrScanner.isCameraSupported()) {
+            this.showError(t('qr.noCamera'));
+            return;
+        }
+
+        this.isOpen = true;
+        this.shadowRoot.getElementById('camera-overlay').classList.add('open');
+        this.setHint(t('qr.cameraHint'));
+
+        try {
+            await qrScanner.startCamera(
+                this.shadowRoot.getElementById('camera-video'),
+                (text) => this.handleCode(text)
+            );
+        } catch (error) {
+            console.error('QrScanner: Camera failed', error);
+            this.closeCamera();
+            this.showError(error.name === 'NotAllowedError' ? t('qr.cameraDenied') : t('qr.noCamera'));
+        }
+    }
+
+    closeCamera() {
+        qrScanner.stop();
+        this.isOpen = false;
+        const video = this.shadowRoot.getElementById('camera-video');
+        if (video) video.srcObject = null;
+        this.shadowRoot.getElementById('camera-overlay')?.classList.remove('open');
+    }
+
+    async scanPhoto(file) {
+        this.showError('');
+        try {
+            const text = await qrScanner.decodeImage(file);
+            if (!text) {
+                this.showError(t('qr.notFound'));
+                return;
+            }
+            if (!this.handleCode(text)) {
+                this.showError(t('qr.notPebbble'));
+            }
+        } catch (error) {
+            console.error('QrScanner: Could not read photo', error);
+            this.showError(t('qr.notFound'));
+        }
+    }
+
+    /**
+     * @param {string} text - Decoded QR content
+     * @returns {boolean} true if it was a Pebbble code
+     */
+    handleCode(text) {
+        const payload = qrScanner.parsePayload(text);
+        if (!payload) {
+            // Keep the camera open, another code may be in view
+            this.setHint(t('qr.notPebbble'));
+            return false;
+        }
+
+        this.closeCamera();
+        eventBus.emit(Events.NFC_TAG_READ, {
+            serial: payload.serial,
+            url: payload.url,
+            source: 'qr'
+        });
+        return true;
+    }
+
+    setHint(message) {
+        const hintEl = this.shadowRoot.getElementById('camera-hint');
+        if (hintEl) hintEl.textContent = message;
+    }
+
+    showError(message) {
+        const errorEl = this.shadowRoot.getElementById('qr-error');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.style.display = message ? 'block' : 'none';
+        }
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host {
+                    display: block;
+                    margin-top: 1.5rem;
+                }
+
+                .actions {
+                    display: flex;
+                    gap: 0.5rem;
+                    justify-content: center;
+                    flex-wrap: wrap;
+                }
+
+                button {
+                    padding: 0.6rem 1.2rem;
+                    font-size: 0.9rem;
+                    font-weight: 600;
+                    color: var(--color-text-primary, #fff);
+                    background: var(--color-bg-elevated, #242424);
+                    border: 1px solid var(--color-surface, #333);
+                    border-radius: 50px;
+                    cursor: pointer;
+                }
+
+                input[type="file"] {
+                    display: none;
+                }
+
+                .error-message {
+                    display: none;
+                    margin-top: 1rem;
+                    font-size: 0.85rem;
+                    color: var(--color-error, #ef4444);
+                }
+
+                .camera-overlay {
+                    display: none;
+                    position: fixed;
+                    inset: 0;
+                    z-index: 100;
+                    flex-direction: column;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 1rem;
+                    padding: 1.5rem;
+                    background: rgba(0, 0, 0, 0.92);
+                }
+
+                .camera-overlay.open {
+                    display: flex;
+                }
+
+                .viewfinder {
+                    position: relative;
+                    width: min(80vw, 320px);
+                    aspect-ratio: 1;
+                    border-radius: 16px;
+                    overflow: hidden;
+                    border: 2px solid var(--color-accent, #FF4D00);
+                }
+
+                video {
+                    width: 100%;
+                    height: 100%;
+                    object-fit: cover;
+                }
+
+                .camera-hint {
+                    max-width: 280px;
+                    text-align: center;
+                    font-size: 0.9rem;
+                    color: var(--color-text-secondary, #a0a0a0);
+                }
+            </style>
+
+            <div class="actions">
+                <button id="camera-btn">📷 ${t('qr.scanButton')}</button>
+                <button id="photo-btn">🖼️ ${t('qr.photoButton')}</button>
+                <input type="file" id="photo-input" accept="image/*">
+            </div>
+            <div class="error-message" id="qr-error"></div>
+
+            <div class="camera-overlay" id="camera-overlay">
+                <div class="viewfinder">
+                    <video id="camera-video" playsinline muted></video>
+                </div>
+                <p class="camera-hint" id="camera-hint"></p>
+                <button id="cancel-btn">${t('qr.cancel')}</button>
+            </div>
+        `;
+
+        this.setupEventListeners();
+    }
+}
+
+customElements.define('qr-scanner', QrScanner);
+
+export default QrScanner;
@@ -20,6 +20,10 @@ class AudioService {
         this.isPlaying = false;
         this.wakeLock = null;
 
+        // Web Audio graph for per-track loudness gain, built on first use
+        this.audioContext = null;
+        this.gainNode = null;
+
         // Bind methods for event listeners
         this.handleTimeUpdate = this.handleTimeUpdate.bind(this);
         this.handleEnded = this.handleEnded.bind(this);
@@ -126,6 +130,7 @@ class AudioService {
             };
             this.audio.addEventListener('canplay', onCanPlay);
 
+            this.applyTrackGain(track);
             this.audio.src = track.audioUrl;
             this.audio.load();
 
@@ -139,6 +144,28 @@ class AudioService {
         });
     }
 
+    /**
+     * Apply a track's loudness gain (dB, from the manifest) through a GainNode.
+     * Playlists without gains never route the element through Web Audio.
+     * @param {Object} track - { gainDb, ... }
+     */
+    applyTrackGain(track) {
+        const gainDb = track.gainDb || 0;
+        if (!this.gainNode && gainDb === 0) return;
+
+        if (!this.gainNode) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+
+            this.audioContext = new AudioContextClass();
+            const source = this.audioContext.createMediaElementSource(this.audio);
+            this.gainNode = this.audioContext.createGain();
+            source.connect(this.gainNode).connect(this.audioContext.destination);
+        }
+
+        this.gainNode.gain.value = Math.pow(10, gainDb / 20);
+    }
+
     /**
      * Play current track
      */
@@ -146,6 +173,10 @@ class AudioService {
         if (!this.audio.src) return;
 
         try {
+            // Contexts start suspended until a user gesture
+            if (this.audioContext?.state === 'suspended') {
+                await this.audioContext.resume();
+            }
             await this.audio.play();
         } catch (error) {
             console.error('AudioService: Play failed', error);
@@ -124,7 +124,7 @@ class CryptoService {
 
     /**
      * Decrypt an audio message from a package
-     * @param {Object} encryptedPackage - { encryptedAudio, timestamp, ... }
+     * @param {Object} encryptedPackage - { encryptedAudio, timestamp, metadata: { mimeType }, ... }
      * @param {string} serial - NFC tag serial
      * @returns {Promise<Blob>} Decrypted audio blob
      */
@@ -136,8 +136,8 @@ class CryptoService {
         const encryptedBytes = this.base64ToBytes(encryptedPackage.encryptedAudio);
         const decryptedAudio = await this.decryptBinary(encryptedBytes, key);
 
-        // Create blob (assuming webm format, adjust if needed)
-        return new Blob([decryptedAudio], { type: 'audio/webm' });
+        // The writer records the transcoded type; packages from before that were webm
+        return new Blob([decryptedAudio], { type: encryptedPackage.metadata?.mimeType || 'audio/webm' });
     }
 
     /**
@@ -165,7 +165,12 @@ class DateLockService {
      * @returns {Date}
      */
     parseDate(dateStr) {
-        const date = new Date(dateStr);
+        // Date-only strings parse as UTC midnight, which lands on the previous
+        // day west of Greenwich - build them in local time instead
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr);
+        const date = match
+            ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+            : new Date(dateStr);
         date.setHours(0, 0, 0, 0);
         return date;
     }
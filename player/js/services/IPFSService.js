@@ -20,15 +20,17 @@ class IPFSService {
     /**
      * Download JSON content from IPFS
      * Tries multiple gateways until one succeeds
-     * @param {string} hash - IPFS CID/hash
+     * @param {string} hash - IPFS CID/hash, or IPNS name
+     * @param {Object} [options]
+     * @param {string} [options.namespace='ipfs'] - 'ipfs' or 'ipns'
      * @returns {Promise<Object>} Parsed JSON content
      */
-    async downloadJSON(hash) {
+    async downloadJSON(hash, { namespace = 'ipfs' } = {}) {
         let lastError = null;
 
         for (const gateway of this.gateways) {
             try {
-                const url = `${gateway}${hash}`;
+                const url = `${gateway.replace(/\/ipfs\/$/, `/${namespace}/`)}${hash}`;
                 console.log(`IPFSService: Trying ${gateway}`);
 
                 const response = await this.fetchWithTimeout(url);
@@ -71,6 +73,25 @@ class IPFSService {
         return manifest;
     }
 
+    /**
+     * Resolve the pointer of an updatable pebbble to its current manifest
+     * @param {string} name - IPNS name from the NFC URL
+     * @returns {Promise<Object>} { manifestHash, revision, updatedAt }
+     */
+    async resolvePointer(name) {
+        const record = await this.downloadJSON(name, { namespace: 'ipns' });
+
+        if (record?.version !== 'pointer-v1' || !record.manifest) {
+            throw new Error('Invalid pointer record');
+        }
+
+        return {
+            manifestHash: record.manifest,
+            revision: record.revision || 1,
+            updatedAt: record.updatedAt || null
+        };
+    }
+
     /**
      * Download encrypted message package
      * @param {string} hash - Message IPFS hash
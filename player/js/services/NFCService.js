@@ -3,6 +3,7 @@
  */
 
 import { eventBus, Events } from './EventBus.js';
+import { urlFormats } from './UrlFormatRegistry.js';
 
 class NFCService {
     constructor() {
@@ -147,22 +148,31 @@ class NFCService {
         return hex.match(/.{1,2}/g)?.join(':') || serial.toUpperCase();
     }
 
+    /**
+     * Parse the playlist reference from a tag URL, in any format of the registry
+     * @param {string} url - URL from NFC tag
+     * @returns {Object|null} { format, version, supported, playlistHash, pointer, params }
+     */
+    parseTagUrl(url) {
+        return urlFormats.parse(url);
+    }
+
     /**
      * Parse playlist hash from URL
      * @param {string} url - URL from NFC tag
      * @returns {string|null} Playlist hash
      */
     parsePlaylistHash(url) {
-        if (!url) return null;
+        return this.parseTagUrl(url)?.playlistHash || null;
+    }
 
-        try {
-            const urlObj = new URL(url);
-            const params = new URLSearchParams(urlObj.hash.substring(1));
-            return params.get('playlistHash');
-        } catch (error) {
-            console.error('NFCService: Failed to parse URL', error);
-            return null;
-        }
+    /**
+     * Parse the pointer (IPNS name) of an updatable pebbble from URL
+     * @param {string} url - URL from NFC tag
+     * @returns {string|null} Pointer name
+     */
+    parsePointer(url) {
+        return this.parseTagUrl(url)?.pointer || null;
     }
 
     /**
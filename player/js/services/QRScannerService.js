@@ -0,0 +1,184 @@
+/**
+ * QRScannerService - Reads Pebbble QR codes on devices without Web NFC
+ *
+ * A printed Pebbble QR code is the tag URL with the tag serial (the decryption salt)
+ * added to its fragment: #playlistHash=...&serial=042DB71AE71C90 (or #1.Qm...&serial=... when compact).
+ * Uses the native BarcodeDetector where available and falls back to jsQR.
+ */
+
+import { nfc } from './NFCService.js';
+import { urlFormats } from './UrlFormatRegistry.js';
+
+// Loaded only on browsers without BarcodeDetector (Safari, Firefox).
+// Served with the app and precached by the service worker, so scanning works offline.
+// The UMD build registers itself as self.jsQR.
+const JSQR_URL = '../vendor/jsQR.js';
+
+// Time between camera frames, decoding every frame drains phone batteries
+const SCAN_INTERVAL_MS = 250;
+
+// Larger photos are scaled down before decoding with jsQR
+const MAX_DECODE_SIZE = 1024;
+
+class QRScannerService {
+    constructor() {
+        this.stream = null;
+        this.timer = null;
+        this.detector = null;
+        this.jsQR = null;
+    }
+
+    /**
+     * Check if a camera can be opened
+     * @returns {boolean}
+     */
+    isCameraSupported() {
+        return !!navigator.mediaDevices?.getUserMedia;
+    }
+
+    /**
+     * Open the rear camera and decode frames until the callback accepts one
+     * @param {HTMLVideoElement} video - Element showing the camera preview
+     * @param {Function} onCode - Called with the decoded text, returns true to stop scanning
+     * @returns {Promise<void>}
+     */
+    async startCamera(video, onCode) {
+        this.stop();
+
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment' },
+            audio: false
+        });
+        this.stream = stream;
+
+        video.setAttribute('playsinline', '');
+        video.muted = true;
+        video.srcObject = stream;
+        await video.play();
+
+        const scanFrame = async () => {
+            if (this.stream !== stream) return;
+
+            let text = null;
+            try {
+                text = await this.detect(video);
+            } catch (error) {
+                console.warn('QRScannerService: Frame decode failed', error);
+            }
+
+            // The scanner may have been closed while the frame was decoding
+            if (this.stream !== stream) return;
+
+            if (text && onCode(text)) {
+                this.stop();
+                return;
+            }
+            this.timer = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+        };
+        scanFrame();
+    }
+
+    /**
+     * Stop the camera and the scan loop
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    /**
+     * Decode a QR code from a photo or screenshot
+     * @param {File} file - Image file
+     * @returns {Promise<string|null>} Decoded text, or null if no code was found
+     */
+    async decodeImage(file) {
+        const bitmap = await createImageBitmap(file);
+        try {
+            return await this.detect(bitmap);
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * Find a QR code in a video frame or image
+     * @param {HTMLVideoElement|ImageBitmap} source
+     * @returns {Promise<string|null>}
+     */
+    async detect(source) {
+        if (this.detector === null) {
+            this.detector = await this.createDetector();
+        }
+
+        if (this.detector) {
+            const codes = await this.detector.detect(source);
+            return codes[0]?.rawValue || null;
+        }
+        return this.detectWithJsQR(source);
+    }
+
+    /**
+     * @returns {Promise<BarcodeDetector|false>} false when the browser has no QR support
+     */
+    async createDetector() {
+        if (!('BarcodeDetector' in window)) return false;
+        try {
+            const formats = await BarcodeDetector.getSupportedFormats();
+            return formats.includes('qr_code') ? new BarcodeDetector({ formats: ['qr_code'] }) : false;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @param {HTMLVideoElement|ImageBitmap} source
+     * @returns {Promise<string|null>}
+     */
+    async detectWithJsQR(source) {
+        if (!this.jsQR) {
+            await import(JSQR_URL);
+            this.jsQR = self.jsQR;
+        }
+
+        const width = source.videoWidth || source.width;
+        const height = source.videoHeight || source.height;
+        if (!width || !height) return null;
+
+        const scale = Math.min(1, MAX_DECODE_SIZE / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+        return this.jsQR(image.data, image.width, image.height)?.data || null;
+    }
+
+    /**
+     * Turn a decoded QR code into the same data an NFC tag read provides
+     * @param {string} text - Decoded QR content
+     * @returns {{serial: string, url: string}|null} null if this is not a Pebbble code
+     */
+    parsePayload(text) {
+        const parsed = nfc.parseTagUrl(text);
+        if (!parsed) return null;
+        // Codes from a newer writer still pass, the app then asks to be updated
+        if (parsed.supported && !parsed.playlistHash && !parsed.pointer) return null;
+
+        // The serial is the decryption salt, anything but hex bytes cannot be right
+        const serial = nfc.formatSerial(parsed.params.get('serial'));
+        if (!serial || !/^[0-9A-F]{2}(:[0-9A-F]{2})*$/.test(serial)) return null;
+
+        // The URL is stored with cached playlists, the serial must not travel with it
+        return { serial, url: urlFormats.withoutSerial(text) };
+    }
+}
+
+// Export singleton instance
+export const qrScanner = new QRScannerService();
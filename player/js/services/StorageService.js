@@ -56,7 +56,7 @@ class StorageService {
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
 
-                // Audio store: { id, playlistId, blob, duration, title, timestamp }
+                // Audio store: { id, playlistId, blob, duration, title, transcript, timestamp }
                 if (!db.objectStoreNames.contains(STORES.AUDIO)) {
                     const audioStore = db.createObjectStore(STORES.AUDIO, { keyPath: 'id' });
                     audioStore.createIndex('playlistId', 'playlistId', { unique: false });
@@ -120,7 +120,7 @@ class StorageService {
      * @param {string} id - Track ID
      * @param {string} playlistId - Playlist ID
      * @param {Blob} blob - Audio blob
-     * @param {Object} metadata - { title, duration }
+     * @param {Object} metadata - { title, duration, transcript }
      */
     async saveAudio(id, playlistId, blob, metadata = {}) {
         if (!this.isAvailable()) return;
@@ -131,6 +131,7 @@ class StorageService {
             blob,
             title: metadata.title || 'Untitled',
             duration: metadata.duration || 0,
+            transcript: metadata.transcript || '',
             timestamp: Date.now()
         };
 
@@ -191,14 +192,18 @@ class StorageService {
      * @param {string} id - Playlist ID (IPFS hash)
      * @param {string} serial - NFC tag serial
      * @param {Object} manifest - Playlist manifest
+     * @param {Object} [options] - { manifestHash, pointer, revision } for updatable pebbbles
      */
-    async savePlaylist(id, serial, manifest) {
+    async savePlaylist(id, serial, manifest, options = {}) {
         if (!this.isAvailable()) return;
 
         const record = {
             id,
             serial,
             manifest,
+            manifestHash: options.manifestHash || id,
+            pointer: options.pointer || null,
+            revision: options.revision || null,
             lastPlayed: Date.now(),
             downloadedAt: Date.now()
         };
@@ -206,6 +211,23 @@ class StorageService {
         await this.put(STORES.PLAYLISTS, record);
     }
 
+    /**
+     * Delete cached audio that is no longer part of a playlist,
+     * e.g. clips removed in a newer version of an updatable pebbble
+     * @param {string} playlistId - Playlist ID
+     * @param {Array<string>} keepIds - Track IDs still in the manifest
+     */
+    async pruneAudio(playlistId, keepIds) {
+        if (!this.isAvailable()) return;
+
+        const audioRecords = await this.getPlaylistAudio(playlistId);
+        for (const record of audioRecords) {
+            if (!keepIds.includes(record.id)) {
+                await this.delete(STORES.AUDIO, record.id);
+            }
+        }
+    }
+
     /**
      * Get playlist by ID (works regardless of device mode)
      * @param {string} id - Playlist ID
@@ -0,0 +1,146 @@
+/**
+ * UrlFormatRegistry - Every tag URL format the player understands
+ *
+ * Tags stay in use for years and locked ones can never be rewritten, so a format
+ * that was ever written must stay readable. Formats are tried in order, the first
+ * one that recognises a URL wins:
+ * - compact:      any path, #<version>.<id>
+ * - compact-path: .../<version>.<id>, for short domains serving the player on every path
+ * - legacy:       .../kid.html#playlistHash=<cid>, written by the first writer
+ * - standard:     #playlistHash=<cid> or #pointer=<ipns name>, optional v=<version>
+ *
+ * Compact ids are a CID ("Qm..." or "b...") or an IPNS name ("k51..."). Extra key=value
+ * pairs may follow a "&" in the fragment, e.g. the serial carried by a QR code.
+ *
+ * A version above a format's maxVersion was written by a newer writer. It is
+ * reported as unsupported so the app can ask to be updated instead of failing to decrypt.
+ */
+
+const COMPACT_ID = /^(\d+)\.([A-Za-z0-9]+)$/;
+
+/**
+ * @param {string} fragment - URL fragment without "#"
+ * @returns {[string, string]} Text before the first "&" and the rest
+ */
+function splitFragment(fragment) {
+    const separator = fragment.indexOf('&');
+    return separator === -1
+        ? [fragment, '']
+        : [fragment.substring(0, separator), fragment.substring(separator + 1)];
+}
+
+function compactResult(match, extra) {
+    const id = match[2];
+    return {
+        version: parseInt(match[1], 10),
+        playlistHash: id.startsWith('k') ? null : id,
+        pointer: id.startsWith('k') ? id : null,
+        params: new URLSearchParams(extra)
+    };
+}
+
+function fragmentParams(url) {
+    const params = new URLSearchParams(url.hash.substring(1));
+    if (!params.has('playlistHash') && !params.has('pointer')) return null;
+    return {
+        version: parseInt(params.get('v'), 10) || 0,
+        playlistHash: params.get('playlistHash'),
+        pointer: params.get('pointer'),
+        params
+    };
+}
+
+class UrlFormatRegistry {
+    constructor() {
+        this.formats = [];
+    }
+
+    /**
+     * Add a format. Later formats are tried first, so a new format can claim URLs an older one would misread.
+     * @param {Object} format
+     * @param {string} format.id - Name used in logs
+     * @param {number} format.maxVersion - Highest version of this format the player can read
+     * @param {Function} format.parse - (URL) => { version, playlistHash, pointer, params } or null
+     */
+    register(format) {
+        this.formats.unshift(format);
+    }
+
+    /**
+     * Parse a tag URL
+     * @param {string} input - URL from a tag, a QR code or the address bar
+     * @returns {Object|null} { format, version, supported, playlistHash, pointer, params },
+     *   or null if no format recognises the URL
+     */
+    parse(input) {
+        if (!input) return null;
+
+        let url;
+        try {
+            url = new URL(input);
+        } catch (error) {
+            // Any text can come from a QR code, and the scanner asks on every frame
+            return null;
+        }
+
+        for (const format of this.formats) {
+            const result = format.parse(url);
+            if (!result) continue;
+
+            const supported = result.version <= format.maxVersion;
+            if (!supported) {
+                console.warn(`UrlFormatRegistry: ${format.id} URL version ${result.version} is newer than this player`);
+                // The meaning of a newer id is unknown, do not guess
+                return { format: format.id, version: result.version, supported, playlistHash: null, pointer: null, params: result.params };
+            }
+            return { format: format.id, supported, ...result };
+        }
+        return null;
+    }
+
+    /**
+     * Remove the serial from a URL, it unlocks the pebbble and must not be stored or shared
+     * @param {string} input
+     * @returns {string}
+     */
+    withoutSerial(input) {
+        const url = new URL(input);
+        // Edited as text, compact fragments are not key=value pairs
+        url.hash = url.hash.substring(1).replace(/(^|&)serial=[^&]*/, '').replace(/^&/, '');
+        return url.toString();
+    }
+}
+
+export const urlFormats = new UrlFormatRegistry();
+
+// Registered oldest first, each registration takes precedence over the ones before it
+urlFormats.register({
+    id: 'standard',
+    maxVersion: 0,
+    parse: fragmentParams
+});
+
+urlFormats.register({
+    id: 'legacy',
+    maxVersion: 0,
+    parse: (url) => url.pathname.endsWith('/kid.html') ? fragmentParams(url) : null
+});
+
+urlFormats.register({
+    id: 'compact-path',
+    maxVersion: 1,
+    parse: (url) => {
+        const match = COMPACT_ID.exec(url.pathname.split('/').pop());
+        return match ? compactResult(match, url.hash.substring(1)) : null;
+    }
+});
+
+urlFormats.register({
+    id: 'compact',
+    maxVersion: 1,
+    parse: (url) => {
+        const [head, extra] = splitFragment(url.hash.substring(1));
+        const match = COMPACT_ID.exec(head);
+        return match ? compactResult(match, extra) : null;
+    }
+});
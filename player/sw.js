@@ -3,7 +3,7 @@
  * Caches app shell for offline use
  */
 
-const CACHE_NAME = 'pebbble-v8';
+const CACHE_NAME = 'pebbble-v12';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
@@ -16,6 +16,8 @@ const STATIC_ASSETS = [
     '/js/services/I18nService.js',
     '/js/services/StorageService.js',
     '/js/services/NFCService.js',
+    '/js/services/QRScannerService.js',
+    '/js/services/UrlFormatRegistry.js',
     '/js/services/CryptoService.js',
     '/js/services/IPFSService.js',
     '/js/services/AudioService.js',
@@ -24,15 +26,18 @@ const STATIC_ASSETS = [
     '/js/components/MagicStoneWelcome.js',
     '/js/components/DeviceModeSelector.js',
     '/js/components/NfcPrompt.js',
+    '/js/components/QrScanner.js',
     '/js/components/PlaylistView.js',
     '/js/components/PlayerControls.js',
     '/js/components/ProgressBar.js',
+    '/js/components/CaptionsPanel.js',
     '/js/components/StoneCanvas.js',
     '/js/components/TapeCanvas.js',
     '/js/components/PlaybackModes.js',
     '/js/components/SleepTimer.js',
     '/js/components/LanguageSelector.js',
     '/js/components/OfflineLibrary.js',
+    '/js/vendor/jsQR.js',
     '/js/i18n/en.json',
     '/js/i18n/fr.json',
     '/js/i18n/zh.json',
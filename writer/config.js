@@ -11,6 +11,11 @@
  * @param {string|null} FORCE_NFC_URL_BASE - A specific base URL for NFC tags. If set to null,
  * the app's current origin and path will be used (e.g., https://example.com/index.html).
  * If set to a custom URL (e.g., 'https://mycustomurl.page/'), that URL will be used.
+ * This is the default only: Player Settings can save another one, or a player per pebbble.
+ * @param {string|null} COMPACT_NFC_URL_BASE - A short base URL for compact tag URLs, e.g. a short
+ * domain serving the player. If null, FORCE_NFC_URL_BASE without a trailing "index.html" is used.
+ * The default is the /p/ page next to the player, which redirects to it. Opening a tag through it
+ * needs a connection, the player's service worker does not cover that page.
  * @param {string|null} PINATA_API_KEY - The Pinata API key for development/testing.
  * If not set, the user must enter credentials in the UI.
  * @param {string|null} PINATA_SECRET - The Pinata API secret for development/testing.
@@ -21,7 +26,11 @@ export const config = {
     DEBUG_MODE: false,
 
     // NFC URL Settings
-    FORCE_NFC_URL_BASE: 'https://msieur-gab.github.io/peeble/kid.html',
+    // Tags written before pointed at msieur-gab.github.io/peeble/kid.html, which is served by the
+    // separate peeble repository. The player reads them when scanned from inside the app, opening
+    // one from the phone only reaches this player if that page redirects here.
+    FORCE_NFC_URL_BASE: 'https://msieur-gab.github.io/pebbble/player/',
+    COMPACT_NFC_URL_BASE: 'https://msieur-gab.github.io/pebbble/p/',
 
     // API Credentials (set to null for production, or hardcode for dev)
     PINATA_API_KEY: 'YOUR_PINATA_API_KEY_HERE',
@@ -2,11 +2,13 @@
 
 import { log } from '../utils/log.js';
 import { eventBus } from '../services/eventBus.js';
+import { PINNING_PROVIDERS, validatePinningConfig } from '../services/pinning/index.js';
 
 class ApiSetupForm extends HTMLElement {
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
+        this.config = { provider: 'pinata' };
         this.render();
         this.setupEventListeners();
     }
@@ -54,38 +56,168 @@ class ApiSetupForm extends HTMLElement {
                 .btn-primary:hover {
                     background-color: var(--button-hover);
                 }
+                .btn-secondary {
+                    background-color: #e5e7eb;
+                    color: #374151;
+                }
+                .btn-secondary:hover {
+                    background-color: #d1d5db;
+                }
+                .field {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.25rem;
+                    margin-bottom: 1rem;
+                }
+                .field label {
+                    font-size: 0.875rem;
+                    font-weight: 600;
+                    color: #374151;
+                }
+                .provider-description {
+                    font-size: 0.875rem;
+                    color: var(--secondary-color);
+                    margin: 0 0 1rem 0;
+                }
+                .folder-status {
+                    font-size: 0.875rem;
+                    color: var(--secondary-color);
+                }
+                .form-actions {
+                    display: flex;
+                    gap: 0.5rem;
+                }
+                .form-actions .btn {
+                    flex: 1;
+                }
+                .hidden {
+                    display: none !important;
+                }
             </style>
             <div class="api-setup-container">
                 <div class="status-box warning">
                     <p><span class="font-bold">Note:</span> This app writes messages to a simulated NFC tag. A real app would use the Web NFC API.</p>
                 </div>
-                <h3>Pinata IPFS Credentials</h3>
-                <div class="flex flex-col space-y-4">
-                    <input type="text" id="pinata-api-key" placeholder="Pinata API Key" class="form-input">
-                    <input type="password" id="pinata-secret" placeholder="Pinata Secret API Key" class="form-input">
-                    <button id="set-credentials-btn" class="btn btn-primary">Set Credentials</button>
+                <h3>IPFS Storage</h3>
+                <div class="field">
+                    <label for="provider-select">Provider</label>
+                    <select id="provider-select" class="form-input">
+                        ${Object.entries(PINNING_PROVIDERS).map(([id, descriptor]) => `
+                            <option value="${id}">${descriptor.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <p class="provider-description" id="provider-description"></p>
+                <div id="provider-fields"></div>
+                <div class="form-actions">
+                    <button id="cancel-btn" class="btn btn-secondary hidden">Cancel</button>
+                    <button id="set-credentials-btn" class="btn btn-primary">Save Settings</button>
                 </div>
             </div>
         `;
+        this.renderProviderFields();
+    }
+
+    renderProviderFields() {
+        const descriptor = PINNING_PROVIDERS[this.config.provider];
+        this.shadowRoot.querySelector('#provider-select').value = this.config.provider;
+        this.shadowRoot.querySelector('#provider-description').textContent = descriptor.description;
+
+        const fieldsHtml = descriptor.fields.map(field => `
+            <div class="field">
+                <label for="field-${field.name}">${field.label}${field.required ? ' *' : ''}</label>
+                <input type="${field.type === 'password' ? 'password' : 'text'}"
+                       id="field-${field.name}"
+                       data-field="${field.name}"
+                       class="form-input"
+                       placeholder="${field.placeholder || ''}">
+            </div>
+        `).join('');
+
+        // The mock can mirror uploads to a folder where the File System Access API exists
+        const folderHtml = this.config.provider === 'mock' && 'showDirectoryPicker' in window ? `
+            <div class="field">
+                <button id="pick-folder-btn" class="btn btn-secondary">Choose Output Folder</button>
+                <span class="folder-status"></span>
+            </div>
+        ` : '';
+
+        this.shadowRoot.querySelector('#provider-fields').innerHTML = fieldsHtml + folderHtml;
+
+        // Stored values may contain quotes, so they are set as properties rather than markup
+        this.shadowRoot.querySelectorAll('#provider-fields [data-field]').forEach(input => {
+            input.value = this.config[input.dataset.field] || '';
+        });
+        const folderStatus = this.shadowRoot.querySelector('.folder-status');
+        if (folderStatus) {
+            folderStatus.textContent = this.config.directoryHandle
+                ? `Writing to "${this.config.directoryHandle.name}"`
+                : 'In-memory only';
+        }
+
+        this.shadowRoot.querySelector('#pick-folder-btn')?.addEventListener('click', () => {
+            this.pickFolder();
+        });
+    }
+
+    async pickFolder() {
+        try {
+            this.config.directoryHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+            this.renderProviderFields();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                log(`Could not open folder: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    readFields() {
+        this.shadowRoot.querySelectorAll('#provider-fields [data-field]').forEach(input => {
+            this.config[input.dataset.field] = input.value.trim();
+        });
     }
     
     setupEventListeners() {
+        this.shadowRoot.querySelector('#provider-select').addEventListener('change', (e) => {
+            // Keep typed values so switching back and forth does not lose them
+            this.readFields();
+            this.config.provider = e.target.value;
+            this.renderProviderFields();
+        });
+
         this.shadowRoot.querySelector('#set-credentials-btn').addEventListener('click', () => {
-            const apiKey = this.shadowRoot.querySelector('#pinata-api-key').value.trim();
-            const secret = this.shadowRoot.querySelector('#pinata-secret').value.trim();
-            
-            if (apiKey && secret) {
-                eventBus.publish('credentials-set', { apiKey, secret });
-                log('Pinata credentials set. Ready to create your playlist.', 'success');
+            this.readFields();
+            const descriptor = PINNING_PROVIDERS[this.config.provider];
+            const config = { provider: this.config.provider };
+            descriptor.fields.forEach(field => {
+                config[field.name] = this.config[field.name] || '';
+            });
+            if (this.config.provider === 'mock' && this.config.directoryHandle) {
+                config.directoryHandle = this.config.directoryHandle;
+            }
+
+            const validation = validatePinningConfig(config);
+            if (validation.valid) {
+                eventBus.publish('credentials-set', config);
+                log(`${descriptor.label} storage configured. Ready to create your playlist.`, 'success');
             } else {
-                log('Please fill in all fields.', 'warning');
+                log(validation.error, 'warning');
             }
         });
+
+        this.shadowRoot.querySelector('#cancel-btn').addEventListener('click', () => {
+            eventBus.publish('back-to-home');
+        });
     }
-    
-    setCredentials(apiKey, secret) {
-        this.shadowRoot.querySelector('#pinata-api-key').value = apiKey;
-        this.shadowRoot.querySelector('#pinata-secret').value = secret;
+
+    /**
+     * Prefill the form with a saved provider config
+     * @param {Object} config - { provider, ...fields }
+     */
+    setConfig(config) {
+        this.config = { ...config };
+        this.shadowRoot.querySelector('#cancel-btn').classList.remove('hidden');
+        this.renderProviderFields();
     }
 }
 
@@ -3,7 +3,11 @@
 import { log } from '../utils/log.js';
 import { eventBus } from '../services/eventBus.js';
 import { MessageDb } from '../services/messageDb.js';
+import { HistoryStack, getHistoryShortcut } from '../services/historyService.js';
+import { audioImportService } from '../services/audioImportService.js';
+import { parseTranscript } from '../utils/transcriptUtils.js';
 import './ui/audioPreview.js';
+import './ui/modal.js';
 
 class AudioLibrary extends HTMLElement {
     constructor() {
@@ -11,6 +15,10 @@ class AudioLibrary extends HTMLElement {
         this.attachShadow({ mode: 'open' });
         this.db = new MessageDb();
         this.audioClips = [];
+        this.editingTranscriptClipId = null;
+        this.history = new HistoryStack({ onChange: () => this.updateHistoryButtons() });
+        this.pendingImports = [];
+        this.importArtworkUrls = [];
         
         this.render();
         this.setupEventListeners();
@@ -89,6 +97,24 @@ class AudioLibrary extends HTMLElement {
                 .btn-primary:hover {
                     background-color: var(--button-hover);
                 }
+                .btn:disabled {
+                    opacity: 0.5;
+                    cursor: not-allowed;
+                }
+                .header-row {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 1rem;
+                }
+                .history-controls {
+                    display: flex;
+                    gap: 0.25rem;
+                }
+                .btn-small {
+                    padding: 0.25rem 0.75rem;
+                    font-size: 0.8rem;
+                }
                 
                 /* Custom scrollbar for clips container */
                 .clips-container::-webkit-scrollbar {
@@ -112,17 +138,121 @@ class AudioLibrary extends HTMLElement {
                     padding: 2rem;
                     color: var(--secondary-color);
                 }
+                
+                /* Bulk import */
+                .import-zone {
+                    margin-bottom: 1rem;
+                    padding: 1rem;
+                    border: 2px dashed #d1d5db;
+                    border-radius: 0.75rem;
+                    text-align: center;
+                    color: var(--secondary-color);
+                    font-size: 0.875rem;
+                    transition: border-color 0.2s ease, background-color 0.2s ease;
+                }
+                .import-zone.dragging {
+                    border-color: var(--primary-color);
+                    background-color: #f9fafb;
+                }
+                .import-zone p { margin: 0 0 0.5rem 0; }
+                .import-review {
+                    margin-bottom: 1rem;
+                    padding: 1rem;
+                    background: #f9fafb;
+                    border-radius: 0.75rem;
+                }
+                .import-list {
+                    list-style: none;
+                    padding: 0;
+                    margin: 0;
+                    max-height: 300px;
+                    overflow-y: auto;
+                }
+                .import-item {
+                    display: flex;
+                    gap: 0.75rem;
+                    align-items: center;
+                    padding: 0.5rem 0;
+                    border-bottom: 1px solid #e5e7eb;
+                }
+                .import-artwork {
+                    width: 48px;
+                    height: 48px;
+                    flex-shrink: 0;
+                    border-radius: 0.375rem;
+                    background: #e5e7eb;
+                    object-fit: cover;
+                }
+                .import-details { flex: 1; min-width: 0; }
+                .import-title {
+                    width: 100%;
+                    padding: 0.25rem 0.5rem;
+                    border: 1px solid #d1d5db;
+                    border-radius: 0.375rem;
+                }
+                .import-meta {
+                    font-size: 0.75rem;
+                    color: var(--secondary-color);
+                    margin-top: 0.25rem;
+                }
+                .import-item.rejected .import-meta { color: var(--accent-color); }
+                .import-item.rejected .import-name { text-decoration: line-through; color: var(--secondary-color); }
+
+                /* Transcript editor */
+                .transcript-editor h3 { margin-top: 0; }
+                .transcript-hint {
+                    color: var(--secondary-color);
+                    font-size: 0.75rem;
+                    margin: 0.5rem 0;
+                }
+                .transcript-hint.error { color: var(--accent-color); }
+                .transcript-textarea {
+                    width: 100%;
+                    padding: 0.75rem;
+                    border: 2px solid #d1d5db;
+                    border-radius: 0.5rem;
+                    font-family: monospace;
+                    font-size: 0.8rem;
+                    resize: vertical;
+                }
+                .transcript-textarea:focus { outline: none; border-color: var(--primary-color); }
+                .editor-actions {
+                    display: flex;
+                    gap: 0.5rem;
+                    justify-content: flex-end;
+                    margin-top: 1rem;
+                }
             </style>
             
             <div class="audio-library">
                 <div class="header">
-                    <h2>Audio Library</h2>
+                    <div class="header-row">
+                        <h2>Audio Library</h2>
+                        <div class="history-controls">
+                            <button id="undo-btn" class="btn btn-secondary btn-small" title="Undo (Ctrl+Z)" disabled>↶ Undo</button>
+                            <button id="redo-btn" class="btn btn-secondary btn-small" title="Redo (Ctrl+Shift+Z)" disabled>↷ Redo</button>
+                        </div>
+                    </div>
                     <p>Manage all your recorded audio clips</p>
                     <div class="library-stats" id="library-stats">
                         Loading...
                     </div>
                 </div>
                 
+                <div class="import-zone" id="import-zone">
+                    <p id="import-zone-text">Drop audio files here to import them</p>
+                    <button id="import-files-btn" class="btn btn-secondary btn-small">Choose files</button>
+                    <input type="file" id="import-file-input" accept="audio/*" multiple hidden>
+                </div>
+                
+                <div class="import-review" id="import-review" hidden>
+                    <ul class="import-list" id="import-list"></ul>
+                    <div class="editor-actions">
+                        <button id="import-cancel-btn" class="btn btn-secondary">Cancel</button>
+                        <button id="import-confirm-btn" class="btn btn-primary">Import</button>
+                    </div>
+                </div>
+                
                 <div class="clips-container" id="clips-container">
                     <div class="loading">Loading your audio clips...</div>
                 </div>
@@ -136,6 +266,22 @@ class AudioLibrary extends HTMLElement {
                     </button>
                 </div>
             </div>
+            
+            <modal-component id="transcript-modal">
+                <div class="transcript-editor">
+                    <h3 id="transcript-clip-title">Transcript</h3>
+                    <p class="transcript-hint">
+                        Plain text is shown for the whole clip. Start with a "WEBVTT" header
+                        and add timed cues (00:01.000 --> 00:04.000) for captions synced to playback.
+                    </p>
+                    <textarea id="transcript-input" class="transcript-textarea" rows="10"></textarea>
+                    <p id="transcript-status" class="transcript-hint"></p>
+                    <div class="editor-actions">
+                        <button id="transcript-cancel-btn" class="btn btn-secondary">Cancel</button>
+                        <button id="transcript-save-btn" class="btn btn-primary">Save</button>
+                    </div>
+                </div>
+            </modal-component>
         `;
     }
 
@@ -145,6 +291,72 @@ class AudioLibrary extends HTMLElement {
             await this.handleDeleteClip(parseInt(e.detail.clipId));
         });
 
+        // Deleted clips can be brought back
+        this.shadowRoot.querySelector('#undo-btn').addEventListener('click', () => this.undo());
+        this.shadowRoot.querySelector('#redo-btn').addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            // Only the visible view answers the shortcut
+            if (this.offsetParent === null) return;
+            const action = getHistoryShortcut(e);
+            if (!action) return;
+            e.preventDefault();
+            action === 'undo' ? this.undo() : this.redo();
+        });
+
+        // Trimmed copies from the waveform editor
+        this.shadowRoot.addEventListener('clip-trim', async (e) => {
+            await this.saveTrimmedClip(e.detail);
+        });
+
+        // Transcript editing
+        this.shadowRoot.addEventListener('clip-transcript', (e) => {
+            this.openTranscriptEditor(parseInt(e.detail.clipId));
+        });
+
+        this.shadowRoot.querySelector('#transcript-input').addEventListener('input', (e) => {
+            this.updateTranscriptStatus(e.target.value);
+        });
+
+        this.shadowRoot.querySelector('#transcript-cancel-btn').addEventListener('click', () => {
+            this.closeTranscriptEditor();
+        });
+
+        this.shadowRoot.querySelector('#transcript-save-btn').addEventListener('click', () => {
+            this.saveTranscript();
+        });
+
+        // Bulk import from the file picker or drag and drop
+        const importZone = this.shadowRoot.querySelector('#import-zone');
+        this.shadowRoot.querySelector('#import-files-btn').addEventListener('click', () => {
+            this.shadowRoot.querySelector('#import-file-input').click();
+        });
+        this.shadowRoot.querySelector('#import-file-input').addEventListener('change', (e) => {
+            this.inspectImports([...e.target.files]);
+            e.target.value = '';
+        });
+        this.shadowRoot.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            importZone.classList.add('dragging');
+        });
+        this.shadowRoot.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget || !this.shadowRoot.contains(e.relatedTarget)) {
+                importZone.classList.remove('dragging');
+            }
+        });
+        this.shadowRoot.addEventListener('drop', (e) => {
+            if (!e.dataTransfer.files.length) return;
+            e.preventDefault();
+            importZone.classList.remove('dragging');
+            this.inspectImports([...e.dataTransfer.files]);
+        });
+        this.shadowRoot.querySelector('#import-cancel-btn').addEventListener('click', () => {
+            this.clearImports();
+        });
+        this.shadowRoot.querySelector('#import-confirm-btn').addEventListener('click', () => {
+            this.confirmImports();
+        });
+
         // Navigation buttons
         this.shadowRoot.querySelector('#back-to-home-btn').addEventListener('click', () => {
             eventBus.publish('back-to-home');
@@ -216,6 +428,24 @@ class AudioLibrary extends HTMLElement {
         }
     }
 
+    // The original stays untouched, the trimmed range is saved next to it
+    async saveTrimmedClip({ clipId, audioBlob, duration }) {
+        const source = this.audioClips.find(clip => clip.id === parseInt(clipId));
+        if (!source) {
+            log('Clip not found', 'warning');
+            return;
+        }
+
+        try {
+            const title = `${source.title} (trimmed)`;
+            await this.db.saveAudioClip(title, audioBlob, duration);
+            log(`Saved "${title}"`, 'success');
+            await this.loadAudioClips();
+        } catch (error) {
+            log(`Failed to save trimmed clip: ${error.message}`, 'error');
+        }
+    }
+
     async handleDeleteClip(clipId) {
         try {
             // Find the clip to show confirmation
@@ -226,7 +456,7 @@ class AudioLibrary extends HTMLElement {
             }
 
             // Show confirmation dialog
-            const confirmed = confirm(`Are you sure you want to delete "${clipToDelete.title}"?\n\nThis action cannot be undone.`);
+            const confirmed = confirm(`Are you sure you want to delete "${clipToDelete.title}"?`);
             if (!confirmed) {
                 return;
             }
@@ -234,23 +464,232 @@ class AudioLibrary extends HTMLElement {
             // Stop audio if this clip is currently playing
             eventBus.publish('stop-audio');
 
-            // Delete from database
-            await this.db.deleteAudioClip(clipId);
-            
-            // Remove from local array
-            this.audioClips = this.audioClips.filter(clip => clip.id !== clipId);
-            
-            // Update UI
-            this.renderClips();
-            this.updateStats();
+            // The whole record is kept by the command, so undo restores it under the same ID
+            const command = {
+                label: `delete "${clipToDelete.title}"`,
+                execute: async () => {
+                    await this.db.deleteAudioClip(clipToDelete.id);
+                    this.audioClips = this.audioClips.filter(clip => clip.id !== clipToDelete.id);
+                    this.renderClips();
+                    this.updateStats();
+                },
+                undo: async () => {
+                    await this.db.restoreAudioClip(clipToDelete);
+                    this.audioClips.push(clipToDelete);
+                    this.renderClips();
+                    this.updateStats();
+                }
+            };
+            await this.history.execute(command);
             
-            log(`Audio clip "${clipToDelete.title}" deleted`, 'success');
+            log(`Audio clip "${clipToDelete.title}" deleted`, 'info');
+            eventBus.publish('show-toast', {
+                message: `Audio clip "${clipToDelete.title}" deleted`,
+                type: 'success',
+                action: { label: 'Undo', onClick: () => this.undo(command) }
+            });
             
         } catch (error) {
             log(`Failed to delete audio clip: ${error.message}`, 'error');
         }
     }
 
+    async inspectImports(files) {
+        if (files.length === 0) return;
+        this.clearImports();
+
+        const zoneText = this.shadowRoot.querySelector('#import-zone-text');
+        const importBtn = this.shadowRoot.querySelector('#import-files-btn');
+        importBtn.disabled = true;
+
+        try {
+            this.pendingImports = await audioImportService.inspectAll(files, (index, total) => {
+                zoneText.textContent = `Checking file ${index + 1} of ${total}...`;
+            });
+            this.renderImports();
+        } catch (error) {
+            log(`Failed to read files: ${error.message}`, 'error');
+        } finally {
+            zoneText.textContent = 'Drop audio files here to import them';
+            importBtn.disabled = false;
+        }
+    }
+
+    renderImports() {
+        const list = this.shadowRoot.querySelector('#import-list');
+        list.innerHTML = '';
+
+        this.pendingImports.forEach((item, index) => {
+            const row = document.createElement('li');
+            row.className = `import-item${item.ok ? '' : ' rejected'}`;
+
+            const artwork = document.createElement(item.artwork ? 'img' : 'div');
+            artwork.className = 'import-artwork';
+            if (item.artwork) {
+                const url = URL.createObjectURL(item.artwork);
+                this.importArtworkUrls.push(url);
+                artwork.src = url;
+                artwork.alt = '';
+            }
+
+            const details = document.createElement('div');
+            details.className = 'import-details';
+            const meta = document.createElement('div');
+            meta.className = 'import-meta';
+
+            if (item.ok) {
+                const titleInput = document.createElement('input');
+                titleInput.className = 'import-title';
+                titleInput.value = item.title;
+                titleInput.dataset.index = index;
+                details.appendChild(titleInput);
+                meta.textContent = [item.label, this.formatDuration(item.duration), item.artist, item.album]
+                    .filter(Boolean).join(' • ');
+            } else {
+                const name = document.createElement('div');
+                name.className = 'import-name';
+                name.textContent = item.file.name;
+                details.appendChild(name);
+                meta.textContent = item.error;
+            }
+
+            details.appendChild(meta);
+            row.append(artwork, details);
+            list.appendChild(row);
+        });
+
+        const validCount = this.pendingImports.filter(item => item.ok).length;
+        const confirmBtn = this.shadowRoot.querySelector('#import-confirm-btn');
+        confirmBtn.textContent = `Import ${validCount} clip${validCount === 1 ? '' : 's'}`;
+        confirmBtn.disabled = validCount === 0;
+        this.shadowRoot.querySelector('#import-review').hidden = false;
+    }
+
+    async confirmImports() {
+        const confirmBtn = this.shadowRoot.querySelector('#import-confirm-btn');
+        confirmBtn.disabled = true;
+        let imported = 0;
+
+        for (const [index, item] of this.pendingImports.entries()) {
+            if (!item.ok) continue;
+            const titleInput = this.shadowRoot.querySelector(`.import-title[data-index="${index}"]`);
+            const title = titleInput.value.trim() || item.title;
+
+            try {
+                await this.db.saveAudioClip(title, audioImportService.toAudioBlob(item), item.duration, {
+                    artist: item.artist,
+                    album: item.album,
+                    artwork: item.artwork,
+                    sourceFileName: item.file.name
+                });
+                imported++;
+            } catch (error) {
+                log(`Failed to import "${item.file.name}": ${error.message}`, 'error');
+            }
+        }
+
+        const rejected = this.pendingImports.filter(item => !item.ok).length;
+        this.clearImports();
+        await this.loadAudioClips();
+        log(`Imported ${imported} clip${imported === 1 ? '' : 's'}${rejected ? `, ${rejected} file${rejected === 1 ? '' : 's'} skipped` : ''}`, 'success');
+    }
+
+    clearImports() {
+        this.importArtworkUrls.forEach(url => URL.revokeObjectURL(url));
+        this.importArtworkUrls = [];
+        this.pendingImports = [];
+        this.shadowRoot.querySelector('#import-list').innerHTML = '';
+        this.shadowRoot.querySelector('#import-review').hidden = true;
+    }
+
+    /**
+     * @param {Object|null} command - Only revert this command (a toast's Undo), instead of the last one
+     */
+    async undo(command = null) {
+        try {
+            const undone = command ? await this.history.undoCommand(command) : await this.history.undo();
+            if (undone) {
+                log(`Undid ${undone.label}`, 'info');
+            } else if (command) {
+                log(`Cannot undo ${command.label}, other changes were made since`, 'warning');
+            }
+        } catch (error) {
+            log(`Failed to undo: ${error.message}`, 'error');
+        }
+    }
+
+    async redo() {
+        try {
+            const command = await this.history.redo();
+            if (command) log(`Redid ${command.label}`, 'info');
+        } catch (error) {
+            log(`Failed to redo: ${error.message}`, 'error');
+        }
+    }
+
+    updateHistoryButtons() {
+        this.shadowRoot.querySelector('#undo-btn').disabled = !this.history.canUndo;
+        this.shadowRoot.querySelector('#redo-btn').disabled = !this.history.canRedo;
+    }
+
+    openTranscriptEditor(clipId) {
+        const clip = this.audioClips.find(c => c.id === clipId);
+        if (!clip) {
+            log('Clip not found', 'warning');
+            return;
+        }
+
+        this.editingTranscriptClipId = clipId;
+        this.shadowRoot.querySelector('#transcript-clip-title').textContent = `Transcript: ${clip.title}`;
+        this.shadowRoot.querySelector('#transcript-input').value = clip.transcript || '';
+        this.updateTranscriptStatus(clip.transcript || '');
+        this.shadowRoot.querySelector('#transcript-modal').open();
+    }
+
+    closeTranscriptEditor() {
+        this.editingTranscriptClipId = null;
+        this.shadowRoot.querySelector('#transcript-modal').close();
+    }
+
+    updateTranscriptStatus(text) {
+        const statusEl = this.shadowRoot.querySelector('#transcript-status');
+        const { isTimed, cues, errors } = parseTranscript(text);
+
+        statusEl.classList.toggle('error', errors.length > 0);
+        if (!text.trim()) {
+            statusEl.textContent = 'No transcript';
+        } else if (!isTimed) {
+            statusEl.textContent = 'Plain transcript';
+        } else if (errors.length > 0) {
+            statusEl.textContent = `${cues.length} timed cue(s) - ${errors.join(', ')}`;
+        } else {
+            statusEl.textContent = `${cues.length} timed cue(s)`;
+        }
+    }
+
+    async saveTranscript() {
+        const clipId = this.editingTranscriptClipId;
+        if (clipId === null) return;
+
+        const transcript = this.shadowRoot.querySelector('#transcript-input').value.trim();
+        const { errors } = parseTranscript(transcript);
+        if (errors.length > 0) {
+            log(`Please fix the transcript timings: ${errors[0]}`, 'warning');
+            return;
+        }
+
+        try {
+            await this.db.updateAudioClip(clipId, { transcript });
+            const clip = this.audioClips.find(c => c.id === clipId);
+            if (clip) clip.transcript = transcript;
+
+            this.closeTranscriptEditor();
+            log(`Transcript saved for "${clip?.title}"`, 'success');
+        } catch (error) {
+            log(`Failed to save transcript: ${error.message}`, 'error');
+        }
+    }
+
     showError(message) {
         const container = this.shadowRoot.querySelector('#clips-container');
         container.innerHTML = `
@@ -2,8 +2,23 @@
 
 import { log } from '../utils/log.js';
 import { eventBus } from '../services/eventBus.js';
+import { MessageDb } from '../services/messageDb.js';
+import { audioImportService } from '../services/audioImportService.js';
+import {
+    audioProcessingService,
+    DEFAULT_SILENCE_THRESHOLD_DB,
+    DEFAULT_FADE_MS
+} from '../services/audioProcessingService.js';
 import './ui/audioPreview.js';
 
+// Level meter thresholds (dBFS)
+const CLIPPING_PEAK = 0.99;
+const TOO_QUIET_RMS_DB = -50;
+// How long the input must stay quiet before warning, in ms
+const TOO_QUIET_AFTER_MS = 3000;
+// MediaRecorder hands over a chunk this often, so an interruption loses at most this much
+const CHUNK_INTERVAL_MS = 1000;
+
 class AudioRecorder extends HTMLElement {
     constructor() {
         super();
@@ -16,10 +31,35 @@ class AudioRecorder extends HTMLElement {
         this.audioChunks = [];
         this.recordingInterval = null;
         this.recordingStartTime = null;
+        this.recordedMs = 0;
         this.previewId = null;
+        this.defaultTitle = '';
+        
+        // Crash safety: every chunk is written to MessageDb as it arrives
+        this.sessionId = null;
+        this.chunkIndex = 0;
+        this.chunkWrites = Promise.resolve();
+        this.backupFailed = false;
+        
+        // Live session: input meter, wake lock and interruption handling
+        this.stream = null;
+        this.meterContext = null;
+        this.meterFrame = null;
+        this.quietSince = null;
+        this.clippedAt = 0;
+        this.wakeLock = null;
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        
+        // Silence trimming: the untouched take is kept, and saved as its own clip
+        this.db = new MessageDb();
+        this.rawAudioBlob = null;
+        this.rawAudioDuration = 0;
         
         this.render();
         this.setupEventListeners();
+        this.loadCleanupSettings().catch(error => {
+            log(`Could not load clean-up settings: ${error.message}`, 'warning');
+        });
     }
 
     render() {
@@ -82,6 +122,41 @@ class AudioRecorder extends HTMLElement {
                 .hidden { display: none; }
                 .audio-preview-section { margin-top: 1rem; }
                 .preview-controls { display: flex; gap: 1rem; justify-content: center; margin-top: 1rem; }
+                .transcript-input { margin-top: 1rem; font-family: inherit; resize: vertical; }
+                .recording-session { display: flex; flex-direction: column; align-items: center; gap: 0.5rem; }
+                .level-meter {
+                    width: 100%;
+                    max-width: 240px;
+                    height: 0.5rem;
+                    background: #e5e7eb;
+                    border-radius: 9999px;
+                    overflow: hidden;
+                }
+                .level-meter-fill {
+                    height: 100%;
+                    width: 0;
+                    background: #10b981;
+                    transition: width 0.05s linear;
+                }
+                .level-meter-fill.clipping { background: var(--accent-color); }
+                .level-warning { min-height: 1.25rem; margin: 0; font-size: 0.875rem; color: var(--accent-color); }
+                .cleanup-panel {
+                    margin-top: 1rem;
+                    padding: 0.75rem;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 0.5rem;
+                    text-align: left;
+                    font-size: 0.875rem;
+                }
+                .cleanup-panel label {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.5rem;
+                    margin-bottom: 0.5rem;
+                }
+                .cleanup-panel input[type="range"] { flex: 1; }
+                .cleanup-value { min-width: 4.5rem; text-align: right; color: var(--secondary-color); }
+                .cleanup-status { margin: 0.5rem 0 0 0; }
                 
                 .text-gray-500 { color: var(--secondary-color); }
                 .text-gray-400 { color: #9ca3af; }
@@ -98,6 +173,11 @@ class AudioRecorder extends HTMLElement {
                         </svg>
                     </button>
                     <p id="recording-timer" class="text-gray-500 hidden">00:00</p>
+                    <div id="recording-session" class="recording-session hidden">
+                        <div class="level-meter"><div id="level-meter-fill" class="level-meter-fill"></div></div>
+                        <p id="level-warning" class="level-warning"></p>
+                        <button id="pause-btn" class="btn btn-secondary">Pause</button>
+                    </div>
                 </div>
 
                 <div class="my-6 text-gray-400 font-bold">-- OR --</div>
@@ -115,6 +195,32 @@ class AudioRecorder extends HTMLElement {
                         duration="0:00"
                         layout="full">
                     </audio-preview>
+                    <div id="cleanup-panel" class="cleanup-panel hidden">
+                        <label>
+                            Silence below
+                            <input type="range" id="silence-threshold-input" min="-70" max="-20" step="1">
+                            <span id="silence-threshold-value" class="cleanup-value"></span>
+                        </label>
+                        <label>
+                            Fade in/out
+                            <input type="range" id="fade-length-input" min="0" max="1000" step="50">
+                            <span id="fade-length-value" class="cleanup-value"></span>
+                        </label>
+                        <label>
+                            <input type="checkbox" id="auto-cleanup-checkbox">
+                            Clean up new recordings automatically
+                        </label>
+                        <div class="preview-controls">
+                            <button id="cleanup-btn" class="btn btn-secondary">Trim silence &amp; fade</button>
+                            <button id="undo-cleanup-btn" class="btn btn-secondary hidden">Undo (raw take)</button>
+                        </div>
+                        <p id="cleanup-status" class="cleanup-status text-gray-500"></p>
+                    </div>
+                    <textarea 
+                        id="audio-transcript-input" 
+                        class="form-input transcript-input" 
+                        rows="3" 
+                        placeholder="Transcript (optional) - plain text, or WebVTT with cue timings for synced captions"></textarea>
                     <div class="preview-controls">
                         <button id="delete-audio-btn" class="btn btn-secondary">Delete</button>
                         <button id="save-audio-btn" class="btn btn-primary">Save Audio</button>
@@ -126,19 +232,103 @@ class AudioRecorder extends HTMLElement {
 
     setupEventListeners() {
         this.shadowRoot.querySelector('#record-btn').addEventListener('click', () => this.toggleRecording());
+        this.shadowRoot.querySelector('#pause-btn').addEventListener('click', () => this.togglePause());
         this.shadowRoot.querySelector('#music-file-input').addEventListener('change', (e) => this.handleMusicFileUpload(e));
         this.shadowRoot.querySelector('#save-audio-btn').addEventListener('click', () => this.saveAudio());
         this.shadowRoot.querySelector('#delete-audio-btn').addEventListener('click', () => this.resetRecorder());
+        this.shadowRoot.querySelector('#cleanup-btn').addEventListener('click', () => this.cleanUpRecording());
+        this.shadowRoot.querySelector('#undo-cleanup-btn').addEventListener('click', () => this.undoCleanup());
+
+        this.shadowRoot.querySelector('#silence-threshold-input').addEventListener('input', () => {
+            this.updateCleanupLabels();
+            this.saveCleanupSettings();
+        });
+        this.shadowRoot.querySelector('#fade-length-input').addEventListener('input', () => {
+            this.updateCleanupLabels();
+            this.saveCleanupSettings();
+        });
+        this.shadowRoot.querySelector('#auto-cleanup-checkbox').addEventListener('change', () => {
+            this.saveCleanupSettings();
+        });
+    }
+
+    async loadCleanupSettings() {
+        const setting = (await this.db.getSetting('recordingCleanup'))?.value || {};
+        this.shadowRoot.querySelector('#silence-threshold-input').value = setting.thresholdDb ?? DEFAULT_SILENCE_THRESHOLD_DB;
+        this.shadowRoot.querySelector('#fade-length-input').value = setting.fadeMs ?? DEFAULT_FADE_MS;
+        this.shadowRoot.querySelector('#auto-cleanup-checkbox').checked = !!setting.auto;
+        this.updateCleanupLabels();
+    }
+
+    saveCleanupSettings() {
+        this.db.saveSetting('recordingCleanup', this.getCleanupOptions());
+    }
+
+    getCleanupOptions() {
+        return {
+            thresholdDb: parseInt(this.shadowRoot.querySelector('#silence-threshold-input').value),
+            fadeMs: parseInt(this.shadowRoot.querySelector('#fade-length-input').value),
+            auto: this.shadowRoot.querySelector('#auto-cleanup-checkbox').checked
+        };
+    }
+
+    updateCleanupLabels() {
+        const { thresholdDb, fadeMs } = this.getCleanupOptions();
+        this.shadowRoot.querySelector('#silence-threshold-value').textContent = `${thresholdDb} dB`;
+        this.shadowRoot.querySelector('#fade-length-value').textContent = fadeMs ? `${fadeMs} ms` : 'Off';
     }
 
     toggleRecording() {
-        if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
             this.mediaRecorder.stop();
         } else {
             this.startRecording();
         }
     }
 
+    togglePause() {
+        if (!this.mediaRecorder) return;
+
+        if (this.mediaRecorder.state === 'recording') {
+            this.pauseRecording();
+        } else if (this.mediaRecorder.state === 'paused') {
+            this.resumeRecording();
+        }
+    }
+
+    pauseRecording(reason = '') {
+        if (this.mediaRecorder?.state !== 'recording') return;
+
+        this.mediaRecorder.pause();
+        // Flush what was recorded so far, in case the page never comes back
+        this.mediaRecorder.requestData();
+        this.recordedMs += Date.now() - this.recordingStartTime;
+        this.recordingStartTime = null;
+
+        this.shadowRoot.querySelector('#pause-btn').textContent = 'Resume';
+        this.shadowRoot.querySelector('#record-btn').classList.remove('pulse');
+        this.setLevelWarning(reason ? `Paused: ${reason}` : 'Paused');
+        log(reason ? `Recording paused: ${reason}` : 'Recording paused.', reason ? 'warning' : 'info');
+    }
+
+    resumeRecording() {
+        if (this.mediaRecorder?.state !== 'paused') return;
+
+        this.mediaRecorder.resume();
+        this.recordingStartTime = Date.now();
+        this.quietSince = null;
+
+        this.shadowRoot.querySelector('#pause-btn').textContent = 'Pause';
+        this.shadowRoot.querySelector('#record-btn').classList.add('pulse');
+        this.setLevelWarning('');
+        log('Recording resumed.', 'info');
+    }
+
+    // Recorded time, pauses excluded
+    getElapsedMs() {
+        return this.recordedMs + (this.recordingStartTime ? Date.now() - this.recordingStartTime : 0);
+    }
+
     async startRecording() {
         const titleInput = this.shadowRoot.querySelector('#audio-title-input');
         if (!titleInput.value.trim()) {
@@ -149,29 +339,226 @@ class AudioRecorder extends HTMLElement {
 
         try {
             const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            this.stream = stream;
             this.mediaRecorder = new MediaRecorder(stream);
             this.audioChunks = [];
+            this.recordedMs = 0;
             
-            this.mediaRecorder.ondataavailable = event => this.audioChunks.push(event.data);
+            await this.startRecordingSession(titleInput.value.trim());
+            
+            this.mediaRecorder.ondataavailable = event => {
+                if (event.data.size > 0) {
+                    this.audioChunks.push(event.data);
+                    this.persistChunk(event.data);
+                }
+            };
             this.mediaRecorder.onstop = () => {
+                this.currentAudioDuration = Math.floor(this.getElapsedMs() / 1000);
+                this.recordingStartTime = null;
                 this.currentAudioBlob = new Blob(this.audioChunks, { type: 'audio/webm' });
-                this.currentAudioDuration = Math.floor((Date.now() - this.recordingStartTime) / 1000);
+                this.endRecordingSession();
                 this.showAudioPreview();
-                stream.getTracks().forEach(track => track.stop());
                 log('Recording finished. Audio preview ready.', 'success');
-                clearInterval(this.recordingInterval);
+                this.offerCleanup();
+            };
+            this.mediaRecorder.onerror = (event) => {
+                // Stopping keeps every chunk delivered so far
+                log(`Recording error: ${event.error?.message || 'unknown error'}. The take so far was kept.`, 'error');
+                if (this.mediaRecorder.state !== 'inactive') this.mediaRecorder.stop();
             };
             
-            this.mediaRecorder.start();
+            // Unplugged microphone, revoked permission, another app taking the input...
+            stream.getAudioTracks().forEach(track => {
+                track.addEventListener('ended', () => {
+                    if (this.mediaRecorder?.state !== 'inactive') {
+                        log('The microphone stopped. The recording so far was kept.', 'warning');
+                        this.mediaRecorder.stop();
+                    }
+                });
+            });
+            
+            this.mediaRecorder.start(CHUNK_INTERVAL_MS);
             this.recordingStartTime = Date.now();
             this.startRecordingUI();
+            this.startLevelMeter(stream);
+            await this.acquireWakeLock();
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
             log('Recording started.', 'info');
             
         } catch (err) {
             log(`Error accessing microphone: ${err.message}`, 'error');
+            this.endRecordingSession();
+            this.resetRecordingButton();
         }
     }
 
+    async startRecordingSession(title) {
+        this.chunkIndex = 0;
+        this.chunkWrites = Promise.resolve();
+        this.backupFailed = false;
+        try {
+            this.sessionId = await this.db.createRecordingSession({ title, mimeType: 'audio/webm', recordedMs: 0 });
+        } catch (error) {
+            // Recording still works, it just is not crash-safe
+            this.sessionId = null;
+            log(`Could not back up the recording: ${error.message}`, 'warning');
+        }
+    }
+
+    // Writes are chained so chunks land in order, even if one write is slow.
+    // After a failed write the backup stops, later chunks would leave a gap in a recovered take.
+    persistChunk(blob) {
+        if (!this.sessionId || this.backupFailed) return;
+
+        const sessionId = this.sessionId;
+        const index = this.chunkIndex++;
+        const recordedMs = this.getElapsedMs();
+        this.chunkWrites = this.chunkWrites
+            .then(async () => {
+                if (this.backupFailed) return;
+                await this.db.addRecordingChunk(sessionId, index, blob);
+                await this.db.updateRecordingSession(sessionId, { recordedMs });
+            })
+            .catch(error => {
+                if (this.backupFailed) return;
+                this.backupFailed = true;
+                log(`Backup of this recording stopped, it is no longer safe from a crash: ${error.message}`, 'warning');
+            });
+    }
+
+    // The backup is only dropped once the take is saved as a clip or thrown away
+    async discardRecordingSession() {
+        const sessionId = this.sessionId;
+        this.sessionId = null;
+        if (!sessionId) return;
+
+        await this.chunkWrites;
+        try {
+            await this.db.deleteRecordingSession(sessionId);
+        } catch (error) {
+            log(`Could not remove recording backup: ${error.message}`, 'warning');
+        }
+    }
+
+    // Releases everything a live recording holds
+    endRecordingSession() {
+        clearInterval(this.recordingInterval);
+        this.recordingInterval = null;
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.stopLevelMeter();
+        this.releaseWakeLock();
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.stream = null;
+
+        this.shadowRoot.querySelector('#recording-session').classList.add('hidden');
+        this.shadowRoot.querySelector('#pause-btn').textContent = 'Pause';
+        this.setLevelWarning('');
+    }
+
+    // Mobile browsers may suspend a hidden page: pause cleanly instead of losing the take
+    async handleVisibilityChange() {
+        if (!this.mediaRecorder || this.mediaRecorder.state === 'inactive') return;
+
+        if (document.visibilityState === 'hidden') {
+            this.pauseRecording('the app went to the background. Tap Resume to continue.');
+        } else {
+            // Wake locks are released whenever the page is hidden
+            await this.acquireWakeLock();
+        }
+    }
+
+    async acquireWakeLock() {
+        if (!('wakeLock' in navigator) || document.visibilityState !== 'visible') return;
+
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+        } catch (error) {
+            // Not fatal: the screen may just turn off during long takes
+            log(`Screen wake lock unavailable: ${error.message}`, 'info');
+        }
+    }
+
+    releaseWakeLock() {
+        this.wakeLock?.release().catch(() => {});
+        this.wakeLock = null;
+    }
+
+    startLevelMeter(stream) {
+        try {
+            this.meterContext = new AudioContext();
+            const analyser = this.meterContext.createAnalyser();
+            analyser.fftSize = 2048;
+            this.meterContext.createMediaStreamSource(stream).connect(analyser);
+
+            const samples = new Float32Array(analyser.fftSize);
+            const fill = this.shadowRoot.querySelector('#level-meter-fill');
+            this.quietSince = null;
+            this.clippedAt = 0;
+            this.shadowRoot.querySelector('#recording-session').classList.remove('hidden');
+
+            const update = () => {
+                analyser.getFloatTimeDomainData(samples);
+                let peak = 0;
+                let sum = 0;
+                for (const sample of samples) {
+                    const value = Math.abs(sample);
+                    if (value > peak) peak = value;
+                    sum += sample * sample;
+                }
+                const rmsDb = 20 * Math.log10(Math.sqrt(sum / samples.length) || 1e-8);
+
+                // -60 dB to 0 dB across the bar
+                fill.style.width = `${Math.max(0, Math.min(100, ((rmsDb + 60) / 60) * 100))}%`;
+                this.updateLevelWarning(peak, rmsDb);
+
+                this.meterFrame = requestAnimationFrame(update);
+            };
+            update();
+        } catch (error) {
+            log(`Level meter unavailable: ${error.message}`, 'info');
+        }
+    }
+
+    updateLevelWarning(peak, rmsDb) {
+        if (this.mediaRecorder?.state !== 'recording') return;
+
+        const now = Date.now();
+        const fill = this.shadowRoot.querySelector('#level-meter-fill');
+
+        if (peak >= CLIPPING_PEAK) {
+            this.clippedAt = now;
+        }
+        const clipping = now - this.clippedAt < 1500;
+        fill.classList.toggle('clipping', clipping);
+
+        if (rmsDb < TOO_QUIET_RMS_DB) {
+            this.quietSince = this.quietSince || now;
+        } else {
+            this.quietSince = null;
+        }
+        const tooQuiet = this.quietSince && now - this.quietSince > TOO_QUIET_AFTER_MS;
+
+        if (clipping) {
+            this.setLevelWarning('Too loud, move a little away from the microphone');
+        } else if (tooQuiet) {
+            this.setLevelWarning('Very quiet, is the microphone working? Move closer');
+        } else {
+            this.setLevelWarning('');
+        }
+    }
+
+    setLevelWarning(message) {
+        const warning = this.shadowRoot.querySelector('#level-warning');
+        if (warning.textContent !== message) warning.textContent = message;
+    }
+
+    stopLevelMeter() {
+        if (this.meterFrame) cancelAnimationFrame(this.meterFrame);
+        this.meterFrame = null;
+        this.meterContext?.close().catch(() => {});
+        this.meterContext = null;
+    }
+
     startRecordingUI() {
         const recordBtn = this.shadowRoot.querySelector('#record-btn');
         const timer = this.shadowRoot.querySelector('#recording-timer');
@@ -187,31 +574,44 @@ class AudioRecorder extends HTMLElement {
         timer.classList.remove('hidden');
         
         this.recordingInterval = setInterval(() => {
-            const elapsed = Math.floor((Date.now() - this.recordingStartTime) / 1000);
+            const elapsed = Math.floor(this.getElapsedMs() / 1000);
             const minutes = Math.floor(elapsed / 60);
             const seconds = elapsed % 60;
             timer.textContent = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
         }, 1000);
     }
 
-    handleMusicFileUpload(event) {
-        const file = event.target.files[0];
-        if (file) {
-            this.currentAudioBlob = file;
-            this.currentAudioDuration = 0;
-            
-            // Get duration from the file
-            const audio = new Audio();
-            audio.onloadedmetadata = () => {
-                this.currentAudioDuration = audio.duration;
-                URL.revokeObjectURL(audio.src);
-                this.updatePreviewDuration();
-            };
-            audio.src = URL.createObjectURL(file);
-            
-            this.showAudioPreview();
-            log(`Uploaded music file: ${file.name}`, 'success');
+    // Same checks as a library import: real format from the contents and a full decode
+    async handleMusicFileUpload(event) {
+        const input = event.target;
+        const file = input.files[0];
+        if (!file) return;
+
+        let inspected;
+        try {
+            inspected = await audioImportService.inspect(file);
+        } catch (error) {
+            inspected = { ok: false, error: error.message };
+        }
+        if (!inspected.ok) {
+            log(`Cannot use "${file.name}": ${inspected.error}`, 'error');
+            input.value = '';
+            return;
         }
+
+        this.currentAudioBlob = audioImportService.toAudioBlob(inspected);
+        this.currentAudioDuration = inspected.duration;
+        this.rawAudioBlob = null;
+        this.rawAudioDuration = 0;
+        this.shadowRoot.querySelector('#cleanup-panel').classList.add('hidden');
+
+        const titleInput = this.shadowRoot.querySelector('#audio-title-input');
+        if (!titleInput.value.trim()) {
+            titleInput.value = inspected.title;
+        }
+
+        this.showAudioPreview();
+        log(`Uploaded music file: ${file.name}`, 'success');
     }
 
     showAudioPreview() {
@@ -234,6 +634,76 @@ class AudioRecorder extends HTMLElement {
         this.resetRecordingButton();
     }
 
+    // Recordings only: uploaded music is left as the artist mastered it
+    offerCleanup() {
+        this.rawAudioBlob = null;
+        this.rawAudioDuration = 0;
+        this.shadowRoot.querySelector('#cleanup-panel').classList.remove('hidden');
+        this.shadowRoot.querySelector('#undo-cleanup-btn').classList.add('hidden');
+        this.setCleanupStatus('');
+
+        if (this.getCleanupOptions().auto) {
+            this.cleanUpRecording();
+        }
+    }
+
+    async cleanUpRecording() {
+        // Always start from the raw take, so changing the threshold and retrying does not compound
+        const source = this.rawAudioBlob || this.currentAudioBlob;
+        const sourceDuration = this.rawAudioBlob ? this.rawAudioDuration : this.currentAudioDuration;
+        if (!source) return;
+
+        const cleanupBtn = this.shadowRoot.querySelector('#cleanup-btn');
+        cleanupBtn.disabled = true;
+        this.setCleanupStatus('Trimming silence...');
+
+        try {
+            const result = await audioProcessingService.cleanUpRecording(source, this.getCleanupOptions());
+            if (!result) {
+                this.setCleanupStatus('Nothing louder than the threshold was found, the take was left as is.');
+                return;
+            }
+
+            this.rawAudioBlob = source;
+            this.rawAudioDuration = sourceDuration;
+            this.currentAudioBlob = result.blob;
+            this.currentAudioDuration = result.duration;
+            this.refreshPreviewAudio();
+
+            this.shadowRoot.querySelector('#undo-cleanup-btn').classList.remove('hidden');
+            this.setCleanupStatus(`Removed ${result.removedSeconds.toFixed(1)} s of silence.`);
+        } catch (error) {
+            log(`Could not clean up the recording: ${error.message}`, 'error');
+            this.setCleanupStatus('');
+        } finally {
+            cleanupBtn.disabled = false;
+        }
+    }
+
+    undoCleanup() {
+        if (!this.rawAudioBlob) return;
+
+        this.currentAudioBlob = this.rawAudioBlob;
+        this.currentAudioDuration = this.rawAudioDuration;
+        this.rawAudioBlob = null;
+        this.rawAudioDuration = 0;
+        this.refreshPreviewAudio();
+
+        this.shadowRoot.querySelector('#undo-cleanup-btn').classList.add('hidden');
+        this.setCleanupStatus('Back to the raw take.');
+    }
+
+    refreshPreviewAudio() {
+        eventBus.publish('stop-audio');
+        const audioPreview = this.shadowRoot.querySelector('#audio-preview');
+        audioPreview.setAudioBlob(this.currentAudioBlob);
+        this.updatePreviewDuration();
+    }
+
+    setCleanupStatus(message) {
+        this.shadowRoot.querySelector('#cleanup-status').textContent = message;
+    }
+
     updatePreviewDuration() {
         const audioPreview = this.shadowRoot.querySelector('#audio-preview');
         if (audioPreview) {
@@ -258,17 +728,35 @@ class AudioRecorder extends HTMLElement {
         }
         
         const title = this.shadowRoot.querySelector('#audio-title-input').value.trim() || 'Untitled Audio';
+        const transcript = this.shadowRoot.querySelector('#audio-transcript-input').value.trim();
         
-        eventBus.publish('audio-recorded', {
+        const audioData = {
             title: title,
             audioBlob: this.currentAudioBlob,
-            duration: this.currentAudioDuration
-        });
+            duration: this.currentAudioDuration,
+            transcript: transcript,
+            // Saved as a separate clip, so the clean-up can still be undone from the library
+            rawAudioBlob: this.rawAudioBlob,
+            rawDuration: this.rawAudioDuration
+        };
+        
+        // A scoped recorder hands the take to its host only, so it does not land in the open playlist
+        if (this.hasAttribute('scoped')) {
+            this.dispatchEvent(new CustomEvent('audio-recorded', { detail: audioData, bubbles: true, composed: true }));
+        } else {
+            eventBus.publish('audio-recorded', audioData);
+        }
         
         log(`Audio "${title}" ready to save.`, 'success');
+        await this.discardRecordingSession();
         this.resetRecorder();
     }
 
+    // A take is being recorded, or waits in the preview without being saved
+    hasUnsavedTake() {
+        return !!this.currentAudioBlob || (!!this.mediaRecorder && this.mediaRecorder.state !== 'inactive');
+    }
+
     resetRecorder() {
         // Stop any preview playback
         eventBus.publish('stop-audio');
@@ -276,18 +764,27 @@ class AudioRecorder extends HTMLElement {
         this.currentAudioBlob = null;
         this.currentAudioDuration = 0;
         this.previewId = null;
+        this.rawAudioBlob = null;
+        this.rawAudioDuration = 0;
         
-        this.shadowRoot.querySelector('#audio-title-input').value = '';
+        this.shadowRoot.querySelector('#audio-title-input').value = this.defaultTitle || '';
+        this.shadowRoot.querySelector('#audio-transcript-input').value = '';
         this.shadowRoot.querySelector('#music-file-input').value = '';
         this.shadowRoot.querySelector('#audio-preview-section').classList.add('hidden');
+        this.shadowRoot.querySelector('#cleanup-panel').classList.add('hidden');
         this.shadowRoot.querySelector('#recording-timer').classList.add('hidden');
         
-        this.resetRecordingButton();
-        
-        if (this.recordingInterval) {
-            clearInterval(this.recordingInterval);
-            this.recordingInterval = null;
+        // Deleting or leaving mid-recording discards the take
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.onstop = null;
+            this.mediaRecorder.stop();
         }
+        this.endRecordingSession();
+        this.discardRecordingSession();
+        this.recordingStartTime = null;
+        this.recordedMs = 0;
+        
+        this.resetRecordingButton();
     }
 
     formatDuration(seconds) {
@@ -303,7 +800,8 @@ class AudioRecorder extends HTMLElement {
         return {
             title: this.shadowRoot.querySelector('#audio-title-input').value.trim(),
             audioBlob: this.currentAudioBlob,
-            duration: this.currentAudioDuration
+            duration: this.currentAudioDuration,
+            transcript: this.shadowRoot.querySelector('#audio-transcript-input').value.trim()
         };
     }
 
@@ -311,8 +809,10 @@ class AudioRecorder extends HTMLElement {
         return !!this.currentAudioBlob;
     }
 
+    // Pre-fills the title field, e.g. with the name of a template segment. Kept across resets.
     setTitle(title) {
-        this.shadowRoot.querySelector('#audio-title-input').value = title || '';
+        this.defaultTitle = title || '';
+        this.shadowRoot.querySelector('#audio-title-input').value = this.defaultTitle;
     }
 }
 
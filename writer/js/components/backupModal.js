@@ -0,0 +1,223 @@
+// js/components/backupModal.js
+
+import { eventBus } from '../services/eventBus.js';
+import { log } from '../utils/log.js';
+import { MessageDb } from '../services/messageDb.js';
+import { BackupService, BACKUP_FILE_EXTENSION } from '../services/backupService.js';
+import { downloadBlob } from '../utils/domUtils.js';
+import './ui/modal.js';
+
+class BackupModal extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.db = new MessageDb();
+        this.backupService = new BackupService(this.db);
+        this.selectedFile = null;
+        this.isBusy = false;
+        this.render();
+        this.setupEventListeners();
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                .space-y-4 > * + * { margin-top: 1rem; }
+                h3, h4 { margin: 0; }
+
+                .btn { padding: 0.75rem 1.5rem; font-weight: 700; border-radius: 0.5rem; cursor: pointer; border: none; transition: background-color 0.3s ease; }
+                .btn-primary { background-color: var(--primary-color); color: #ffffff; }
+                .btn-primary:hover { background-color: var(--button-hover); }
+                .btn-secondary { background-color: #e5e7eb; color: #1f2937; }
+                .btn-secondary:hover { background-color: #d1d5db; }
+                .btn:disabled { opacity: 0.6; cursor: not-allowed; }
+
+                .section { padding-bottom: 1rem; border-bottom: 1px solid #e5e7eb; }
+                .hint { font-size: 0.8rem; color: var(--secondary-color); margin: 0.25rem 0 0; }
+                .option {
+                    display: flex;
+                    gap: 0.5rem;
+                    align-items: flex-start;
+                    font-size: 0.875rem;
+                    cursor: pointer;
+                }
+                .option small { display: block; color: var(--secondary-color); }
+                .file-input { font-size: 0.875rem; max-width: 100%; }
+                .status-text { font-size: 0.875rem; color: var(--secondary-color); white-space: pre-line; }
+                .status-text.error { color: var(--accent-color); }
+                .actions { display: flex; gap: 0.5rem; }
+                .actions .btn { flex: 1; }
+                .hidden { display: none !important; }
+            </style>
+            <modal-component id="backup-modal">
+                <div class="space-y-4">
+                    <h3>Backup &amp; Restore</h3>
+
+                    <div class="section space-y-4">
+                        <h4>Export</h4>
+                        <p class="hint">Saves every clip, playlist, pebbble record and setting to one file.</p>
+                        <label class="option">
+                            <input type="checkbox" id="include-secrets-checkbox">
+                            <span>Include storage credentials
+                                <small>Anyone with the file can then pin to your storage account.</small>
+                            </span>
+                        </label>
+                        <button id="export-btn" class="btn btn-primary">Export backup</button>
+                    </div>
+
+                    <div class="space-y-4">
+                        <h4>Import</h4>
+                        <input type="file" id="backup-file-input" class="file-input" accept="${BACKUP_FILE_EXTENSION},application/octet-stream">
+                        <div id="import-options" class="space-y-4 hidden">
+                            <label class="option">
+                                <input type="radio" name="import-mode" value="merge" checked>
+                                <span>Merge
+                                    <small>Adds what is missing. Local clips, playlists and settings are kept.</small>
+                                </span>
+                            </label>
+                            <label class="option">
+                                <input type="radio" name="import-mode" value="replace">
+                                <span>Replace
+                                    <small>Deletes local clips, playlists and pebbble records first.</small>
+                                </span>
+                            </label>
+                            <button id="import-btn" class="btn btn-primary">Import backup</button>
+                        </div>
+                    </div>
+
+                    <p id="backup-status" class="status-text hidden"></p>
+
+                    <div class="actions">
+                        <button id="backup-close-btn" class="btn btn-secondary">Close</button>
+                    </div>
+                </div>
+            </modal-component>
+        `;
+    }
+
+    setupEventListeners() {
+        this.shadowRoot.querySelector('#backup-close-btn').addEventListener('click', () => {
+            this.close();
+        });
+
+        this.shadowRoot.querySelector('#export-btn').addEventListener('click', () => {
+            this.exportBackup();
+        });
+
+        this.shadowRoot.querySelector('#backup-file-input').addEventListener('change', (e) => {
+            this.selectFile(e.target.files[0] || null);
+        });
+
+        this.shadowRoot.querySelector('#import-btn').addEventListener('click', () => {
+            this.importBackup();
+        });
+    }
+
+    open() {
+        this.selectedFile = null;
+        this.shadowRoot.querySelector('#backup-file-input').value = '';
+        this.shadowRoot.querySelector('#include-secrets-checkbox').checked = false;
+        this.shadowRoot.querySelector('input[value="merge"]').checked = true;
+        this.shadowRoot.querySelector('#import-options').classList.add('hidden');
+        this.shadowRoot.querySelector('#backup-status').classList.add('hidden');
+        this.shadowRoot.querySelector('#backup-modal').open();
+    }
+
+    close() {
+        if (this.isBusy) return;
+        this.shadowRoot.querySelector('#backup-modal').close();
+    }
+
+    async exportBackup() {
+        const includeSecrets = this.shadowRoot.querySelector('#include-secrets-checkbox').checked;
+        this.setBusy(true);
+        this.updateStatus('Preparing backup...');
+
+        try {
+            const backup = await this.backupService.exportBackup({ includeSecrets });
+            const date = new Date().toISOString().slice(0, 10);
+            downloadBlob(backup, `pebbble-backup-${date}${BACKUP_FILE_EXTENSION}`);
+            this.updateStatus(`Backup saved (${(backup.size / 1024 / 1024).toFixed(1)} MB).`);
+        } catch (error) {
+            log(`Backup export failed: ${error.message}`, 'error');
+            this.updateStatus(`Export failed: ${error.message}`, true);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    // Reads the header straight away, so a wrong file is reported before anything is imported
+    async selectFile(file) {
+        this.selectedFile = null;
+        this.shadowRoot.querySelector('#import-options').classList.add('hidden');
+        if (!file) return;
+
+        try {
+            const { header, summary } = await this.backupService.readBackup(file);
+            this.selectedFile = file;
+            const created = new Date(header.createdAt).toLocaleString();
+            const secrets = header.includesSecrets ? 'includes' : 'does not include';
+            this.updateStatus(`Backup from ${created}: ${summary}.\nIt ${secrets} storage credentials.`);
+            this.shadowRoot.querySelector('#import-options').classList.remove('hidden');
+        } catch (error) {
+            this.updateStatus(error.message, true);
+        }
+    }
+
+    async importBackup() {
+        if (!this.selectedFile) return;
+        const mode = this.shadowRoot.querySelector('input[name="import-mode"]:checked').value;
+
+        if (mode === 'replace' && !confirm('Replace all local clips, playlists and pebbble records with the backup? This cannot be undone.')) {
+            return;
+        }
+
+        this.setBusy(true);
+        this.updateStatus('Importing backup...');
+
+        try {
+            const result = await this.backupService.importBackup(this.selectedFile, { mode });
+            this.updateStatus(this.describeResult(result));
+            eventBus.publish('backup-imported', result);
+        } catch (error) {
+            log(`Backup import failed: ${error.message}`, 'error');
+            this.updateStatus(`Import failed, nothing was changed: ${error.message}`, true);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    describeResult(result) {
+        const line = (label, counts) => {
+            const parts = [`${counts.added} added`];
+            if (counts.skipped) parts.push(`${counts.skipped} already present`);
+            if (counts.renumbered) parts.push(`${counts.renumbered} added under a new ID`);
+            return `${label}: ${parts.join(', ')}`;
+        };
+
+        return [
+            'Import complete.',
+            line('Clips', result.audioClips),
+            line('Playlists', result.playlists),
+            line('Pebbbles', result.finalizedPlaylists),
+            line('Settings', result.settings),
+            ...result.notes
+        ].join('\n');
+    }
+
+    setBusy(isBusy) {
+        this.isBusy = isBusy;
+        ['#export-btn', '#import-btn', '#backup-close-btn', '#backup-file-input'].forEach(selector => {
+            this.shadowRoot.querySelector(selector).disabled = isBusy;
+        });
+    }
+
+    updateStatus(message, isError = false) {
+        const statusEl = this.shadowRoot.querySelector('#backup-status');
+        statusEl.textContent = message;
+        statusEl.classList.toggle('error', isError);
+        statusEl.classList.remove('hidden');
+    }
+}
+
+customElements.define('backup-modal', BackupModal);
@@ -0,0 +1,229 @@
+// js/components/deletePebbbleModal.js
+
+import { eventBus } from '../services/eventBus.js';
+import { log } from '../utils/log.js';
+import { MessageDb } from '../services/messageDb.js';
+import { PebbbleDeletionService } from '../services/pebbbleDeletionService.js';
+import './ui/modal.js';
+
+class DeletePebbbleModal extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.db = new MessageDb();
+        this.finalizedPlaylist = null;
+        this.storageService = null;
+        this.isDeleting = false;
+        this.render();
+        this.setupEventListeners();
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                .space-y-4 > * + * { margin-top: 1rem; }
+                h3 { margin: 0; }
+
+                .btn { padding: 0.75rem 1.5rem; font-weight: 700; border-radius: 0.5rem; cursor: pointer; border: none; transition: background-color 0.3s ease; }
+                .btn-danger { background-color: #dc2626; color: #ffffff; }
+                .btn-danger:hover { background-color: #b91c1c; }
+                .btn-secondary { background-color: #e5e7eb; color: #1f2937; }
+                .btn-secondary:hover { background-color: #d1d5db; }
+                .btn:disabled { opacity: 0.6; cursor: not-allowed; }
+
+                .warning-box {
+                    padding: 0.75rem;
+                    border-radius: 0.5rem;
+                    font-size: 0.875rem;
+                    background-color: #fef2f2;
+                    border: 1px solid #fca5a5;
+                    color: #991b1b;
+                }
+                .option {
+                    display: flex;
+                    gap: 0.5rem;
+                    align-items: flex-start;
+                    font-size: 0.875rem;
+                    cursor: pointer;
+                }
+                .option small { display: block; color: var(--secondary-color); }
+                .progress-list {
+                    list-style: none;
+                    padding: 0;
+                    margin: 0;
+                    max-height: 200px;
+                    overflow-y: auto;
+                    font-size: 0.875rem;
+                }
+                .progress-list li {
+                    display: flex;
+                    justify-content: space-between;
+                    gap: 0.5rem;
+                    padding: 0.25rem 0;
+                    border-bottom: 1px solid #f3f4f6;
+                }
+                .progress-list .status.failed { color: #dc2626; }
+                .progress-list .status.done { color: #059669; }
+                .status-text { font-size: 0.875rem; color: var(--secondary-color); }
+                .actions { display: flex; gap: 0.5rem; }
+                .actions .btn { flex: 1; }
+                .hidden { display: none !important; }
+            </style>
+            <modal-component id="delete-modal">
+                <div class="space-y-4">
+                    <h3 id="delete-title">Delete Pebbble</h3>
+                    <div class="warning-box">
+                        This unpins every encrypted message and the playlist manifest from IPFS.
+                        Once the content is gone from the network, the physical stone will stop working.
+                    </div>
+
+                    <div id="delete-options" class="space-y-4">
+                        <label class="option">
+                            <input type="radio" name="delete-mode" value="keep" checked>
+                            <span>Keep local copy
+                                <small>The pebbble stays in your list, marked as unpinned. Clips are kept.</small>
+                            </span>
+                        </label>
+                        <label class="option">
+                            <input type="radio" name="delete-mode" value="everything">
+                            <span>Delete everything
+                                <small>Also removes the saved playlist and clips no other playlist uses.</small>
+                            </span>
+                        </label>
+                    </div>
+
+                    <p id="delete-status" class="status-text hidden"></p>
+                    <ul id="delete-progress" class="progress-list hidden"></ul>
+
+                    <div class="actions">
+                        <button id="delete-cancel-btn" class="btn btn-secondary">Cancel</button>
+                        <button id="delete-confirm-btn" class="btn btn-danger">Delete</button>
+                    </div>
+                </div>
+            </modal-component>
+        `;
+    }
+
+    setupEventListeners() {
+        this.shadowRoot.querySelector('#delete-cancel-btn').addEventListener('click', () => {
+            this.close();
+        });
+
+        this.shadowRoot.querySelector('#delete-confirm-btn').addEventListener('click', () => {
+            this.runDeletion();
+        });
+    }
+
+    /**
+     * Show the deletion dialog for a finalized playlist
+     * @param {Object} finalizedPlaylist - Row from finalizedPlaylists
+     * @param {StorageService} storageService - Configured storage service
+     */
+    open(finalizedPlaylist, storageService) {
+        this.finalizedPlaylist = finalizedPlaylist;
+        this.storageService = storageService;
+        this.isDeleting = false;
+
+        this.shadowRoot.querySelector('#delete-title').textContent = `Delete "${finalizedPlaylist.name}"`;
+        this.shadowRoot.querySelector('#delete-options').classList.remove('hidden');
+        this.shadowRoot.querySelector('input[value="keep"]').checked = true;
+        this.shadowRoot.querySelector('#delete-status').classList.add('hidden');
+        this.shadowRoot.querySelector('#delete-progress').classList.add('hidden');
+        this.shadowRoot.querySelector('#delete-progress').innerHTML = '';
+
+        const confirmBtn = this.shadowRoot.querySelector('#delete-confirm-btn');
+        confirmBtn.classList.remove('hidden');
+        confirmBtn.disabled = false;
+        const cancelBtn = this.shadowRoot.querySelector('#delete-cancel-btn');
+        cancelBtn.disabled = false;
+        cancelBtn.textContent = 'Cancel';
+
+        this.shadowRoot.querySelector('#delete-modal').open();
+    }
+
+    close() {
+        if (this.isDeleting) return;
+        this.shadowRoot.querySelector('#delete-modal').close();
+    }
+
+    async runDeletion() {
+        const keepLocalCopy = this.shadowRoot.querySelector('input[name="delete-mode"]:checked').value === 'keep';
+        const confirmBtn = this.shadowRoot.querySelector('#delete-confirm-btn');
+        const cancelBtn = this.shadowRoot.querySelector('#delete-cancel-btn');
+
+        this.isDeleting = true;
+        confirmBtn.disabled = true;
+        cancelBtn.disabled = true;
+        this.shadowRoot.querySelector('#delete-options').classList.add('hidden');
+        this.shadowRoot.querySelector('#delete-status').classList.remove('hidden');
+
+        try {
+            const service = new PebbbleDeletionService(this.storageService, this.db);
+            const result = await service.deletePebbble(this.finalizedPlaylist.id, {
+                keepLocalCopy,
+                onProgress: (progress) => this.handleProgress(progress)
+            });
+
+            this.updateStatus(result.success
+                ? 'Pebbble deleted.'
+                : `${result.failed.length} item(s) are still pinned. You can retry the deletion later.`);
+            eventBus.publish('pebbble-deleted', { id: this.finalizedPlaylist.id, success: result.success });
+        } catch (error) {
+            log(`Deletion failed: ${error.message}`, 'error');
+            this.updateStatus(`Deletion failed: ${error.message}`);
+        } finally {
+            this.isDeleting = false;
+            confirmBtn.classList.add('hidden');
+            cancelBtn.disabled = false;
+            cancelBtn.textContent = 'Close';
+        }
+    }
+
+    handleProgress({ stage, items, index, status, error }) {
+        switch (stage) {
+            case 'collecting':
+                this.updateStatus('Looking up pinned content...');
+                break;
+
+            case 'unpinning':
+                if (index === undefined) {
+                    this.renderItems(items);
+                } else {
+                    this.updateStatus(`Unpinning ${index + 1} of ${items.length}...`);
+                    this.updateItem(index, status, error);
+                }
+                break;
+
+            case 'cleaning-database':
+                this.updateStatus('Cleaning local database...');
+                break;
+        }
+    }
+
+    renderItems(items) {
+        const list = this.shadowRoot.querySelector('#delete-progress');
+        list.classList.remove('hidden');
+        list.innerHTML = items.map((item, index) => `
+            <li data-index="${index}" title="${item.cid}">
+                <span>${item.label}</span>
+                <span class="status">Pending</span>
+            </li>
+        `).join('');
+    }
+
+    updateItem(index, status, error) {
+        const statusEl = this.shadowRoot.querySelector(`#delete-progress li[data-index="${index}"] .status`);
+        if (!statusEl) return;
+
+        const labels = { working: 'Unpinning...', done: 'Unpinned', failed: 'Failed' };
+        statusEl.textContent = labels[status];
+        statusEl.className = `status ${status}`;
+        if (error) statusEl.title = error;
+    }
+
+    updateStatus(message) {
+        this.shadowRoot.querySelector('#delete-status').textContent = message;
+    }
+}
+
+customElements.define('delete-pebbble-modal', DeletePebbbleModal);
@@ -3,6 +3,7 @@
 import { eventBus } from '../services/eventBus.js';
 import { log } from '../utils/log.js';
 import './playlistsView.js';
+import './savedPlaylists.js';
 import './ui/fab.js';
 
 class HomeViewComponent extends HTMLElement {
@@ -127,6 +128,12 @@ class HomeViewComponent extends HTMLElement {
                         <p>Build a new playlist with voice recordings and music</p>
                     </article>
                     
+                    <article class="action-card" id="guided-pebbble-card">
+                        <div class="action-icon">📖</div>
+                        <h3>Guided Pebbble</h3>
+                        <p>Record a meditation, bedtime story, birthday or advent pebbble step by step</p>
+                    </article>
+                    
                     <article class="action-card" id="new-recording-card">
                         <div class="action-icon">🎤</div>
                         <h3>Record Audio</h3>
@@ -138,10 +145,35 @@ class HomeViewComponent extends HTMLElement {
                         <h3>Audio Library</h3>
                         <p>Manage and organize all your audio clips</p>
                     </article>
+                    
+                    <article class="action-card" id="pebbble-library-card">
+                        <div class="action-icon">🪨</div>
+                        <h3>Pebbble Library</h3>
+                        <p>Find a finalized pebbble, rewrite its tag or test it in the player</p>
+                    </article>
+                    
+                    <article class="action-card" id="storage-settings-card">
+                        <div class="action-icon">⚙️</div>
+                        <h3>Storage Settings</h3>
+                        <p>Choose where encrypted messages are pinned</p>
+                    </article>
+                    
+                    <article class="action-card" id="player-settings-card">
+                        <div class="action-icon">🔗</div>
+                        <h3>Player Settings</h3>
+                        <p>Choose which player your pebbbles open</p>
+                    </article>
+                    
+                    <article class="action-card" id="backup-card">
+                        <div class="action-icon">💾</div>
+                        <h3>Backup &amp; Restore</h3>
+                        <p>Save all clips and pebbble records to a file, or load them back</p>
+                    </article>
                 </section>
                 
                 <section class="playlists-section">
                     <playlists-view></playlists-view>
+                    <saved-playlists></saved-playlists>
                 </section>
             </div>
             
@@ -156,6 +188,10 @@ class HomeViewComponent extends HTMLElement {
             eventBus.publish('new-playlist-requested');
         });
         
+        this.shadowRoot.querySelector('#guided-pebbble-card').addEventListener('click', () => {
+            eventBus.publish('open-template-wizard');
+        });
+        
         this.shadowRoot.querySelector('#new-recording-card').addEventListener('click', () => {
             log('Creating a new recording...', 'info');
             eventBus.publish('new-recording-requested');
@@ -165,6 +201,22 @@ class HomeViewComponent extends HTMLElement {
             log('Opening audio library...', 'info');
             eventBus.publish('open-audio-library');
         });
+        
+        this.shadowRoot.querySelector('#pebbble-library-card').addEventListener('click', () => {
+            eventBus.publish('open-pebbble-library');
+        });
+        
+        this.shadowRoot.querySelector('#storage-settings-card').addEventListener('click', () => {
+            eventBus.publish('open-storage-settings');
+        });
+        
+        this.shadowRoot.querySelector('#player-settings-card').addEventListener('click', () => {
+            eventBus.publish('open-player-settings');
+        });
+        
+        this.shadowRoot.querySelector('#backup-card').addEventListener('click', () => {
+            eventBus.publish('open-backup');
+        });
     }
 }
 
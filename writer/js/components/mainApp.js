@@ -5,7 +5,10 @@ import { eventBus } from '../services/eventBus.js';
 import { appState } from '../services/appState.js';
 import { MessageDb } from '../services/messageDb.js';
 import { StorageService } from '../services/storageService.js';
+import { PlaylistFinalizationService } from '../services/playlistFinalizationService.js';
 import { audioPlayerService } from '../services/audioPlayerService.js';
+import { audioProcessingService } from '../services/audioProcessingService.js';
+import { formatDuration } from '../utils/audioUtils.js';
 
 // Import all components
 import './apiSetupForm.js';
@@ -15,8 +18,13 @@ import './playlistCreator.js';
 import './audioCreator.js';
 import './audioLibrary.js';          // NEW: Audio Library component
 import './playlistFinalization.js';  
+import './templateWizard.js';
+import './playerSettings.js';
+import './pebbbleLibrary.js';
 import './writerResults.js';         
 import './serialModal.js';           
+import './deletePebbbleModal.js';
+import './backupModal.js';
 import './ui/toast.js';
 import './ui/fab.js';
 import './ui/audioPreview.js';
@@ -56,12 +64,17 @@ class MainApp extends HTMLElement {
                 <audio-creator class="view hidden" id="audioCreator"></audio-creator>
                 <audio-library class="view hidden" id="audioLibrary"></audio-library>
                 <playlist-finalization class="view hidden" id="playlistFinalization"></playlist-finalization>
+                <template-wizard class="view hidden" id="templateWizard"></template-wizard>
+                <player-settings class="view hidden" id="playerSettings"></player-settings>
+                <pebbble-library class="view hidden" id="pebbbleLibrary"></pebbble-library>
             </div>
             
             <!-- Global Components -->
             <toast-component></toast-component>
             <fab-component></fab-component>
             <serial-modal></serial-modal>
+            <delete-pebbble-modal></delete-pebbble-modal>
+            <backup-modal></backup-modal>
         `;
     }
 
@@ -85,6 +98,33 @@ class MainApp extends HTMLElement {
             appState.navigateTo('audioLibrary');
         });
         
+        eventBus.subscribe('open-template-wizard', () => {
+            appState.navigateTo('templateWizard');
+        });
+
+        eventBus.subscribe('open-storage-settings', () => {
+            appState.navigateTo('apiSetupForm');
+        });
+
+        eventBus.subscribe('open-player-settings', () => {
+            appState.navigateTo('playerSettings');
+        });
+
+        // data.id opens one pebbble's details
+        eventBus.subscribe('open-pebbble-library', (data) => {
+            appState.set('pendingPebbbleId', data?.id || null);
+            appState.navigateTo('pebbbleLibrary');
+        });
+        
+        eventBus.subscribe('open-backup', () => {
+            this.shadowRoot.querySelector('backup-modal').open();
+        });
+
+        // Imported settings and records replace what the views loaded at startup
+        eventBus.subscribe('backup-imported', () => {
+            this.refreshAfterImport();
+        });
+        
         eventBus.subscribe('back-to-home', () => {
             appState.navigateTo('homeView');
         });
@@ -102,6 +142,14 @@ class MainApp extends HTMLElement {
         eventBus.subscribe('finalize-playlist-requested', () => {
             this.handleFinalizationRequest();
         });
+        
+        eventBus.subscribe('republish-playlist-requested', (data) => {
+            this.handleRepublishRequest(data.finalizedId);
+        });
+
+        eventBus.subscribe('delete-pebbble-requested', (data) => {
+            this.handleDeletePebbbleRequest(data.id);
+        });
 
         // Modal events
         eventBus.subscribe('show-serial-modal', () => {
@@ -124,10 +172,15 @@ class MainApp extends HTMLElement {
             this.switchToView(newView);
         });
         
-        appState.subscribe('apiCredentials', (credentials) => {
-            if (credentials.isSet) {
-                this.storageService = new StorageService(credentials.key, credentials.secret);
-                log('Storage service initialized with credentials', 'success');
+        appState.subscribe('storageConfig', (config) => {
+            if (config.isSet) {
+                try {
+                    this.storageService = new StorageService(config);
+                    log(`Storage service initialized (${this.storageService.providerId})`, 'success');
+                } catch (error) {
+                    this.storageService = null;
+                    log(`Failed to initialize storage: ${error.message}`, 'error');
+                }
             }
         });
     }
@@ -135,21 +188,24 @@ class MainApp extends HTMLElement {
     async initializeApp() {
         
         try {
-            const apiKey = (await this.db.getSetting('apiKey'))?.value;
-            const secret = (await this.db.getSetting('secret'))?.value;
-            
-            // console.log('📊 Credentials check:', { 
-            //     hasApiKey: !!apiKey, 
-            //     hasSecret: !!secret 
-            // });
+            const storageConfig = await this.loadStorageConfig();
     
-            if (apiKey && secret) {
-                appState.setCredentials(apiKey, secret);
+            if (storageConfig) {
+                appState.setStorageConfig(storageConfig);
                 appState.set('currentView', 'homeView');
                 this.switchToView('homeView');  
+                // Runs in the background, it only touches cancelled jobs
+                this.cleanupCancelledFinalizations();
+                await this.offerRecordingRecovery();
+                await this.offerFinalizationResume();
+                // A resumed finalization takes over the screen, drafts can wait for the next launch
+                if (appState.get('currentView') === 'homeView') {
+                    await this.offerDraftRestore();
+                }
             } else {
                 appState.set('currentView', 'apiSetupForm');
                 this.switchToView('apiSetupForm');  
+                await this.offerRecordingRecovery();
             }
             
             log('MainApp initialized successfully', 'success');
@@ -159,6 +215,164 @@ class MainApp extends HTMLElement {
         }
     }
 
+    /**
+     * Offer to rebuild recordings whose tab crashed or was killed mid-take
+     * from the chunks the recorder backed up while capturing.
+     * A session is only deleted once recovered or discarded on purpose.
+     */
+    async offerRecordingRecovery() {
+        const sessions = await this.db.getRecordingSessions();
+
+        for (const session of sessions) {
+            const chunks = await this.db.getRecordingChunks(session.id);
+            const title = session.title || 'Recovered recording';
+
+            if (chunks.length === 0) {
+                await this.db.deleteRecordingSession(session.id);
+                continue;
+            }
+
+            const audioBlob = new Blob(chunks.map(chunk => chunk.blob), { type: session.mimeType || 'audio/webm' });
+            // The recorder's clock keeps running past the last chunk that reached the database
+            let seconds = null;
+            try {
+                seconds = (await audioProcessingService.decode(audioBlob)).duration;
+            } catch (error) {
+                log(`Backed-up recording "${title}" could not be decoded: ${error.message}`, 'warning');
+            }
+
+            if (seconds !== null && confirm(
+                `Recover interrupted recording "${title}" (${formatDuration(seconds)} backed up)?`
+            )) {
+                await this.db.saveAudioClip(title, audioBlob, seconds);
+                await this.db.deleteRecordingSession(session.id);
+                log(`Recovered recording "${title}" to the audio library`, 'success');
+            } else if (confirm(
+                `Discard the backed-up recording "${title}" for good? Cancel keeps it, you will be asked again next time.`
+            )) {
+                await this.db.deleteRecordingSession(session.id);
+            }
+        }
+    }
+
+    /**
+     * Offer to reopen a playlist that was being edited when the app was
+     * closed or reloaded. Declined drafts are discarded.
+     */
+    async offerDraftRestore() {
+        const drafts = await this.db.getPlaylistDrafts();
+
+        for (const draft of drafts) {
+            const name = draft.name || 'Untitled playlist';
+            const clipCount = draft.audioClipIds?.length || 0;
+            const edited = new Date(draft.timestamp).toLocaleString();
+
+            if (confirm(`Restore unsaved changes to "${name}" (${clipCount} clips, last edited ${edited})?`)) {
+                appState.set('pendingPlaylistData', {
+                    id: draft.playlistId,
+                    name: draft.name,
+                    description: draft.description,
+                    audioClipIds: draft.audioClipIds,
+                    clipSchedules: draft.clipSchedules,
+                    draftId: draft.id
+                });
+                appState.navigateTo('playlistCreator');
+                // Only one playlist can be open, the rest are offered on the next launch
+                return;
+            }
+
+            await this.db.deletePlaylistDraft(draft.id);
+        }
+    }
+
+    /**
+     * Offer to resume a finalization that failed or was interrupted
+     * (tab closed, network lost) in a previous session
+     */
+    async offerFinalizationResume() {
+        const jobs = await this.db.getOpenFinalizationJobs();
+        if (jobs.length === 0) return;
+
+        const job = jobs.sort((a, b) => b.timestamp - a.timestamp)[0];
+        const uploaded = Object.keys(job.processedClips || {}).length;
+        const total = job.audioClipIds.length;
+
+        const resume = confirm(
+            `Finalization of "${job.playlistName}" was interrupted (${uploaded} of ${total} clips uploaded).\n\n` +
+            'Resume where it stopped?'
+        );
+
+        if (resume) {
+            appState.navigateTo('playlistFinalization');
+            this.shadowRoot.querySelector('#playlistFinalization').resumeJob(job, this.storageService);
+            return;
+        }
+
+        if (confirm('Discard the interrupted finalization? Clips already uploaded will be unpinned.')) {
+            const service = new PlaylistFinalizationService(null, this.storageService, this.db);
+            const { remaining } = await service.discardJob(job);
+            log(
+                remaining.length === 0
+                    ? `Discarded interrupted finalization of "${job.playlistName}"`
+                    : `Discarded "${job.playlistName}", ${remaining.length} package(s) will be unpinned later`,
+                'info'
+            );
+        }
+    }
+
+    /**
+     * Retry unpinning packages left over by cancelled finalizations
+     */
+    async cleanupCancelledFinalizations() {
+        try {
+            const service = new PlaylistFinalizationService(null, this.storageService, this.db);
+            const remaining = await service.cleanupCancelledJobs();
+            if (remaining > 0) {
+                log(`${remaining} package(s) from cancelled finalizations are still pinned`, 'info');
+            }
+        } catch (error) {
+            log(`Cleanup of cancelled finalizations failed: ${error.message}`, 'warning');
+        }
+    }
+
+    /**
+     * Reload what an imported backup can replace: the storage settings and the open view.
+     * Other views load their data each time they are opened. The startup prompts are not
+     * run again, a recording in progress must not be offered for recovery.
+     */
+    async refreshAfterImport() {
+        try {
+            const storageConfig = await this.loadStorageConfig();
+            if (storageConfig) {
+                appState.setStorageConfig(storageConfig);
+            }
+
+            const currentView = appState.get('currentView');
+            const viewElement = this.shadowRoot.querySelector(`#${currentView}`);
+            if (viewElement) {
+                this.setupViewData(currentView, viewElement);
+            }
+        } catch (error) {
+            log(`Could not reload data after the import: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Read the pinning provider config, migrating the original
+     * Pinata key/secret settings when no provider was chosen yet
+     */
+    async loadStorageConfig() {
+        const storageConfig = (await this.db.getSetting('storageConfig'))?.value;
+        if (storageConfig) return storageConfig;
+
+        const apiKey = (await this.db.getSetting('apiKey'))?.value;
+        const secret = (await this.db.getSetting('secret'))?.value;
+        if (apiKey && secret) {
+            return { provider: 'pinata', apiKey, secret, jwt: '' };
+        }
+        return null;
+    }
+
     switchToView(viewName) {
         // console.log('🔄 switchToView called with:', viewName);  
 
@@ -187,6 +401,9 @@ class MainApp extends HTMLElement {
             case 'audioCreator':
             case 'audioLibrary':           // NEW: Handle audio library view
             case 'playlistFinalization':
+            case 'templateWizard':
+            case 'playerSettings':
+            case 'pebbbleLibrary':
                 mainContainer.classList.remove('hidden');
                 targetView = this.shadowRoot.querySelector(`#${viewName}`);
                 break;
@@ -205,11 +422,19 @@ class MainApp extends HTMLElement {
 
     setupViewData(viewName, viewElement) {
         switch(viewName) {
+            case 'apiSetupForm':
+                // Editing existing settings: prefill and allow going back
+                if (this.storageService) {
+                    viewElement.querySelector('api-setup-form').setConfig(this.storageService.config);
+                }
+                break;
+
             case 'homeView':
                 const playlistsView = viewElement.shadowRoot?.querySelector('playlists-view');
                 if (playlistsView) {
                     playlistsView.loadPlaylists();
                 }
+                viewElement.shadowRoot?.querySelector('saved-playlists')?.loadPlaylists();
                 break;
                 
             case 'playlistCreator':
@@ -229,25 +454,52 @@ class MainApp extends HTMLElement {
                 viewElement.refresh();
                 log('Opened audio library', 'info');
                 break;
+
+            case 'templateWizard':
+                viewElement.start();
+                break;
+
+            case 'playerSettings':
+                viewElement.load();
+                break;
+
+            case 'pebbbleLibrary':
+                viewElement.load(appState.get('pendingPebbbleId'));
+                appState.set('pendingPebbbleId', null);
+                break;
         }
     }
 
-    async handleCredentialsSet({ apiKey, secret }) {
+    async handleCredentialsSet(storageConfig) {
         try {
-            await this.db.saveSetting('apiKey', apiKey);
-            await this.db.saveSetting('secret', secret);
+            await this.db.saveSetting('storageConfig', storageConfig);
             
-            appState.setCredentials(apiKey, secret);
+            appState.setStorageConfig(storageConfig);
             appState.update({
                 currentView: 'homeView',
                 showFab: true
             });
             
-            appState.showToast('Credentials saved successfully!', 'success');
+            appState.showToast('Storage settings saved successfully!', 'success');
         } catch (error) {
-            log('Failed to save credentials', 'error');
-            appState.showToast('Failed to save credentials', 'error');
+            log('Failed to save storage settings', 'error');
+            appState.showToast('Failed to save storage settings', 'error');
+        }
+    }
+
+    async handleDeletePebbbleRequest(finalizedId) {
+        if (!this.storageService) {
+            appState.showToast('Configure storage settings before deleting a pebbble', 'error');
+            return;
         }
+
+        const finalizedPlaylist = await this.db.getFinalizedPlaylist(finalizedId);
+        if (!finalizedPlaylist) {
+            log('Pebbble not found', 'error');
+            return;
+        }
+
+        this.shadowRoot.querySelector('delete-pebbble-modal').open(finalizedPlaylist, this.storageService);
     }
 
     async handleSavePlaylist(playlistData) {
@@ -256,6 +508,7 @@ class MainApp extends HTMLElement {
                 name: playlistData.name,
                 description: playlistData.description,
                 audioClipIds: playlistData.audioClipIds,
+                clipSchedules: playlistData.clipSchedules || {},
                 timestamp: Date.now()
             };
 
@@ -264,6 +517,7 @@ class MainApp extends HTMLElement {
             }
 
             await this.db.savePlaylist(playlist);
+            await this.shadowRoot.querySelector('#playlistCreator').discardDraft();
 
             appState.update({
                 currentView: 'homeView'
@@ -282,8 +536,15 @@ class MainApp extends HTMLElement {
         const playlistData = {
             clips: playlistCreator.currentPlaylistClips,
             name: playlistCreator.shadowRoot.querySelector('#playlistTitle').value,
-            id: playlistCreator.currentPlaylistId
+            id: playlistCreator.currentPlaylistId,
+            clipSchedules: playlistCreator.getClipSchedules(),
+            updatable: playlistCreator.isUpdatable(),
+            audioFormat: playlistCreator.getAudioFormat(),
+            loudnessMode: playlistCreator.getLoudnessMode(),
+            playerBaseUrl: playlistCreator.getPlayerBaseUrl()
         };
+        // From here the finalization job checkpoints the work
+        await playlistCreator.discardDraft();
 
         appState.navigateTo('playlistFinalization');
         
@@ -291,6 +552,27 @@ class MainApp extends HTMLElement {
         finalizationComponent.reset();
         finalizationComponent.startFinalization(playlistData, this.storageService);
     }
+
+    async handleRepublishRequest(finalizedId) {
+        const playlistCreator = this.shadowRoot.querySelector('#playlistCreator');
+        const finalizedPlaylist = await this.db.getFinalizedPlaylist(finalizedId);
+        
+        const playlistData = {
+            clips: playlistCreator.currentPlaylistClips,
+            name: playlistCreator.shadowRoot.querySelector('#playlistTitle').value,
+            id: playlistCreator.currentPlaylistId,
+            clipSchedules: playlistCreator.getClipSchedules(),
+            audioFormat: playlistCreator.getAudioFormat(),
+            loudnessMode: playlistCreator.getLoudnessMode()
+        };
+        await playlistCreator.discardDraft();
+
+        appState.navigateTo('playlistFinalization');
+        
+        const finalizationComponent = this.shadowRoot.querySelector('#playlistFinalization');
+        finalizationComponent.reset();
+        finalizationComponent.startRepublish(playlistData, finalizedPlaylist, this.storageService);
+    }
 }
 
 customElements.define('main-app', MainApp);
\ No newline at end of file
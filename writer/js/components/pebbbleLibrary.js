@@ -0,0 +1,432 @@
+// js/components/pebbbleLibrary.js
+// Every finalized pebbble on this device: a searchable list, and a detail page
+// with the clips, the tag URL (copy, rewrite, QR) and a link to test it in the player.
+
+import { log } from '../utils/log.js';
+import { eventBus } from '../services/eventBus.js';
+import { MessageDb } from '../services/messageDb.js';
+import { urlParser } from '../utils/urlParser.js';
+import { buildQrPayload } from '../utils/qrUtils.js';
+import { normalizeSerial } from '../utils/validationUtils.js';
+import { formatDuration, formatFileSize } from '../utils/audioUtils.js';
+import './writerResults.js';
+
+class PebbbleLibrary extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.db = new MessageDb();
+        this.pebbbles = [];
+        this.currentPebbble = null;
+
+        this.render();
+        this.setupEventListeners();
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host { display: block; padding: 1rem; }
+                .library { max-width: 900px; margin: 0 auto; }
+                .section { margin-bottom: 1.5rem; padding: 1.5rem; background: #f9fafb; border-radius: 0.75rem; }
+                .space-y-4 > * + * { margin-top: 1rem; }
+                .btn { padding: 0.75rem 1.5rem; font-weight: 700; border-radius: 0.5rem; cursor: pointer; border: none; transition: background-color 0.3s ease; }
+                .btn-primary { background-color: var(--primary-color); color: #ffffff; }
+                .btn-secondary { background-color: #e5e7eb; color: #1f2937; }
+                .btn-danger { background-color: #dc2626; color: #ffffff; }
+                .btn:hover.btn-primary { background-color: var(--button-hover); }
+                .btn:hover.btn-secondary { background-color: #d1d5db; }
+                .btn:disabled { opacity: 0.5; cursor: not-allowed; }
+                .form-input { width: 100%; padding: 0.75rem; border: 2px solid #d1d5db; border-radius: 0.5rem; box-sizing: border-box; }
+                .form-input:focus { outline: none; border-color: var(--primary-color); }
+                .hint { font-size: 0.8rem; color: var(--secondary-color); margin: 0.25rem 0 0; }
+                .actions { display: flex; gap: 0.5rem; justify-content: space-between; flex-wrap: wrap; }
+                .mono { font-family: monospace; word-break: break-all; }
+                .hidden { display: none !important; }
+
+                .pebbble-table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+                .pebbble-table th {
+                    text-align: left;
+                    font-size: 0.75rem;
+                    text-transform: uppercase;
+                    letter-spacing: 0.05em;
+                    color: var(--secondary-color);
+                    padding: 0.5rem;
+                    border-bottom: 2px solid #e5e7eb;
+                }
+                .pebbble-table td { padding: 0.6rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+                .pebbble-table tbody tr { cursor: pointer; }
+                .pebbble-table tbody tr:hover { background: #eef2ff; }
+                .pebbble-name { font-weight: 700; }
+                .badge {
+                    display: inline-block;
+                    margin-left: 0.25rem;
+                    padding: 0.05rem 0.4rem;
+                    border-radius: 999px;
+                    font-size: 0.7rem;
+                    font-weight: 600;
+                    background: #e0e7ff;
+                    color: #3730a3;
+                }
+                .badge.unpinned { background: #fee2e2; color: #991b1b; }
+
+                .detail-grid {
+                    display: grid;
+                    grid-template-columns: max-content 1fr;
+                    gap: 0.4rem 1rem;
+                    font-size: 0.875rem;
+                }
+                .detail-grid dt { font-weight: 600; color: #374151; }
+                .detail-grid dd { margin: 0; }
+                .clip-list { list-style: none; padding: 0; margin: 0; font-size: 0.875rem; }
+                .clip-list li {
+                    display: grid;
+                    grid-template-columns: 2rem 1fr auto;
+                    gap: 0.5rem;
+                    padding: 0.5rem 0;
+                    border-bottom: 1px solid #e5e7eb;
+                }
+                .clip-index { color: var(--secondary-color); }
+                .clip-meta { font-size: 0.75rem; color: var(--secondary-color); }
+                .status-box {
+                    padding: 1rem;
+                    border-radius: 0.5rem;
+                    font-size: 0.875rem;
+                    background-color: #fffbeb;
+                    border: 1px solid #fcd34d;
+                    color: #92400e;
+                }
+
+                @media (max-width: 640px) {
+                    .pebbble-table .optional { display: none; }
+                }
+            </style>
+
+            <div class="library">
+                <!-- List of finalized pebbbles -->
+                <div id="list-view">
+                    <div class="section space-y-4">
+                        <h2>Pebbble Library</h2>
+                        <p class="hint">Every pebbble finalized on this device. Select one to see its clips, copy or rewrite its tag, or test it.</p>
+                        <input type="search" id="search-input" class="form-input" placeholder="Search by name or serial">
+                        <p id="result-count" class="hint"></p>
+                    </div>
+                    <div class="section">
+                        <table class="pebbble-table">
+                            <thead>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>Serial</th>
+                                    <th>Created</th>
+                                    <th>Clips</th>
+                                    <th class="optional">Size</th>
+                                    <th class="optional">Manifest CID</th>
+                                </tr>
+                            </thead>
+                            <tbody id="pebbble-rows"></tbody>
+                        </table>
+                    </div>
+                    <div class="actions">
+                        <button id="back-home-btn" class="btn btn-secondary">Back to Home</button>
+                    </div>
+                </div>
+
+                <!-- One pebbble -->
+                <div id="detail-view" class="hidden">
+                    <div class="section space-y-4">
+                        <h2 id="detail-name"></h2>
+                        <div id="unpinned-warning" class="status-box hidden">
+                            The clips of this pebbble were unpinned. Its tag no longer plays.
+                        </div>
+                        <dl id="detail-grid" class="detail-grid"></dl>
+                    </div>
+
+                    <div class="section space-y-4">
+                        <h3>Clips</h3>
+                        <ul id="clip-list" class="clip-list"></ul>
+                    </div>
+
+                    <div id="tag-section" class="section space-y-4">
+                        <h3>Tag URL</h3>
+                        <writer-results id="tag-results" embedded></writer-results>
+                    </div>
+
+                    <div class="actions">
+                        <button id="back-list-btn" class="btn btn-secondary">Back to Library</button>
+                        <div class="actions">
+                            <button id="open-player-btn" class="btn btn-primary">▶️ Open in Player</button>
+                            <button id="edit-playlist-btn" class="btn btn-secondary">Edit Playlist</button>
+                            <button id="delete-pebbble-btn" class="btn btn-danger">Delete</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        this.shadowRoot.querySelector('#search-input').addEventListener('input', () => this.renderList());
+        this.shadowRoot.querySelector('#pebbble-rows').addEventListener('click', (event) => {
+            const row = event.target.closest('tr[data-id]');
+            if (row) this.showDetail(row.dataset.id);
+        });
+
+        this.shadowRoot.querySelector('#back-home-btn').addEventListener('click', () => {
+            eventBus.publish('back-to-home');
+        });
+        this.shadowRoot.querySelector('#back-list-btn').addEventListener('click', () => this.showList());
+        this.shadowRoot.querySelector('#open-player-btn').addEventListener('click', () => this.openInPlayer());
+        this.shadowRoot.querySelector('#edit-playlist-btn').addEventListener('click', () => this.editPlaylist());
+        this.shadowRoot.querySelector('#delete-pebbble-btn').addEventListener('click', () => {
+            eventBus.publish('delete-pebbble-requested', { id: this.currentPebbble.id });
+        });
+
+        eventBus.subscribe('pebbble-deleted', () => this.refreshAfterDeletion());
+
+        // Rewriting in another format changes what the tag holds
+        eventBus.subscribe('nfc-write-success', (data) => {
+            if (!this.currentPebbble || data.url === this.currentPebbble.nfcUrl) return;
+            if (normalizeSerial(data.serial) !== normalizeSerial(this.currentPebbble.tagSerial)) return;
+            // Saved to the row by writer-results, this keeps the open page in step
+            this.currentPebbble.nfcUrl = data.url;
+        });
+    }
+
+    /**
+     * Called by mainApp each time the view opens
+     * @param {number|null} pebbbleId - Go straight to this pebbble's details
+     */
+    async load(pebbbleId = null) {
+        await this.loadPebbbles();
+        if (pebbbleId) {
+            await this.showDetail(pebbbleId);
+        } else {
+            this.showList();
+        }
+    }
+
+    async loadPebbbles() {
+        this.pebbbles = await this.db.getFinalizedPlaylists();
+        // Newest first, a republish counts as new
+        this.pebbbles.sort((a, b) => (b.republishedAt || b.timestamp) - (a.republishedAt || a.timestamp));
+    }
+
+    showList() {
+        this.currentPebbble = null;
+        this.shadowRoot.querySelector('#tag-results').reset();
+        this.shadowRoot.querySelector('#detail-view').classList.add('hidden');
+        this.shadowRoot.querySelector('#list-view').classList.remove('hidden');
+        this.renderList();
+    }
+
+    /**
+     * @returns {Array} Pebbbles matching the search box
+     */
+    getFilteredPebbbles() {
+        const query = this.shadowRoot.querySelector('#search-input').value.trim().toLowerCase();
+        if (!query) return this.pebbbles;
+
+        // Serials match whatever notation was typed: 04:2D:B7, 042db7...
+        const serialQuery = query.replace(/[^0-9a-f]/g, '');
+        return this.pebbbles.filter(pebbble =>
+            pebbble.name?.toLowerCase().includes(query)
+            || (serialQuery && pebbble.tagSerial?.replace(/:/g, '').toLowerCase().includes(serialQuery))
+        );
+    }
+
+    renderList() {
+        const pebbbles = this.getFilteredPebbbles();
+        const tbody = this.shadowRoot.querySelector('#pebbble-rows');
+        this.shadowRoot.querySelector('#result-count').textContent = pebbbles.length === this.pebbbles.length
+            ? `${this.pebbbles.length} pebbble${this.pebbbles.length === 1 ? '' : 's'}`
+            : `${pebbbles.length} of ${this.pebbbles.length} pebbbles`;
+
+        if (pebbbles.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="6" class="hint">${this.pebbbles.length ? 'No pebbble matches.' : 'No pebbbles finalized yet.'}</td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = '';
+        pebbbles.forEach(pebbble => {
+            const row = document.createElement('tr');
+            row.dataset.id = pebbble.id;
+            row.innerHTML = `
+                <td><span class="pebbble-name"></span>${this.renderBadges(pebbble)}</td>
+                <td class="mono">${pebbble.tagSerial || ''}</td>
+                <td>${new Date(pebbble.timestamp).toLocaleDateString()}</td>
+                <td>${this.getClipCount(pebbble)}</td>
+                <td class="optional">${this.formatTotalSize(pebbble)}</td>
+                <td class="optional mono" title="${pebbble.playlistHash}">${this.shortenCid(pebbble.playlistHash)}</td>
+            `;
+            // Names are typed by the user
+            row.querySelector('.pebbble-name').textContent = pebbble.name;
+            tbody.appendChild(row);
+        });
+    }
+
+    renderBadges(pebbble) {
+        let badges = '';
+        if (pebbble.pointer) badges += '<span class="badge">Updatable</span>';
+        if (pebbble.unpinnedAt) badges += '<span class="badge unpinned">Unpinned</span>';
+        return badges;
+    }
+
+    getClipCount(pebbble) {
+        return pebbble.messages?.length || pebbble.audioClipIds?.length || 0;
+    }
+
+    // Encrypted bytes pinned for this pebbble. Rows finalized before sizes were recorded show a dash.
+    formatTotalSize(pebbble) {
+        const sizes = (pebbble.messages || []).map(message => message.encryptedSize).filter(Boolean);
+        return sizes.length ? formatFileSize(sizes.reduce((sum, size) => sum + size, 0)) : '—';
+    }
+
+    shortenCid(cid) {
+        return cid && cid.length > 16 ? `${cid.slice(0, 8)}…${cid.slice(-6)}` : (cid || '');
+    }
+
+    async showDetail(pebbbleId) {
+        const pebbble = await this.db.getFinalizedPlaylist(pebbbleId);
+        if (!pebbble) {
+            log('Pebbble not found', 'error');
+            this.showList();
+            return;
+        }
+        this.currentPebbble = pebbble;
+
+        this.shadowRoot.querySelector('#list-view').classList.add('hidden');
+        this.shadowRoot.querySelector('#detail-view').classList.remove('hidden');
+        this.shadowRoot.querySelector('#detail-name').textContent = pebbble.name;
+        this.shadowRoot.querySelector('#unpinned-warning').classList.toggle('hidden', !pebbble.unpinnedAt);
+        this.shadowRoot.querySelector('#tag-section').classList.toggle('hidden', !!pebbble.unpinnedAt);
+        this.shadowRoot.querySelector('#open-player-btn').disabled = !!pebbble.unpinnedAt;
+        this.shadowRoot.querySelector('#edit-playlist-btn').disabled = !pebbble.playlistId;
+
+        this.renderDetails(pebbble);
+        await this.renderClips(pebbble);
+
+        const tagResults = this.shadowRoot.querySelector('#tag-results');
+        tagResults.reset();
+        if (!pebbble.unpinnedAt) {
+            const url = this.getNfcUrl(pebbble);
+            await tagResults.setResults({
+                url,
+                compact: urlParser.isCompactUrl(url),
+                playlistHash: pebbble.playlistHash,
+                pointer: pebbble.pointer?.name || null,
+                playerBaseUrl: pebbble.playerBaseUrl,
+                finalizedId: pebbble.id,
+                serial: pebbble.tagSerial,
+                playlistName: pebbble.name
+            });
+        }
+    }
+
+    renderDetails(pebbble) {
+        const entries = [
+            ['Serial', pebbble.tagSerial, true],
+            ['Created', new Date(pebbble.timestamp).toLocaleString()],
+            ...(pebbble.republishedAt ? [['Republished', new Date(pebbble.republishedAt).toLocaleString()]] : []),
+            ['Clips', String(this.getClipCount(pebbble))],
+            ['Total size', this.formatTotalSize(pebbble)],
+            ['Manifest CID', pebbble.playlistHash, true],
+            ...(pebbble.pointer ? [['Pointer', `${pebbble.pointer.name} (revision ${pebbble.pointer.revision})`, true]] : []),
+            ['Player', pebbble.playerBaseUrl || urlParser.getConfiguredBase(), true]
+        ];
+
+        const grid = this.shadowRoot.querySelector('#detail-grid');
+        grid.innerHTML = '';
+        entries.forEach(([label, value, mono]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value || '—';
+            if (mono) dd.className = 'mono';
+            grid.append(dt, dd);
+        });
+    }
+
+    async renderClips(pebbble) {
+        const list = this.shadowRoot.querySelector('#clip-list');
+        const messages = pebbble.messages || [];
+        if (messages.length === 0) {
+            list.innerHTML = '<li class="hint">This pebbble was finalized before clip details were recorded.</li>';
+            return;
+        }
+
+        // Durations come from the local library, the pinned packages are encrypted
+        const localClips = await this.db.getAudioClipsByIds(messages.map(message => message.originalId).filter(Boolean));
+        const durations = new Map(localClips.map(clip => [clip.id, clip.duration]));
+
+        list.innerHTML = '';
+        messages.forEach((message, index) => {
+            const schedule = pebbble.clipSchedules?.[message.originalId];
+            const details = [
+                durations.has(message.originalId) ? formatDuration(durations.get(message.originalId)) : null,
+                message.encryptedSize ? formatFileSize(message.encryptedSize) : null,
+                schedule?.availableFrom ? `unlocks ${schedule.availableFrom}` : null,
+                schedule?.availableTo ? `until ${schedule.availableTo}` : null
+            ].filter(Boolean);
+
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <span class="clip-index">${index + 1}</span>
+                <div>
+                    <div class="clip-title"></div>
+                    <div class="clip-meta mono" title="${message.ipfsHash}">${this.shortenCid(message.ipfsHash)}</div>
+                </div>
+                <span class="clip-meta">${details.join(' · ')}</span>
+            `;
+            item.querySelector('.clip-title').textContent = message.title || 'Untitled';
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * The URL on the tag. Rows from before URLs were recorded get it rebuilt from what is known.
+     * @param {Object} pebbble - Row from finalizedPlaylists
+     * @returns {string}
+     */
+    getNfcUrl(pebbble) {
+        return pebbble.nfcUrl || urlParser.createSecureNfcUrl({
+            playlistHash: pebbble.playlistHash,
+            pointer: pebbble.pointer?.name,
+            baseUrl: pebbble.playerBaseUrl
+        });
+    }
+
+    // Opens the player the way a scanned QR code does, with the serial in the fragment
+    openInPlayer() {
+        try {
+            const url = buildQrPayload(this.getNfcUrl(this.currentPebbble), this.currentPebbble.tagSerial);
+            window.open(url, '_blank', 'noopener');
+        } catch (error) {
+            log(`Cannot open this pebbble in the player: ${error.message}`, 'error');
+        }
+    }
+
+    async editPlaylist() {
+        const playlist = await this.db.getPlaylistById(this.currentPebbble.playlistId);
+        if (playlist) {
+            eventBus.publish('open-playlist', { playlist });
+        } else {
+            log('The playlist this pebbble was made from no longer exists.', 'warning');
+        }
+    }
+
+    async refreshAfterDeletion() {
+        const currentId = this.currentPebbble?.id;
+        await this.loadPebbbles();
+
+        if (currentId && this.pebbbles.some(pebbble => pebbble.id === currentId)) {
+            // Kept as a local record, now unpinned
+            await this.showDetail(currentId);
+        } else if (this.currentPebbble) {
+            this.showList();
+        } else {
+            this.renderList();
+        }
+    }
+}
+
+customElements.define('pebbble-library', PebbbleLibrary);
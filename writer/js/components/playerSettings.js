@@ -0,0 +1,296 @@
+// js/components/playerSettings.js
+// Where tag URLs point: the default player for new pebbbles, and other players
+// (e.g. a staging build) that a single pebbble can be written for from the playlist creator.
+
+import { log } from '../utils/log.js';
+import { eventBus } from '../services/eventBus.js';
+import { MessageDb } from '../services/messageDb.js';
+import { PlayerSettingsService } from '../services/playerSettingsService.js';
+import { urlParser } from '../utils/urlParser.js';
+import { checkUrlFits, DEFAULT_TAG_TYPE } from '../utils/ndefUtils.js';
+
+// Any manifest CID does for the preview, only its length matters
+const SAMPLE_MANIFEST_HASH = 'QmXoypizjW3WknFiJnKLwHCnL72vedxjQkDDP1mXWo6uco';
+
+class PlayerSettings extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.db = new MessageDb();
+        this.playerSettings = new PlayerSettingsService(this.db);
+        this.alternatives = [];
+        this.tagType = DEFAULT_TAG_TYPE;
+
+        this.render();
+        this.setupEventListeners();
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host { display: block; padding: 1rem; }
+                .settings { max-width: 800px; margin: 0 auto; }
+                .section { margin-bottom: 1.5rem; padding: 1.5rem; background: #f9fafb; border-radius: 0.75rem; }
+                .space-y-4 > * + * { margin-top: 1rem; }
+                .btn { padding: 0.75rem 1.5rem; font-weight: 700; border-radius: 0.5rem; cursor: pointer; border: none; transition: background-color 0.3s ease; }
+                .btn-primary { background-color: var(--primary-color); color: #ffffff; }
+                .btn-secondary { background-color: #e5e7eb; color: #1f2937; }
+                .btn:hover.btn-primary { background-color: var(--button-hover); }
+                .btn:hover.btn-secondary { background-color: #d1d5db; }
+                .btn-small { padding: 0.4rem 0.8rem; font-size: 0.8rem; }
+                .form-input { width: 100%; padding: 0.75rem; border: 2px solid #d1d5db; border-radius: 0.5rem; box-sizing: border-box; }
+                .form-input:focus { outline: none; border-color: var(--primary-color); }
+                .form-input.invalid { border-color: var(--accent-color); }
+                .hint { font-size: 0.8rem; color: var(--secondary-color); margin: 0.25rem 0 0; }
+                .hint.error { color: var(--accent-color); }
+                .actions { display: flex; gap: 0.5rem; justify-content: space-between; flex-wrap: wrap; }
+                .add-row { display: grid; grid-template-columns: 1fr 2fr auto; gap: 0.5rem; }
+
+                .player-list { list-style: none; padding: 0; margin: 0; font-size: 0.875rem; }
+                .player-list li {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 0.5rem;
+                    padding: 0.5rem 0;
+                    border-bottom: 1px solid #e5e7eb;
+                }
+                .player-url { color: var(--secondary-color); word-break: break-all; }
+
+                .preview-url {
+                    font-family: monospace;
+                    font-size: 0.8rem;
+                    word-break: break-all;
+                    padding: 0.5rem;
+                    background: #ffffff;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 0.5rem;
+                }
+                .preview-size { font-size: 0.8rem; color: var(--success-color); }
+                .preview-size.error { color: var(--accent-color); }
+            </style>
+
+            <div class="settings">
+                <div class="section space-y-4">
+                    <h2>Player Settings</h2>
+                    <p class="hint">Tags open the player at this address. Pebbbles already written keep the player they were written for.</p>
+                    <label>Default player
+                        <input type="url" id="default-url-input" class="form-input" placeholder="https://example.com/player/">
+                    </label>
+                    <p id="default-url-status" class="hint"></p>
+                    <button id="reset-default-btn" class="btn btn-secondary btn-small">Use built-in player</button>
+                </div>
+
+                <div class="section space-y-4">
+                    <h3>Other players</h3>
+                    <p class="hint">Choose one of these for a single pebbble in the playlist creator, e.g. to test a staging player.</p>
+                    <ul id="player-list" class="player-list"></ul>
+                    <div class="add-row">
+                        <input type="text" id="new-player-label" class="form-input" placeholder="Name, e.g. Staging">
+                        <input type="url" id="new-player-url" class="form-input" placeholder="https://staging.example.com/player/">
+                        <button id="add-player-btn" class="btn btn-secondary">Add</button>
+                    </div>
+                    <p id="new-player-status" class="hint"></p>
+                </div>
+
+                <div class="section space-y-4">
+                    <h3>Tag URL preview</h3>
+                    <p id="preview-label" class="hint"></p>
+                    <div>
+                        <div class="hint">Standard</div>
+                        <div id="preview-standard" class="preview-url"></div>
+                        <div id="preview-standard-size" class="preview-size"></div>
+                    </div>
+                    <div>
+                        <div class="hint">Compact</div>
+                        <div id="preview-compact" class="preview-url"></div>
+                        <div id="preview-compact-size" class="preview-size"></div>
+                    </div>
+                </div>
+
+                <div class="actions">
+                    <button id="back-btn" class="btn btn-secondary">Back to Home</button>
+                    <button id="save-btn" class="btn btn-primary">Save Settings</button>
+                </div>
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        const defaultInput = this.shadowRoot.querySelector('#default-url-input');
+        const newUrlInput = this.shadowRoot.querySelector('#new-player-url');
+
+        defaultInput.addEventListener('input', () => this.checkDefaultUrl());
+        defaultInput.addEventListener('focus', () => this.checkDefaultUrl());
+        newUrlInput.addEventListener('input', () => this.checkNewPlayerUrl());
+        newUrlInput.addEventListener('focus', () => this.checkNewPlayerUrl());
+
+        this.shadowRoot.querySelector('#reset-default-btn').addEventListener('click', () => {
+            defaultInput.value = this.playerSettings.getBuiltInBaseUrl();
+            this.checkDefaultUrl();
+        });
+        this.shadowRoot.querySelector('#add-player-btn').addEventListener('click', () => this.addPlayer());
+        this.shadowRoot.querySelector('#save-btn').addEventListener('click', () => this.save());
+        this.shadowRoot.querySelector('#back-btn').addEventListener('click', () => {
+            eventBus.publish('back-to-home');
+        });
+    }
+
+    // Called by mainApp each time the view opens
+    async load() {
+        this.tagType = (await this.db.getSetting('nfcTagType'))?.value || DEFAULT_TAG_TYPE;
+        this.alternatives = await this.playerSettings.getAlternatives();
+        this.shadowRoot.querySelector('#default-url-input').value = await this.playerSettings.getDefaultBaseUrl();
+        this.shadowRoot.querySelector('#new-player-label').value = '';
+        this.shadowRoot.querySelector('#new-player-url').value = '';
+        this.showStatus('#new-player-status', '');
+        this.renderPlayers();
+        this.checkDefaultUrl();
+    }
+
+    /**
+     * @returns {Object} - Validation result of the default player input
+     */
+    checkDefaultUrl() {
+        const input = this.shadowRoot.querySelector('#default-url-input');
+        const result = this.playerSettings.validateBaseUrl(input.value);
+        input.classList.toggle('invalid', !result.valid);
+
+        const isBuiltIn = result.valid && result.value === this.playerSettings.getBuiltInBaseUrl();
+        this.showStatus('#default-url-status',
+            result.valid ? (isBuiltIn ? 'The built-in player.' : `Tags will open ${result.value}`) : result.error,
+            !result.valid);
+        this.renderPreview(result.valid ? result.value : null, 'Default player');
+        return result;
+    }
+
+    checkNewPlayerUrl() {
+        const input = this.shadowRoot.querySelector('#new-player-url');
+        if (!input.value.trim()) {
+            input.classList.remove('invalid');
+            this.showStatus('#new-player-status', '');
+            return;
+        }
+
+        const result = this.playerSettings.validateBaseUrl(input.value);
+        input.classList.toggle('invalid', !result.valid);
+        this.showStatus('#new-player-status', result.valid ? '' : result.error, true);
+        this.renderPreview(result.valid ? result.value : null, 'New player');
+    }
+
+    addPlayer() {
+        const labelInput = this.shadowRoot.querySelector('#new-player-label');
+        const urlInput = this.shadowRoot.querySelector('#new-player-url');
+        const result = this.playerSettings.validateBaseUrl(urlInput.value);
+        if (!result.valid) {
+            this.showStatus('#new-player-status', result.error, true);
+            return;
+        }
+        if (this.alternatives.some(player => player.url === result.value)) {
+            this.showStatus('#new-player-status', 'This player is already in the list', true);
+            return;
+        }
+
+        this.alternatives.push({
+            label: labelInput.value.trim() || new URL(result.value).hostname,
+            url: result.value
+        });
+        labelInput.value = '';
+        urlInput.value = '';
+        this.showStatus('#new-player-status', 'Added. Save the settings to keep it.');
+        this.renderPlayers();
+    }
+
+    removePlayer(index) {
+        this.alternatives.splice(index, 1);
+        this.renderPlayers();
+    }
+
+    renderPlayers() {
+        const list = this.shadowRoot.querySelector('#player-list');
+        if (this.alternatives.length === 0) {
+            list.innerHTML = '<li class="hint">No other players yet.</li>';
+            return;
+        }
+
+        list.innerHTML = '';
+        this.alternatives.forEach((player, index) => {
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <div>
+                    <div class="player-label"></div>
+                    <div class="player-url"></div>
+                </div>
+                <div>
+                    <button class="btn btn-secondary btn-small preview-btn">Preview</button>
+                    <button class="btn btn-secondary btn-small remove-btn">Remove</button>
+                </div>
+            `;
+            item.querySelector('.player-label').textContent = player.label;
+            item.querySelector('.player-url').textContent = player.url;
+            item.querySelector('.preview-btn').addEventListener('click', () => this.renderPreview(player.url, player.label));
+            item.querySelector('.remove-btn').addEventListener('click', () => this.removePlayer(index));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the URLs a tag would get with this player, and whether they fit the chosen chip
+     * @param {string|null} baseUrl - Validated base URL, null when the input is invalid
+     * @param {string} label - Which player is previewed
+     */
+    renderPreview(baseUrl, label) {
+        this.shadowRoot.querySelector('#preview-label').textContent = baseUrl
+            ? `${label}, for a sample pebbble:`
+            : `${label}: enter a valid URL to see the tag URL.`;
+
+        [['standard', false], ['compact', true]].forEach(([id, compact]) => {
+            const urlEl = this.shadowRoot.querySelector(`#preview-${id}`);
+            const sizeEl = this.shadowRoot.querySelector(`#preview-${id}-size`);
+            if (!baseUrl) {
+                urlEl.textContent = '';
+                sizeEl.textContent = '';
+                return;
+            }
+
+            if (compact && !urlParser.isCompactShorter({ playlistHash: SAMPLE_MANIFEST_HASH, baseUrl })) {
+                urlEl.textContent = '';
+                sizeEl.textContent = 'Not shorter than the standard URL with this player, tags keep the standard URL.';
+                sizeEl.classList.remove('error');
+                return;
+            }
+
+            const url = urlParser.createSecureNfcUrl({ playlistHash: SAMPLE_MANIFEST_HASH, compact, baseUrl });
+            const { size, capacity, fits, label: tagLabel } = checkUrlFits(url, this.tagType);
+            urlEl.textContent = url;
+            sizeEl.textContent = fits
+                ? `${size} of ${capacity} bytes on an ${tagLabel}`
+                : `${size} bytes, too large for an ${tagLabel} (${capacity} bytes)`;
+            sizeEl.classList.toggle('error', !fits);
+        });
+    }
+
+    showStatus(selector, message, isError = false) {
+        const statusEl = this.shadowRoot.querySelector(selector);
+        statusEl.textContent = message;
+        statusEl.classList.toggle('error', isError);
+    }
+
+    async save() {
+        const result = this.checkDefaultUrl();
+        if (!result.valid) {
+            log(result.error, 'warning');
+            return;
+        }
+
+        try {
+            await this.playerSettings.saveDefaultBaseUrl(result.value);
+            await this.playerSettings.saveAlternatives(this.alternatives);
+            log('Player settings saved', 'success');
+        } catch (error) {
+            log(`Failed to save player settings: ${error.message}`, 'error');
+        }
+    }
+}
+
+customElements.define('player-settings', PlayerSettings);
@@ -3,29 +3,53 @@
 import { log } from '../utils/log.js';
 import { eventBus } from '../services/eventBus.js';
 import { MessageDb } from '../services/messageDb.js';
+import { HistoryStack, getHistoryShortcut } from '../services/historyService.js';
 import { audioPlayerService } from '../services/audioPlayerService.js';
+import { validateDateRange } from '../utils/validationUtils.js';
+import { AUDIO_FORMATS, TranscodeService } from '../services/transcodeService.js';
+import { LOUDNESS_MODES, DEFAULT_LOUDNESS_MODE } from '../services/audioProcessingService.js';
+import { PlayerSettingsService } from '../services/playerSettingsService.js';
 import './audioRecorder.js';
 import './ui/audioPreview.js';
 
+// Edits are written to the draft once typing pauses for this long
+const DRAFT_SAVE_DELAY_MS = 800;
+
 class PlaylistCreator extends HTMLElement {
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
         this.db = new MessageDb();
+        this.playerSettings = new PlayerSettingsService(this.db);
         this.currentPlaylistId = null;
         this.currentPlaylistClips = [];
         this.allAvailableClips = [];
+        this.clipSchedules = {};
+        this.updatablePebbble = null;
+        this.draftId = null;
+        this.draftTimer = null;
+        this.draftWrites = Promise.resolve();
+        this.history = new HistoryStack({ onChange: () => this.updateHistoryButtons() });
 
         this.render();
         this.setupEventListeners();
     }
     
     async setPlaylistData(playlist) {
+        // Flush edits to the previous playlist before switching drafts
+        if (this.draftTimer) this.saveDraft();
+        await this.draftWrites;
+        this.draftId = playlist?.draftId || null;
         this.currentPlaylistId = playlist?.id || null;
         this.shadowRoot.querySelector('#playlistTitle').value = playlist?.name || '';
         this.shadowRoot.querySelector('#playlistDescription').value = playlist?.description || '';
+        this.clipSchedules = { ...(playlist?.clipSchedules || {}) };
+        this.history.clear();
         
-        if (playlist) {
+        if (playlist?.draftId) {
+            // Restored drafts keep their own clip order, which may differ from the saved playlist
+            this.currentPlaylistClips = await this.db.getAudioClipsByIds(playlist.audioClipIds || []);
+        } else if (playlist) {
             this.currentPlaylistClips = await this.db.getAudioClipsForPlaylist(playlist.id);
         } else {
             this.currentPlaylistClips = [];
@@ -34,6 +58,89 @@ class PlaylistCreator extends HTMLElement {
         this.allAvailableClips = await this.db.getAllAudioClips();
         this.renderClips();
         this.renderAvailableClips();
+        await this.loadUpdatablePebbble();
+        await this.loadAudioFormat();
+        await this.loadPlayers();
+    }
+
+    // Debounced autosave, so leaving the view or reloading never loses a half-built playlist
+    scheduleDraftSave() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = setTimeout(() => this.saveDraft(), DRAFT_SAVE_DELAY_MS);
+    }
+
+    cancelDraftSave() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+    }
+
+    saveDraft() {
+        this.draftTimer = null;
+        const draft = {
+            playlistId: this.currentPlaylistId,
+            name: this.shadowRoot.querySelector('#playlistTitle').value.trim(),
+            description: this.shadowRoot.querySelector('#playlistDescription').value.trim(),
+            audioClipIds: this.currentPlaylistClips.map(clip => clip.id),
+            clipSchedules: this.getClipSchedules()
+        };
+
+        if (!draft.name && !draft.description && draft.audioClipIds.length === 0) {
+            return this.discardDraft();
+        }
+
+        // Writes are chained so a slow add cannot hand back an ID after the draft was discarded
+        this.draftWrites = this.draftWrites.then(async () => {
+            this.draftId = await this.db.savePlaylistDraft({ ...draft, id: this.draftId });
+        }).catch(error => {
+            log(`Failed to autosave playlist draft: ${error.message}`, 'warning');
+        });
+        return this.draftWrites;
+    }
+
+    // Called once the playlist is saved or handed to finalization
+    discardDraft() {
+        this.cancelDraftSave();
+        this.draftWrites = this.draftWrites.then(async () => {
+            if (!this.draftId) return;
+            const draftId = this.draftId;
+            this.draftId = null;
+            await this.db.deletePlaylistDraft(draftId);
+        }).catch(error => {
+            log(`Failed to remove playlist draft: ${error.message}`, 'warning');
+        });
+        return this.draftWrites;
+    }
+
+    // Codec and volume choices are device-wide preferences, remembered between playlists
+    async loadAudioFormat() {
+        const setting = await this.db.getSetting('audioFormat');
+        const format = AUDIO_FORMATS[setting?.value] ? setting.value : await new TranscodeService().getDefaultFormat();
+        this.shadowRoot.querySelector('#audioFormatSelect').value = format;
+
+        const loudnessSetting = await this.db.getSetting('loudnessMode');
+        const loudnessMode = LOUDNESS_MODES[loudnessSetting?.value] ? loudnessSetting.value : DEFAULT_LOUDNESS_MODE;
+        this.shadowRoot.querySelector('#loudnessModeSelect').value = loudnessMode;
+    }
+
+    // Each pebbble starts on the default player, another one is a choice for this pebbble only
+    async loadPlayers() {
+        const players = await this.playerSettings.getPlayers();
+        const select = this.shadowRoot.querySelector('#playerBaseSelect');
+        select.replaceChildren(...players.map(player => new Option(player.label, player.url)));
+        // A single player leaves nothing to choose, and a republish keeps the player its tag was written for
+        select.closest('label').classList.toggle('hidden', players.length < 2 || !!this.updatablePebbble);
+    }
+
+    // A live updatable pebbble made from this playlist can be republished in place
+    async loadUpdatablePebbble() {
+        const finalized = this.currentPlaylistId
+            ? await this.db.getFinalizedPlaylistsForPlaylist(this.currentPlaylistId)
+            : [];
+        this.updatablePebbble = finalized
+            .filter(row => row.pointer && !row.unpinnedAt)
+            .sort((a, b) => b.timestamp - a.timestamp)[0] || null;
+
+        this.shadowRoot.querySelector('#republishPlaylistBtn').classList.toggle('hidden', !this.updatablePebbble);
     }
 
     render() {
@@ -88,6 +195,48 @@ class PlaylistCreator extends HTMLElement {
                     font-style: italic;
                     padding: 2rem;
                 }
+                
+                .playlist-clip { margin-bottom: 0.75rem; }
+                .schedule-row {
+                    display: flex;
+                    gap: 1rem;
+                    flex-wrap: wrap;
+                    padding: 0 0.75rem;
+                    font-size: 0.75rem;
+                    color: var(--secondary-color);
+                }
+                .schedule-row label { display: flex; align-items: center; gap: 0.5rem; }
+                .schedule-input {
+                    padding: 0.25rem 0.5rem;
+                    border: 1px solid #d1d5db;
+                    border-radius: 0.375rem;
+                    font-size: 0.75rem;
+                }
+                .schedule-input.invalid { border-color: var(--accent-color); }
+                .clips-header-row {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 1rem;
+                }
+                .history-controls, .move-controls { display: flex; gap: 0.25rem; }
+                .move-controls { margin-left: auto; }
+                .btn-small { padding: 0.25rem 0.75rem; font-size: 0.8rem; }
+                .btn:disabled { opacity: 0.5; cursor: not-allowed; }
+                .updatable-option {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.5rem;
+                    font-size: 0.875rem;
+                    color: var(--secondary-color);
+                }
+                .audio-format-select {
+                    padding: 0.25rem 0.5rem;
+                    border: 1px solid #d1d5db;
+                    border-radius: 0.375rem;
+                    font-size: 0.875rem;
+                }
+                .hidden { display: none !important; }
             </style>
             
             <div class="playlist-creator">
@@ -108,7 +257,13 @@ class PlaylistCreator extends HTMLElement {
                 
                 <!-- Current Clips Section -->
                 <div class="section">
-                    <h3 id="clips-header">Playlist Clips (0)</h3>
+                    <div class="clips-header-row">
+                        <h3 id="clips-header">Playlist Clips (0)</h3>
+                        <div class="history-controls">
+                            <button id="undoBtn" class="btn btn-secondary btn-small" title="Undo (Ctrl+Z)" disabled>↶ Undo</button>
+                            <button id="redoBtn" class="btn btn-secondary btn-small" title="Redo (Ctrl+Shift+Z)" disabled>↷ Redo</button>
+                        </div>
+                    </div>
                     <div id="clips-container"></div>
                 </div>
 
@@ -122,8 +277,33 @@ class PlaylistCreator extends HTMLElement {
                 <!-- Actions Section -->
                 <div class="actions-section">
                     <button id="backToHomeBtn" class="btn btn-secondary">Back to Home</button>
+                    <label class="updatable-option" title="The tag gets a stable pointer, so clips can be added or removed later without rewriting it">
+                        <input type="checkbox" id="updatableCheckbox">
+                        Updatable pebbble
+                    </label>
+                    <label class="updatable-option" title="Clips are converted to this format before encryption">
+                        Format
+                        <select id="audioFormatSelect" class="audio-format-select">
+                            ${Object.entries(AUDIO_FORMATS).map(([id, format]) =>
+                                `<option value="${id}">${format.label}</option>`
+                            ).join('')}
+                        </select>
+                    </label>
+                    <label class="updatable-option" title="Brings every clip to the same loudness so nobody gets startled between tracks">
+                        Volume
+                        <select id="loudnessModeSelect" class="audio-format-select">
+                            ${Object.entries(LOUDNESS_MODES).map(([id, mode]) =>
+                                `<option value="${id}">${mode.label}</option>`
+                            ).join('')}
+                        </select>
+                    </label>
+                    <label class="updatable-option" title="The player this pebbble's tag opens. Add players in Player Settings.">
+                        Player
+                        <select id="playerBaseSelect" class="audio-format-select"></select>
+                    </label>
                     <div style="display: flex; gap: 1rem;">
                         <button id="savePlaylistBtn" class="btn btn-primary">Save Playlist</button>
+                        <button id="republishPlaylistBtn" class="btn btn-secondary hidden">Republish</button>
                         <button id="finalizePlaylistBtn" class="btn btn-primary">Finalize Playlist</button>
                     </div>
                 </div>
@@ -142,15 +322,35 @@ class PlaylistCreator extends HTMLElement {
                 return;
             }
             
+            if (!this.validateSchedules()) return;
+            
             const audioClipIds = this.currentPlaylistClips.map(clip => clip.id);
+            this.cancelDraftSave();
             eventBus.publish('save-playlist-requested', { 
                 id: this.currentPlaylistId, 
                 name: playlistTitle, 
                 description: playlistDescription,
-                audioClipIds: audioClipIds
+                audioClipIds: audioClipIds,
+                clipSchedules: this.getClipSchedules()
             });
         });
         
+        this.shadowRoot.querySelector('#playlistTitle').addEventListener('input', () => this.scheduleDraftSave());
+        this.shadowRoot.querySelector('#playlistDescription').addEventListener('input', () => this.scheduleDraftSave());
+        
+        // Write a pending draft straight away when the page is closed or reloaded
+        window.addEventListener('pagehide', () => {
+            if (this.draftTimer) this.saveDraft();
+        });
+        
+        this.shadowRoot.querySelector('#audioFormatSelect').addEventListener('change', (e) => {
+            this.db.saveSetting('audioFormat', e.target.value);
+        });
+        
+        this.shadowRoot.querySelector('#loudnessModeSelect').addEventListener('change', (e) => {
+            this.db.saveSetting('loudnessMode', e.target.value);
+        });
+        
         this.shadowRoot.querySelector('#backToHomeBtn').addEventListener('click', () => {
             eventBus.publish('back-to-home');
         });
@@ -165,15 +365,54 @@ class PlaylistCreator extends HTMLElement {
                 log('Please add some audio clips before finalizing.', 'warning');
                 return;
             }
+            if (!this.validateSchedules()) return;
             eventBus.publish('finalize-playlist-requested');
         });
         
+        this.shadowRoot.querySelector('#republishPlaylistBtn').addEventListener('click', () => {
+            if (!this.updatablePebbble) return;
+            if (this.currentPlaylistClips.length === 0) {
+                log('Please add some audio clips before republishing.', 'warning');
+                return;
+            }
+            if (!this.validateSchedules()) return;
+            if (!confirm(`Publish this version to the pebbble "${this.updatablePebbble.name}"? The tag does not need to be rewritten.`)) return;
+            eventBus.publish('republish-playlist-requested', { finalizedId: this.updatablePebbble.id });
+        });
+        
         // Listen for remove events from audio-preview components
         this.shadowRoot.addEventListener('clip-remove', (e) => {
             const clipId = parseInt(e.detail.clipId);
             this.removeClipFromPlaylist(clipId);
         });
         
+        // Reorder buttons on playlist clips
+        this.shadowRoot.querySelector('#clips-container').addEventListener('click', (e) => {
+            const moveBtn = e.target.closest('.move-btn');
+            if (moveBtn) {
+                this.moveClip(parseInt(moveBtn.dataset.clipId), parseInt(moveBtn.dataset.offset));
+            }
+        });
+        
+        // History
+        this.shadowRoot.querySelector('#undoBtn').addEventListener('click', () => this.undo());
+        this.shadowRoot.querySelector('#redoBtn').addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            // Only the visible view answers the shortcut
+            if (this.offsetParent === null) return;
+            const action = getHistoryShortcut(e);
+            if (!action) return;
+            e.preventDefault();
+            action === 'undo' ? this.undo() : this.redo();
+        });
+        
+        // Unlock/expiry date changes on playlist clips
+        this.shadowRoot.querySelector('#clips-container').addEventListener('change', (e) => {
+            if (e.target.classList.contains('schedule-input')) {
+                this.handleScheduleChange(e.target);
+            }
+        });
+        
         // Handle clicks on available clips
         this.shadowRoot.querySelector('#available-clips-container').addEventListener('click', (e) => {
             if (e.target.closest('.clip-card')) {
@@ -190,27 +429,28 @@ class PlaylistCreator extends HTMLElement {
     
     async handleNewAudio(audioData) {
         try {
-            const { title, audioBlob, duration } = audioData;
+            const { title, audioBlob, duration, transcript = '', rawAudioBlob = null, rawDuration = 0 } = audioData;
             
-            // Save to database
-            const clipId = await this.db.saveAudioClip(title, audioBlob, duration);
+            // Save to database; a cleaned-up recording is added next to its raw take
+            const rawTake = rawAudioBlob ? { audioBlob: rawAudioBlob, duration: rawDuration } : null;
+            const { clipId, rawClipId } = await this.db.saveRecording(title, audioBlob, duration, { transcript }, rawTake);
             const savedClip = { 
                 id: clipId, 
                 title: title, 
                 audioBlob: audioBlob, 
-                duration: duration 
+                duration: duration,
+                transcript: transcript
             };
             
-            // Add to current playlist and available clips
-            this.currentPlaylistClips.push(savedClip);
+            // The clip stays in the library, undo only takes it out of the playlist
             this.allAvailableClips.push(savedClip);
+            if (rawClipId) {
+                this.allAvailableClips.push({ ...savedClip, id: rawClipId, title: `${title} (raw take)`, audioBlob: rawAudioBlob, duration: rawDuration });
+            }
+            await this.recordClipAdd(savedClip);
             
             log(`Audio "${title}" added to playlist.`, 'success');
             
-            // Refresh UI
-            this.renderClips();
-            this.renderAvailableClips();
-            
         } catch (err) { 
             log(`Failed to save audio: ${err.message}`, 'error'); 
         }
@@ -219,22 +459,181 @@ class PlaylistCreator extends HTMLElement {
     async addClipToPlaylist(clipId) {
         const clipToAdd = await this.db.getAudioClip(clipId);
         if (clipToAdd && !this.currentPlaylistClips.some(clip => clip.id === clipId)) {
-            this.currentPlaylistClips.push(clipToAdd);
-            this.renderClips();
-            this.renderAvailableClips();
+            await this.recordClipAdd(clipToAdd);
             log(`Clip "${clipToAdd.title}" added to playlist.`, 'info');
         }
     }
     
-    removeClipFromPlaylist(id) {
+    async removeClipFromPlaylist(id) {
         const clipIndex = this.currentPlaylistClips.findIndex(clip => clip.id === id);
-        if (clipIndex > -1) {
-            const removedClip = this.currentPlaylistClips[clipIndex];
-            this.currentPlaylistClips.splice(clipIndex, 1);
-            this.renderClips();
-            this.renderAvailableClips();
-            log(`Clip "${removedClip.title}" removed from playlist.`, 'info');
+        if (clipIndex === -1) return;
+        
+        const removedClip = this.currentPlaylistClips[clipIndex];
+        const schedule = this.clipSchedules[id];
+        const command = {
+            label: `remove "${removedClip.title}"`,
+            execute: () => this.takeClip(id),
+            undo: () => this.insertClip(removedClip, clipIndex, schedule)
+        };
+        await this.history.execute(command);
+        
+        log(`Clip "${removedClip.title}" removed from playlist.`, 'info');
+        eventBus.publish('show-toast', {
+            message: `Removed "${removedClip.title}"`,
+            type: 'info',
+            action: { label: 'Undo', onClick: () => this.undo(command) }
+        });
+    }
+    
+    async moveClip(id, offset) {
+        const from = this.currentPlaylistClips.findIndex(clip => clip.id === id);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= this.currentPlaylistClips.length) return;
+        
+        await this.history.execute({
+            label: `move "${this.currentPlaylistClips[from].title}"`,
+            execute: () => this.moveClipTo(id, to),
+            undo: () => this.moveClipTo(id, from)
+        });
+    }
+    
+    // Adds go to the end of the playlist; undo takes the clip back out
+    async recordClipAdd(clip) {
+        const index = this.currentPlaylistClips.length;
+        await this.history.execute({
+            label: `add "${clip.title}"`,
+            execute: () => this.insertClip(clip, index),
+            undo: () => this.takeClip(clip.id)
+        });
+    }
+    
+    // Primitive edits the history commands are built from
+    insertClip(clip, index, schedule = null) {
+        this.currentPlaylistClips.splice(index, 0, clip);
+        if (schedule) {
+            this.clipSchedules[clip.id] = { ...schedule };
         }
+        this.onClipsChanged();
+    }
+    
+    takeClip(id) {
+        const index = this.currentPlaylistClips.findIndex(clip => clip.id === id);
+        if (index === -1) return;
+        this.currentPlaylistClips.splice(index, 1);
+        delete this.clipSchedules[id];
+        this.onClipsChanged();
+    }
+    
+    moveClipTo(id, index) {
+        const from = this.currentPlaylistClips.findIndex(clip => clip.id === id);
+        if (from === -1) return;
+        const [clip] = this.currentPlaylistClips.splice(from, 1);
+        this.currentPlaylistClips.splice(index, 0, clip);
+        this.onClipsChanged();
+    }
+    
+    onClipsChanged() {
+        this.renderClips();
+        this.renderAvailableClips();
+        this.scheduleDraftSave();
+    }
+    
+    /**
+     * @param {Object|null} command - Only revert this command (a toast's Undo), instead of the last one
+     */
+    async undo(command = null) {
+        try {
+            const undone = command ? await this.history.undoCommand(command) : await this.history.undo();
+            if (undone) {
+                log(`Undid ${undone.label}`, 'info');
+            } else if (command) {
+                log(`Cannot undo ${command.label}, other changes were made since`, 'warning');
+            }
+        } catch (error) {
+            log(`Failed to undo: ${error.message}`, 'error');
+        }
+    }
+    
+    async redo() {
+        try {
+            const command = await this.history.redo();
+            if (command) log(`Redid ${command.label}`, 'info');
+        } catch (error) {
+            log(`Failed to redo: ${error.message}`, 'error');
+        }
+    }
+    
+    updateHistoryButtons() {
+        this.shadowRoot.querySelector('#undoBtn').disabled = !this.history.canUndo;
+        this.shadowRoot.querySelector('#redoBtn').disabled = !this.history.canRedo;
+    }
+
+    handleScheduleChange(input) {
+        const clipId = parseInt(input.dataset.clipId);
+        const field = input.dataset.field;
+        const schedule = { ...(this.clipSchedules[clipId] || {}) };
+        
+        if (input.value) {
+            schedule[field] = input.value;
+        } else {
+            delete schedule[field];
+        }
+        
+        const result = validateDateRange(schedule.availableFrom, schedule.availableTo);
+        input.closest('.schedule-row').querySelectorAll('.schedule-input').forEach(el => {
+            el.classList.toggle('invalid', !result.valid);
+        });
+        if (!result.valid) {
+            log(result.error, 'warning');
+        }
+        
+        if (schedule.availableFrom || schedule.availableTo) {
+            this.clipSchedules[clipId] = schedule;
+        } else {
+            delete this.clipSchedules[clipId];
+        }
+        this.scheduleDraftSave();
+    }
+
+    validateSchedules() {
+        for (const clip of this.currentPlaylistClips) {
+            const schedule = this.clipSchedules[clip.id];
+            if (!schedule) continue;
+            
+            const result = validateDateRange(schedule.availableFrom, schedule.availableTo);
+            if (!result.valid) {
+                log(`"${clip.title}": ${result.error}`, 'warning');
+                return false;
+            }
+        }
+        return true;
+    }
+
+    isUpdatable() {
+        return this.shadowRoot.querySelector('#updatableCheckbox').checked;
+    }
+
+    getAudioFormat() {
+        return this.shadowRoot.querySelector('#audioFormatSelect').value;
+    }
+
+    getLoudnessMode() {
+        return this.shadowRoot.querySelector('#loudnessModeSelect').value;
+    }
+
+    getPlayerBaseUrl() {
+        return this.shadowRoot.querySelector('#playerBaseSelect').value || null;
+    }
+
+    // Date locks for the clips currently in the playlist, keyed by clip ID
+    getClipSchedules() {
+        const schedules = {};
+        for (const clip of this.currentPlaylistClips) {
+            if (this.clipSchedules[clip.id]) {
+                schedules[clip.id] = { ...this.clipSchedules[clip.id] };
+            }
+        }
+        return schedules;
     }
 
     async renderAvailableClips() {
@@ -291,7 +690,12 @@ class PlaylistCreator extends HTMLElement {
             return;
         }
 
-        for (const clip of this.currentPlaylistClips) {
+        const lastIndex = this.currentPlaylistClips.length - 1;
+        this.currentPlaylistClips.forEach((clip, index) => {
+            const schedule = this.clipSchedules[clip.id] || {};
+            const clipRow = document.createElement('div');
+            clipRow.className = 'playlist-clip';
+            
             // Create audio preview component for playlist clips
             const audioPreview = document.createElement('audio-preview');
             audioPreview.setAttribute('clip-id', clip.id.toString());
@@ -300,8 +704,26 @@ class PlaylistCreator extends HTMLElement {
             audioPreview.setAttribute('layout', 'playlist');
             audioPreview.setAudioBlob(clip.audioBlob);
             
-            container.appendChild(audioPreview);
-        }
+            // Optional date lock: the player hides the clip before the unlock date and after expiry
+            const scheduleRow = document.createElement('div');
+            scheduleRow.className = 'schedule-row';
+            scheduleRow.innerHTML = `
+                <label>Unlocks
+                    <input type="date" class="schedule-input" data-clip-id="${clip.id}" data-field="availableFrom" value="${schedule.availableFrom || ''}">
+                </label>
+                <label>Expires
+                    <input type="date" class="schedule-input" data-clip-id="${clip.id}" data-field="availableTo" value="${schedule.availableTo || ''}">
+                </label>
+                <div class="move-controls">
+                    <button class="btn btn-secondary btn-small move-btn" data-clip-id="${clip.id}" data-offset="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                    <button class="btn btn-secondary btn-small move-btn" data-clip-id="${clip.id}" data-offset="1" title="Move down" ${index === lastIndex ? 'disabled' : ''}>▼</button>
+                </div>
+            `;
+            
+            clipRow.appendChild(audioPreview);
+            clipRow.appendChild(scheduleRow);
+            container.appendChild(clipRow);
+        });
     }
 }
 
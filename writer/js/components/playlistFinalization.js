@@ -5,7 +5,8 @@ import { eventBus } from '../services/eventBus.js';
 import { EncryptionService } from '../services/encryptionService.js';
 import { StorageService } from '../services/storageService.js';
 import { MessageDb } from '../services/messageDb.js';
-import { urlParser } from '../utils/urlParser.js';
+import { PlaylistFinalizationService } from '../services/playlistFinalizationService.js';
+import { TranscodeService, AUDIO_FORMATS } from '../services/transcodeService.js';
 import './writerResults.js';
 
 class PlaylistFinalization extends HTMLElement {
@@ -17,12 +18,21 @@ class PlaylistFinalization extends HTMLElement {
         this.db = new MessageDb();
         this.encryptionService = new EncryptionService();
         this.storageService = null;
+        this.finalizationService = null;
+        this.abortController = null;
         
         // State
         this.currentPlaylistClips = [];
         this.currentPlaylistName = '';
         this.currentPlaylistId = null;
+        this.currentClipSchedules = {};
         this.currentTagSerial = null;
+        this.currentJobId = null;
+        this.currentUpdatable = false;
+        this.currentAudioFormat = undefined;
+        this.currentLoudnessMode = undefined;
+        this.currentPlayerBaseUrl = null;
+        this.isRunning = false;
         
         this.render();
         this.setupEventListeners();
@@ -69,6 +79,13 @@ class PlaylistFinalization extends HTMLElement {
                 .btn-secondary:hover {
                     background-color: #d1d5db;
                 }
+                .btn-primary {
+                    background-color: var(--primary-color);
+                    color: #ffffff;
+                }
+                .btn-primary:hover {
+                    background-color: var(--button-hover);
+                }
                 .hidden { display: none; }
             </style>
             
@@ -80,6 +97,7 @@ class PlaylistFinalization extends HTMLElement {
                         <span id="progress-text"></span>
                     </div>
                 </div>
+                <button id="resume-btn" class="btn btn-primary hidden">Resume</button>
                 <button id="cancel-btn" class="btn btn-secondary hidden">Cancel</button>
             </div>
             
@@ -98,6 +116,12 @@ class PlaylistFinalization extends HTMLElement {
             this.handleCancel();
         });
 
+        // Resume after a failure, skipping clips that were already uploaded
+        this.shadowRoot.querySelector('#resume-btn').addEventListener('click', () => {
+            this.clearError();
+            this.resumeCurrentJob();
+        });
+
         // From results view
         eventBus.subscribe('navigate-to-home', () => {
             eventBus.publish('back-to-home');
@@ -109,6 +133,11 @@ class PlaylistFinalization extends HTMLElement {
         this.currentPlaylistClips = playlistData.clips || [];
         this.currentPlaylistName = playlistData.name || 'Untitled Playlist';
         this.currentPlaylistId = playlistData.id || null;
+        this.currentClipSchedules = playlistData.clipSchedules || {};
+        this.currentUpdatable = !!playlistData.updatable;
+        this.currentAudioFormat = playlistData.audioFormat;
+        this.currentLoudnessMode = playlistData.loudnessMode;
+        this.currentPlayerBaseUrl = playlistData.playerBaseUrl || null;
         this.storageService = storageService;
 
         if (this.currentPlaylistClips.length === 0) {
@@ -117,17 +146,102 @@ class PlaylistFinalization extends HTMLElement {
         }
 
         if (!this.storageService) {
-            this.showError('Storage service not available. Please check your API credentials.');
+            this.showError('Storage service not available. Please check your storage settings.');
+            return;
+        }
+
+        if (this.currentUpdatable && !this.storageService.supportsPointers) {
+            this.showError('Updatable pebbbles need an IPFS node (Kubo) or Pinning Service API provider. Change it in Storage Settings.');
             return;
         }
 
+        if (!await this.checkAudioFormat()) return;
+
         // Request serial number via modal
         this.updateStatus(`Ready to finalize "${this.currentPlaylistName}"`);
         eventBus.publish('show-serial-modal');
     }
 
+    /**
+     * Publish a new version of an updatable pebbble. The serial is known
+     * from the original finalization, so no scan is needed.
+     * @param {Object} playlistData - { clips, name, id, clipSchedules, audioFormat, loudnessMode }
+     * @param {Object} finalizedPlaylist - Row from finalizedPlaylists
+     * @param {StorageService} storageService - Configured storage service
+     */
+    async startRepublish(playlistData, finalizedPlaylist, storageService) {
+        this.currentPlaylistClips = playlistData.clips || [];
+        this.currentPlaylistName = playlistData.name || finalizedPlaylist.name;
+        this.currentPlaylistId = playlistData.id || null;
+        this.currentClipSchedules = playlistData.clipSchedules || {};
+        this.currentTagSerial = finalizedPlaylist.tagSerial;
+        this.currentAudioFormat = playlistData.audioFormat;
+        this.currentLoudnessMode = playlistData.loudnessMode;
+        this.storageService = storageService;
+
+        if (!this.storageService) {
+            this.showError('Storage service not available. Please check your storage settings.');
+            return;
+        }
+
+        if (!await this.checkAudioFormat()) return;
+
+        this.updateStatus(`Republishing "${this.currentPlaylistName}"`);
+        await this.executeFinalization((service, onProgress, signal) =>
+            service.republishPlaylist({
+                finalizedId: finalizedPlaylist.id,
+                clips: this.currentPlaylistClips,
+                playlistName: this.currentPlaylistName,
+                clipSchedules: this.currentClipSchedules,
+                audioFormat: this.currentAudioFormat,
+                loudnessMode: this.currentLoudnessMode,
+                signal,
+                onProgress
+            })
+        );
+    }
+
+    /**
+     * Stop before the tag scan when the browser cannot encode the chosen format,
+     * rather than after the first clips were uploaded
+     * @returns {Promise<boolean>}
+     */
+    async checkAudioFormat() {
+        const transcodeService = new TranscodeService();
+        this.currentAudioFormat = this.currentAudioFormat || await transcodeService.getDefaultFormat();
+        const format = this.currentAudioFormat;
+        if (await transcodeService.isFormatSupported(format)) return true;
+
+        this.showError(`This browser cannot encode ${AUDIO_FORMATS[format].label}. Choose another audio format in the playlist creator, or finalize in a browser that can (e.g. Chrome).`);
+        return false;
+    }
+
+    /**
+     * Resume a job left over from a previous session
+     * @param {Object} job - Row from finalizationJobs
+     * @param {StorageService} storageService - Configured storage service
+     */
+    async resumeJob(job, storageService) {
+        this.reset();
+        this.storageService = storageService;
+        this.currentPlaylistName = job.playlistName;
+        this.currentPlaylistId = job.playlistId;
+        this.currentClipSchedules = job.clipSchedules || {};
+        this.currentTagSerial = job.tagSerial;
+        this.currentJobId = job.id;
+
+        await this.resumeCurrentJob();
+    }
+
+    async resumeCurrentJob() {
+        await this.executeFinalization((service, onProgress, signal) =>
+            service.resumeFinalization(this.currentJobId, onProgress, signal)
+        );
+    }
+
     async handleSerialReceived(serial) {
         this.currentTagSerial = serial;
+        this.currentJobId = null;
         eventBus.publish('hide-serial-modal');
         
         // Start the finalization process
@@ -135,85 +249,86 @@ class PlaylistFinalization extends HTMLElement {
     }
 
     async runFinalization() {
-        const statusEl = this.shadowRoot.querySelector('#status-message');
+        this.updateStatus(`Starting finalization for "${this.currentPlaylistName}"`);
+
+        await this.executeFinalization((service, onProgress, signal) =>
+            service.finalizePlaylist({
+                clips: this.currentPlaylistClips,
+                tagSerial: this.currentTagSerial,
+                playlistName: this.currentPlaylistName,
+                playlistId: this.currentPlaylistId,
+                audioClipIds: this.currentPlaylistClips.map(c => c.id),
+                clipSchedules: this.currentClipSchedules,
+                jobId: this.currentJobId,
+                updatable: this.currentUpdatable,
+                audioFormat: this.currentAudioFormat,
+                loudnessMode: this.currentLoudnessMode,
+                playerBaseUrl: this.currentPlayerBaseUrl,
+                signal,
+                onProgress
+            })
+        );
+    }
+
+    /**
+     * Runs a finalization (new or resumed) with a live Cancel button
+     * @param {Function} run - (service, onProgress, signal) => Promise<result>
+     */
+    async executeFinalization(run) {
         const progressEl = this.shadowRoot.querySelector('#progress-info');
         const progressTextEl = this.shadowRoot.querySelector('#progress-text');
+        const cancelBtn = this.shadowRoot.querySelector('#cancel-btn');
+        
+        this.finalizationService = new PlaylistFinalizationService(
+            this.encryptionService,
+            this.storageService,
+            this.db
+        );
+        // Created here so a Cancel during the service's setup is not lost
+        this.abortController = new AbortController();
+        this.isRunning = true;
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.disabled = false;
+        cancelBtn.classList.remove('hidden');
         
         try {
-            this.updateStatus(`Starting finalization for "${this.currentPlaylistName}"`);
             progressEl.classList.remove('hidden');
 
-            // Create playlist manifest
-            const playlistManifest = { 
-                version: 'playlist-v1', 
-                messages: [] 
-            };
-
-            // Process each audio clip
-            for (let i = 0; i < this.currentPlaylistClips.length; i++) {
-                const message = this.currentPlaylistClips[i];
-                
-                progressTextEl.textContent = `Processing clip ${i + 1} of ${this.currentPlaylistClips.length}: "${message.title}"`;
-                
-                try {
-                    const timestamp = Date.now();
-                    const encryptionKey = await this.encryptionService.deriveEncryptionKey(this.currentTagSerial, timestamp);
-                    const audioBuffer = await message.audioBlob.arrayBuffer();
-                    const encryptedAudio = await this.encryptionService.encryptDataToBinary(audioBuffer, encryptionKey);
-                    
-                    const messagePackage = {
-                        messageId: `PBB-${message.id}`,
-                        timestamp: timestamp,
-                        encryptedAudio: this.encryptionService.binToBase64(encryptedAudio),
-                        metadata: { title: message.title }
-                    };
-                    
-                    const ipfsHash = await this.storageService.uploadMessagePackage(messagePackage);
-                    playlistManifest.messages.push({ 
-                        messageId: messagePackage.messageId, 
-                        ipfsHash: ipfsHash 
-                    });
-                    
-                    log(`Uploaded clip "${message.title}" (ID: ${message.id})`, 'success');
-                    
-                } catch (err) {
-                    log(`Failed to process message "${message.title}": ${err.message}`, 'error');
-                    throw new Error(`Failed to upload clip "${message.title}". Please check your internet connection and Pinata credentials.`);
-                }
-            }
+            const result = await run(this.finalizationService, (progress) => {
+                this.handleProgress(progress, progressTextEl);
+            }, this.abortController.signal);
             
-            // Upload final manifest
-            if (playlistManifest.messages.length > 0) {
-                this.updateStatus('All clips uploaded. Creating final playlist manifest...');
-                
-                const finalManifestHash = await this.storageService.uploadMessagePackage(playlistManifest);
-                const finalNfcUrl = urlParser.createSecureNfcUrl({ playlistHash: finalManifestHash });
-                
-                // Save to database
-                const audioClipIds = this.currentPlaylistClips.map(c => c.id);
-                await this.db.saveFinalizedPlaylist(
-                    this.currentPlaylistName, 
-                    finalManifestHash, 
-                    this.currentTagSerial, 
-                    audioClipIds
-                );
-                
-                log(`Playlist "${this.currentPlaylistName}" finalized and saved.`, 'success');
-                
-                // Show results
-                this.showResults(finalNfcUrl);
-                
-            } else {
-                throw new Error('No clips were successfully processed.');
-            }
+            log(`Playlist "${this.currentPlaylistName}" finalized and saved.`, 'success');
+            
+            // Show results
+            this.showResults(result);
             
         } catch (err) {
-            log(`Finalization failed: ${err.message}`, 'error');
-            this.showError(err.message || 'An error occurred during finalization.');
+            if (err.name === 'AbortError') {
+                this.showCancelled();
+            } else {
+                log(`Finalization failed: ${err.message}`, 'error');
+                this.showError(err.message || 'An error occurred during finalization.');
+            }
+        } finally {
+            this.isRunning = false;
+            this.finalizationService = null;
+            this.abortController = null;
         }
     }
 
-    showResults(nfcUrl) {
+    handleProgress(progress, progressTextEl) {
+        if (progress.jobId) {
+            this.currentJobId = progress.jobId;
+        }
+        if (progress.stage === 'processing-clip') {
+            progressTextEl.textContent = progress.message;
+        } else {
+            this.updateStatus(progress.message);
+        }
+    }
+
+    showResults(result) {
         const processingView = this.shadowRoot.querySelector('#processing-view');
         const resultsView = this.shadowRoot.querySelector('#results-view');
         
@@ -222,9 +337,15 @@ class PlaylistFinalization extends HTMLElement {
         
         // Configure results component
         resultsView.setResults({
-            url: nfcUrl,
+            url: result.url,
+            playlistHash: result.playlistHash,
+            pointer: result.pointer,
+            playerBaseUrl: result.playerBaseUrl,
+            finalizedId: result.finalizedId,
             serial: this.currentTagSerial,
             playlistName: this.currentPlaylistName
+        }).catch(error => {
+            log(`Could not load the tag settings: ${error.message}`, 'error');
         });
     }
 
@@ -245,9 +366,37 @@ class PlaylistFinalization extends HTMLElement {
         const cancelBtn = this.shadowRoot.querySelector('#cancel-btn');
         cancelBtn.classList.remove('hidden');
         cancelBtn.textContent = 'Back to Playlist';
+
+        // Uploaded clips are checkpointed, so a retry only redoes what failed
+        this.shadowRoot.querySelector('#resume-btn').classList.toggle('hidden', !this.currentJobId);
+    }
+
+    showCancelled() {
+        // The cancelled job was discarded, there is nothing left to resume
+        this.currentJobId = null;
+        this.shadowRoot.querySelector('#progress-info').classList.add('hidden');
+        this.shadowRoot.querySelector('#resume-btn').classList.add('hidden');
+
+        const cancelBtn = this.shadowRoot.querySelector('#cancel-btn');
+        cancelBtn.disabled = false;
+        cancelBtn.textContent = 'Back to Playlist';
+    }
+
+    clearError() {
+        this.shadowRoot.querySelector('#process-status').className = 'process-status';
+        this.shadowRoot.querySelector('#cancel-btn').classList.add('hidden');
+        this.shadowRoot.querySelector('#resume-btn').classList.add('hidden');
     }
 
     handleCancel() {
+        if (this.isRunning) {
+            const cancelBtn = this.shadowRoot.querySelector('#cancel-btn');
+            cancelBtn.disabled = true;
+            cancelBtn.textContent = 'Cancelling...';
+            log('Cancelling finalization...', 'warning');
+            this.abortController.abort();
+            return;
+        }
         eventBus.publish('back-to-home');
     }
 
@@ -264,11 +413,18 @@ class PlaylistFinalization extends HTMLElement {
         statusEl.className = 'process-status';
         progressEl.classList.add('hidden');
         cancelBtn.classList.add('hidden');
+        this.shadowRoot.querySelector('#resume-btn').classList.add('hidden');
         
         this.currentPlaylistClips = [];
         this.currentPlaylistName = '';
         this.currentPlaylistId = null;
+        this.currentClipSchedules = {};
         this.currentTagSerial = null;
+        this.currentJobId = null;
+        this.currentUpdatable = false;
+        this.currentAudioFormat = undefined;
+        this.currentLoudnessMode = undefined;
+        this.currentPlayerBaseUrl = null;
     }
 }
 
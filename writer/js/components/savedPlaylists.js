@@ -43,6 +43,11 @@ class SavedPlaylists extends HTMLElement {
                 .playlist-item button.delete {
                     color: var(--accent-color);
                 }
+                .playlist-status {
+                    display: block;
+                    font-size: 0.75rem;
+                    color: var(--secondary-color);
+                }
             </style>
             <div class="playlist-manager-container">
                 <h3>Saved Playlists</h3>
@@ -57,17 +62,27 @@ class SavedPlaylists extends HTMLElement {
             eventBus.publish('new-playlist-requested');
         });
 
+        eventBus.subscribe('pebbble-deleted', () => {
+            this.loadPlaylists();
+        });
+
         this.shadowRoot.querySelector('#saved-playlists-container').addEventListener('click', async (event) => {
             if (event.target.classList.contains('load-playlist-btn')) {
                 const playlistId = event.target.dataset.id;
-                const playlist = await this.db.getFinalizedPlaylist(playlistId);
-                eventBus.publish('load-playlist', { playlist });
+                const finalized = await this.db.getFinalizedPlaylist(playlistId);
+                const playlist = finalized?.playlistId ? await this.db.getPlaylistById(finalized.playlistId) : null;
+                if (playlist) {
+                    eventBus.publish('open-playlist', { playlist });
+                } else {
+                    log('The playlist this pebbble was made from no longer exists.', 'warning');
+                }
+            }
+            if (event.target.classList.contains('details-playlist-btn')) {
+                eventBus.publish('open-pebbble-library', { id: event.target.dataset.id });
             }
             if (event.target.classList.contains('delete-playlist-btn')) {
                 const playlistId = event.target.dataset.id;
-                await this.db.deleteFinalizedPlaylist(playlistId);
-                this.loadPlaylists();
-                log('Playlist deleted from local database.', 'info');
+                eventBus.publish('delete-pebbble-requested', { id: playlistId });
             }
         });
     }
@@ -80,8 +95,14 @@ class SavedPlaylists extends HTMLElement {
         } else {
             container.innerHTML = playlists.map(p => `
                 <div class="playlist-item">
-                    <span>${p.name}</span>
+                    <span>
+                        ${p.name}
+                        <span class="playlist-status">
+                            ${p.unpinnedAt ? 'Unpinned' : p.unpinFailedCids?.length ? 'Partially unpinned' : new Date(p.timestamp).toLocaleDateString()}
+                        </span>
+                    </span>
                     <div>
+                        <button class="details-playlist-btn" data-id="${p.id}">Details</button>
                         <button class="load-playlist-btn" data-id="${p.id}">Load</button>
                         <button class="delete-playlist-btn delete" data-id="${p.id}">Delete</button>
                     </div>
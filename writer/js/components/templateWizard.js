@@ -0,0 +1,423 @@
+// js/components/templateWizard.js
+// Guided flow for template pebbbles: pick a template, fill in its dates,
+// record each segment with its prompt, then hand a scheduled playlist to the creator.
+
+import { log } from '../utils/log.js';
+import { eventBus } from '../services/eventBus.js';
+import { appState } from '../services/appState.js';
+import { MessageDb } from '../services/messageDb.js';
+import { templateService } from '../services/templateService.js';
+import { formatDuration } from '../utils/audioUtils.js';
+import './audioRecorder.js';
+
+class TemplateWizard extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.db = new MessageDb();
+        this.templates = [];
+        this.template = null;
+        this.segments = [];
+        this.inputs = {};
+        // Segment id to { clipId, duration, pacing }
+        this.takes = {};
+        this.currentIndex = 0;
+
+        this.render();
+        this.setupEventListeners();
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host { display: block; padding: 1rem; }
+                .wizard { max-width: 800px; margin: 0 auto; }
+                .section { margin-bottom: 1.5rem; padding: 1.5rem; background: #f9fafb; border-radius: 0.75rem; }
+                .space-y-4 > * + * { margin-top: 1rem; }
+                .btn { padding: 0.75rem 1.5rem; font-weight: 700; border-radius: 0.5rem; cursor: pointer; border: none; transition: background-color 0.3s ease; }
+                .btn-primary { background-color: var(--primary-color); color: #ffffff; }
+                .btn-secondary { background-color: #e5e7eb; color: #1f2937; }
+                .btn:hover.btn-primary { background-color: var(--button-hover); }
+                .btn:hover.btn-secondary { background-color: #d1d5db; }
+                .btn:disabled { opacity: 0.5; cursor: not-allowed; }
+                .form-input { width: 100%; padding: 0.75rem; border: 2px solid #d1d5db; border-radius: 0.5rem; box-sizing: border-box; }
+                .form-input:focus { outline: none; border-color: var(--primary-color); }
+                .hint { font-size: 0.8rem; color: var(--secondary-color); margin: 0.25rem 0 0; }
+                .actions { display: flex; gap: 0.5rem; justify-content: space-between; flex-wrap: wrap; }
+                .hidden { display: none !important; }
+
+                .template-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+                    gap: 1rem;
+                }
+                .template-card {
+                    background: #ffffff;
+                    border: 2px solid #e5e7eb;
+                    border-radius: 0.75rem;
+                    padding: 1.25rem;
+                    cursor: pointer;
+                    text-align: center;
+                    transition: all 0.2s ease;
+                }
+                .template-card:hover { border-color: var(--primary-color); transform: translateY(-2px); }
+                .template-icon { font-size: 2rem; }
+                .template-card h3 { margin: 0.5rem 0; }
+                .template-card p { margin: 0; font-size: 0.875rem; color: var(--secondary-color); }
+                .template-meta { margin-top: 0.75rem; font-size: 0.75rem; color: var(--secondary-color); }
+
+                .schedule-list, .segment-list, .tips-list { list-style: none; padding: 0; margin: 0; font-size: 0.875rem; }
+                .schedule-list li, .segment-list li {
+                    display: flex;
+                    justify-content: space-between;
+                    gap: 0.5rem;
+                    padding: 0.4rem 0;
+                    border-bottom: 1px solid #e5e7eb;
+                }
+                .segment-list li { cursor: pointer; }
+                .segment-list li.active { font-weight: 700; color: var(--primary-color); }
+                .segment-list .status.done { color: var(--success-color); }
+                .segment-list .status.optional { color: var(--secondary-color); }
+
+                .segment-counter { font-size: 0.8rem; color: var(--secondary-color); text-transform: uppercase; letter-spacing: 0.05em; }
+                .segment-title { margin: 0.25rem 0; }
+                .segment-duration { font-size: 0.875rem; color: var(--secondary-color); }
+                .segment-prompt { font-size: 1rem; line-height: 1.5; }
+                .pacing-box {
+                    padding: 0.75rem;
+                    border-radius: 0.5rem;
+                    background: #eff6ff;
+                    font-size: 0.875rem;
+                    color: #1e3a8a;
+                }
+                .take-status { font-size: 0.875rem; }
+                .take-status.ok { color: var(--success-color); }
+                .take-status.short, .take-status.long { color: #b45309; }
+                .tips-list li::before { content: '• '; }
+            </style>
+
+            <div class="wizard">
+                <!-- Step 1: choose a template -->
+                <div id="picker-step">
+                    <div class="section">
+                        <h2>Guided Pebbble</h2>
+                        <p class="hint">Pick a template. It tells you what to record, for how long, and when each part unlocks.</p>
+                    </div>
+                    <div id="template-grid" class="template-grid"></div>
+                </div>
+
+                <!-- Step 2: name and dates -->
+                <div id="setup-step" class="hidden">
+                    <div class="section space-y-4">
+                        <h2 id="setup-title"></h2>
+                        <p id="setup-description" class="hint"></p>
+                        <label>Pebbble name
+                            <input type="text" id="playlist-name-input" class="form-input">
+                        </label>
+                        <div id="template-inputs" class="space-y-4"></div>
+                        <div>
+                            <h4>Unlock schedule</h4>
+                            <ul id="schedule-preview" class="schedule-list"></ul>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Step 3: record each segment -->
+                <div id="record-step" class="hidden">
+                    <div class="section space-y-4">
+                        <div>
+                            <div id="segment-counter" class="segment-counter"></div>
+                            <h2 id="segment-title" class="segment-title"></h2>
+                            <div id="segment-duration" class="segment-duration"></div>
+                        </div>
+                        <p id="segment-prompt" class="segment-prompt"></p>
+                        <p id="segment-hint" class="hint"></p>
+                        <div id="pacing-box" class="pacing-box"></div>
+                        <div id="take-status" class="take-status"></div>
+                        <audio-recorder id="segment-recorder" scoped></audio-recorder>
+                        <div class="actions">
+                            <button id="prev-segment-btn" class="btn btn-secondary">Previous</button>
+                            <button id="next-segment-btn" class="btn btn-secondary">Next</button>
+                        </div>
+                    </div>
+
+                    <div class="section">
+                        <h4>Segments</h4>
+                        <ul id="segment-list" class="segment-list"></ul>
+                    </div>
+
+                    <div class="section">
+                        <h4>Recording tips</h4>
+                        <ul id="tips-list" class="tips-list"></ul>
+                    </div>
+                </div>
+
+                <div class="actions">
+                    <button id="wizard-back-btn" class="btn btn-secondary">Back to Home</button>
+                    <button id="setup-continue-btn" class="btn btn-primary hidden">Start recording</button>
+                    <button id="finish-btn" class="btn btn-primary hidden">Create playlist</button>
+                </div>
+            </div>
+        `;
+    }
+
+    setupEventListeners() {
+        this.shadowRoot.querySelector('#template-grid').addEventListener('click', (e) => {
+            const card = e.target.closest('.template-card');
+            if (card) this.selectTemplate(card.dataset.id);
+        });
+
+        this.shadowRoot.querySelector('#template-inputs').addEventListener('change', (e) => {
+            if (e.target.dataset.inputId) {
+                this.inputs[e.target.dataset.inputId] = e.target.value;
+                this.renderSchedulePreview();
+            }
+        });
+
+        this.shadowRoot.querySelector('#setup-continue-btn').addEventListener('click', () => this.beginRecording());
+        this.shadowRoot.querySelector('#prev-segment-btn').addEventListener('click', () => this.goToSegment(this.currentIndex - 1));
+        this.shadowRoot.querySelector('#next-segment-btn').addEventListener('click', () => this.goToSegment(this.currentIndex + 1));
+        this.shadowRoot.querySelector('#finish-btn').addEventListener('click', () => this.finish());
+
+        this.shadowRoot.querySelector('#segment-list').addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-index]');
+            if (item) this.goToSegment(parseInt(item.dataset.index));
+        });
+
+        // Takes from the scoped recorder, saved here instead of going to the open playlist
+        this.shadowRoot.addEventListener('audio-recorded', (e) => this.handleTake(e.detail));
+
+        this.shadowRoot.querySelector('#wizard-back-btn').addEventListener('click', () => {
+            if (!this.confirmDiscardTake()) return;
+            if (Object.keys(this.takes).length > 0 &&
+                !confirm('Leave the guided pebbble? Segments recorded so far stay in your audio library.')) {
+                return;
+            }
+            this.shadowRoot.querySelector('#segment-recorder').resetRecorder();
+            eventBus.publish('back-to-home');
+        });
+    }
+
+    // Called by mainApp each time the view opens
+    async start() {
+        this.template = null;
+        this.takes = {};
+        this.showStep('picker-step');
+
+        this.templates = await templateService.loadTemplates();
+        this.renderTemplates();
+    }
+
+    showStep(stepId) {
+        ['picker-step', 'setup-step', 'record-step'].forEach(id => {
+            this.shadowRoot.querySelector(`#${id}`).classList.toggle('hidden', id !== stepId);
+        });
+        this.shadowRoot.querySelector('#setup-continue-btn').classList.toggle('hidden', stepId !== 'setup-step');
+        this.shadowRoot.querySelector('#finish-btn').classList.toggle('hidden', stepId !== 'record-step');
+    }
+
+    renderTemplates() {
+        const grid = this.shadowRoot.querySelector('#template-grid');
+        if (this.templates.length === 0) {
+            grid.innerHTML = '<p class="hint">No templates could be loaded.</p>';
+            return;
+        }
+
+        grid.innerHTML = this.templates.map(template => {
+            const { min, max } = templateService.estimateDuration(template);
+            const segmentCount = templateService.getSegments(template).length;
+            return `
+                <article class="template-card" data-id="${template.id}">
+                    <div class="template-icon">${template.icon || '📋'}</div>
+                    <h3>${template.name}</h3>
+                    <p>${template.description}</p>
+                    <div class="template-meta">
+                        ${segmentCount} segments • ${this.formatMinutes(min)}-${this.formatMinutes(max)} min
+                        ${template.pacing?.label ? ` • ${template.pacing.label} pace` : ''}
+                    </div>
+                </article>
+            `;
+        }).join('');
+    }
+
+    selectTemplate(id) {
+        this.template = this.templates.find(template => template.id === id);
+        if (!this.template) return;
+
+        this.segments = templateService.getSegments(this.template);
+        this.inputs = templateService.getDefaultInputs(this.template);
+        this.takes = {};
+
+        this.shadowRoot.querySelector('#setup-title').textContent = `${this.template.icon || ''} ${this.template.name}`;
+        this.shadowRoot.querySelector('#setup-description').textContent = this.template.description;
+        this.shadowRoot.querySelector('#playlist-name-input').value = this.template.name;
+
+        this.shadowRoot.querySelector('#template-inputs').innerHTML = (this.template.inputs || []).map(input => `
+            <label>${input.label}
+                <input type="${input.type}" class="form-input" data-input-id="${input.id}" value="${this.inputs[input.id]}">
+            </label>
+        `).join('');
+
+        this.renderSchedulePreview();
+        this.showStep('setup-step');
+    }
+
+    renderSchedulePreview() {
+        const list = this.shadowRoot.querySelector('#schedule-preview');
+        let schedules;
+        try {
+            schedules = templateService.computeSchedule(this.template, this.inputs);
+        } catch (error) {
+            list.innerHTML = `<li>${error.message}</li>`;
+            return;
+        }
+
+        list.innerHTML = this.segments.map(segment => {
+            const unlock = schedules[segment.id]?.availableFrom;
+            return `
+                <li>
+                    <span>${segment.title}${segment.optional ? ' (optional)' : ''}</span>
+                    <span>${unlock ? `Unlocks ${new Date(`${unlock}T00:00`).toLocaleDateString()}` : 'Always available'}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    beginRecording() {
+        try {
+            templateService.computeSchedule(this.template, this.inputs);
+        } catch (error) {
+            log(error.message, 'warning');
+            return;
+        }
+
+        this.shadowRoot.querySelector('#tips-list').innerHTML = (this.template.tips || [])
+            .map(tip => `<li>${tip}</li>`).join('');
+        this.showStep('record-step');
+        this.showSegment(0);
+    }
+
+    // Switching segments resets the recorder, so a take in progress is only dropped on purpose
+    goToSegment(index) {
+        if (index === this.currentIndex || !this.confirmDiscardTake()) return;
+        this.showSegment(index);
+    }
+
+    confirmDiscardTake() {
+        const recorder = this.shadowRoot.querySelector('#segment-recorder');
+        return !recorder.hasUnsavedTake() ||
+            confirm('The current take has not been saved. Discard it?');
+    }
+
+    showSegment(index) {
+        if (index < 0 || index >= this.segments.length) return;
+        this.currentIndex = index;
+        const segment = this.segments[index];
+        const words = templateService.estimateWords(this.template, segment);
+
+        this.shadowRoot.querySelector('#segment-counter').textContent =
+            `Segment ${index + 1} of ${this.segments.length}${segment.optional ? ' • optional' : ''}`;
+        this.shadowRoot.querySelector('#segment-title').textContent = segment.title;
+        this.shadowRoot.querySelector('#segment-duration').textContent =
+            `${formatDuration(segment.duration.min)}-${formatDuration(segment.duration.max)}` +
+            (words ? ` • about ${words.min}-${words.max} words` : '');
+        this.shadowRoot.querySelector('#segment-prompt').textContent = segment.prompt;
+        this.shadowRoot.querySelector('#segment-hint').textContent = segment.hint || '';
+
+        const pacingBox = this.shadowRoot.querySelector('#pacing-box');
+        pacingBox.textContent = this.template.pacing?.guidance || '';
+        pacingBox.classList.toggle('hidden', !this.template.pacing?.guidance);
+
+        this.shadowRoot.querySelector('#prev-segment-btn').disabled = index === 0;
+        this.shadowRoot.querySelector('#next-segment-btn').disabled = index === this.segments.length - 1;
+
+        const recorder = this.shadowRoot.querySelector('#segment-recorder');
+        recorder.resetRecorder();
+        recorder.setTitle(`${this.shadowRoot.querySelector('#playlist-name-input').value.trim() || this.template.name} - ${segment.title}`);
+
+        this.renderTakeStatus();
+        this.renderSegmentList();
+    }
+
+    renderTakeStatus() {
+        const take = this.takes[this.segments[this.currentIndex].id];
+        const statusEl = this.shadowRoot.querySelector('#take-status');
+        statusEl.className = `take-status ${take ? take.pacing.status : ''}`;
+        statusEl.textContent = take
+            ? `Recorded ${formatDuration(take.duration)}. ${take.pacing.message}. Record again to replace it.`
+            : '';
+    }
+
+    renderSegmentList() {
+        this.shadowRoot.querySelector('#segment-list').innerHTML = this.segments.map((segment, index) => {
+            const take = this.takes[segment.id];
+            const status = take
+                ? `<span class="status done">✓ ${formatDuration(take.duration)}</span>`
+                : `<span class="status ${segment.optional ? 'optional' : ''}">${segment.optional ? 'Optional' : 'To record'}</span>`;
+            return `
+                <li data-index="${index}" class="${index === this.currentIndex ? 'active' : ''}">
+                    <span>${index + 1}. ${segment.title}</span>
+                    ${status}
+                </li>
+            `;
+        }).join('');
+
+        const remaining = this.segments.filter(segment => !segment.optional && !this.takes[segment.id]).length;
+        const finishBtn = this.shadowRoot.querySelector('#finish-btn');
+        finishBtn.disabled = remaining > 0;
+        finishBtn.title = remaining > 0 ? `${remaining} segment${remaining === 1 ? '' : 's'} still to record` : '';
+    }
+
+    async handleTake(audioData) {
+        const segment = this.segments[this.currentIndex];
+        const { title, audioBlob, duration, transcript = '', rawAudioBlob = null, rawDuration = 0 } = audioData;
+
+        try {
+            const details = { transcript, templateId: this.template.id, segmentId: segment.id };
+            const rawTake = rawAudioBlob ? { audioBlob: rawAudioBlob, duration: rawDuration } : null;
+            const { clipId } = await this.db.saveRecording(title, audioBlob, duration, details, rawTake);
+
+            const pacing = templateService.checkPacing(segment, duration);
+            this.takes[segment.id] = { clipId, duration, pacing };
+            log(`"${segment.title}" recorded (${formatDuration(duration)}). ${pacing.message}.`, pacing.status === 'ok' ? 'success' : 'warning');
+        } catch (error) {
+            log(`Failed to save "${segment.title}": ${error.message}`, 'error');
+            return;
+        }
+
+        // Move on to the next segment still missing a take, if any
+        const next = this.segments.findIndex((candidate, index) => index > this.currentIndex && !this.takes[candidate.id]);
+        if (next !== -1) {
+            this.showSegment(next);
+        } else {
+            this.renderTakeStatus();
+            this.renderSegmentList();
+        }
+    }
+
+    async finish() {
+        const name = this.shadowRoot.querySelector('#playlist-name-input').value.trim();
+        const clipIds = Object.fromEntries(Object.entries(this.takes).map(([segmentId, take]) => [segmentId, take.clipId]));
+
+        try {
+            const playlist = {
+                ...templateService.buildPlaylist(this.template, clipIds, this.inputs, name),
+                timestamp: Date.now()
+            };
+            const id = await this.db.savePlaylist(playlist);
+            log(`Guided pebbble "${playlist.name}" is ready to finalize.`, 'success');
+
+            this.takes = {};
+            appState.set('pendingPlaylistData', { ...playlist, id });
+            appState.navigateTo('playlistCreator');
+        } catch (error) {
+            log(error.message, 'warning');
+        }
+    }
+
+    formatMinutes(seconds) {
+        return Math.max(1, Math.round(seconds / 60));
+    }
+}
+
+customElements.define('template-wizard', TemplateWizard);
@@ -3,8 +3,11 @@
 
 import { eventBus } from '../../services/eventBus.js';
 import { audioPlayerService } from '../../services/audioPlayerService.js';
+import { audioProcessingService } from '../../services/audioProcessingService.js';
 
-
+// Shortest range the trim handles can be squeezed to, in seconds
+const MIN_TRIM_SECONDS = 0.1;
+const WAVEFORM_HEIGHT = 80;
 
 class AudioPreview extends HTMLElement {
     static get observedAttributes() {
@@ -15,6 +18,12 @@ class AudioPreview extends HTMLElement {
         super();
         this.attachShadow({ mode: 'open' });
         this.audioBlob = null;
+        this.decodedAudio = null;
+        this.waveformPeaks = null;
+        this.trimRange = null;
+        this.dragHandle = null;
+        this.previewContext = null;
+        this.previewSource = null;
         this.render();
         this.setupEventListeners();
         this.startStateSync();
@@ -102,6 +111,73 @@ class AudioPreview extends HTMLElement {
                     .delete-btn:hover {
                         background-color: #dc2626;
                     }
+                    .clip-actions {
+                        display: flex;
+                        gap: 0.5rem;
+                    }
+                    .secondary-btn {
+                        padding: 0.75rem 1rem;
+                        font-weight: 700;
+                        border-radius: 0.5rem;
+                        cursor: pointer;
+                        border: none;
+                        background-color: #e5e7eb;
+                        color: #1f2937;
+                        transition: background-color 0.3s ease;
+                    }
+                    .secondary-btn:hover {
+                        background-color: #d1d5db;
+                    }
+                    .trim-editor {
+                        background-color: #ffffff;
+                        padding: 0.75rem;
+                        margin: -0.5rem 0 0.5rem 0;
+                        border: 1px solid #e5e7eb;
+                        border-top: none;
+                        border-radius: 0 0 0.5rem 0.5rem;
+                    }
+                    .trim-waveform {
+                        display: block;
+                        width: 100%;
+                        height: ${WAVEFORM_HEIGHT}px;
+                        cursor: ew-resize;
+                        touch-action: none;
+                    }
+                    .trim-times {
+                        display: flex;
+                        justify-content: space-between;
+                        font-size: 0.75rem;
+                        color: var(--secondary-color);
+                        margin: 0.5rem 0;
+                    }
+                    .trim-actions {
+                        display: flex;
+                        flex-wrap: wrap;
+                        gap: 0.5rem;
+                        justify-content: flex-end;
+                    }
+                    .primary-btn {
+                        padding: 0.75rem 1rem;
+                        font-weight: 700;
+                        border-radius: 0.5rem;
+                        cursor: pointer;
+                        border: none;
+                        background-color: var(--primary-color);
+                        color: white;
+                    }
+                    .primary-btn:hover {
+                        background-color: var(--button-hover);
+                    }
+                    .primary-btn:disabled {
+                        opacity: 0.6;
+                        cursor: wait;
+                    }
+                    .trim-status {
+                        font-size: 0.75rem;
+                        color: var(--secondary-color);
+                        margin: 0 0 0.5rem 0;
+                    }
+                    .hidden { display: none; }
                 </style>
                 <div class="audio-preview">
                     <div class="clip-info-section">
@@ -111,7 +187,25 @@ class AudioPreview extends HTMLElement {
                             <p class="clip-duration">${duration}</p>
                         </div>
                     </div>
-                    <button class="delete-btn" id="delete-btn">Delete</button>
+                    <div class="clip-actions">
+                        <button class="secondary-btn" id="transcript-btn" title="Edit transcript">CC</button>
+                        <button class="secondary-btn" id="trim-btn" title="Trim start and end">✂</button>
+                        <button class="delete-btn" id="delete-btn">Delete</button>
+                    </div>
+                </div>
+                <div class="trim-editor hidden" id="trim-editor">
+                    <p class="trim-status" id="trim-status"></p>
+                    <canvas class="trim-waveform" id="trim-waveform"></canvas>
+                    <div class="trim-times">
+                        <span id="trim-start">0:00.0</span>
+                        <span id="trim-length"></span>
+                        <span id="trim-end">0:00.0</span>
+                    </div>
+                    <div class="trim-actions">
+                        <button class="secondary-btn" id="trim-cancel-btn">Cancel</button>
+                        <button class="secondary-btn" id="trim-play-btn">▶ Play selection</button>
+                        <button class="primary-btn" id="trim-save-btn">Save trimmed copy</button>
+                    </div>
                 </div>
             `;
         } else if (layout === 'playlist') {
@@ -359,9 +453,38 @@ class AudioPreview extends HTMLElement {
                 this.handleRemove();
             } else if (e.target.id === 'delete-btn') {
                 this.handleDelete();
+            } else if (e.target.id === 'transcript-btn') {
+                this.handleTranscript();
+            } else if (e.target.id === 'trim-btn') {
+                this.toggleTrimEditor();
+            } else if (e.target.id === 'trim-cancel-btn') {
+                this.closeTrimEditor();
+            } else if (e.target.id === 'trim-play-btn') {
+                this.toggleTrimPreview();
+            } else if (e.target.id === 'trim-save-btn') {
+                this.saveTrimmedCopy();
             }
         });
 
+        // Dragging the trim handles on the waveform
+        this.shadowRoot.addEventListener('pointerdown', (e) => {
+            if (e.target.id !== 'trim-waveform' || !this.trimRange) return;
+            const time = this.timeAtPointer(e);
+            const { start, end } = this.trimRange;
+            this.dragHandle = Math.abs(time - start) <= Math.abs(time - end) ? 'start' : 'end';
+            e.target.setPointerCapture(e.pointerId);
+            this.moveTrimHandle(time);
+        });
+
+        this.shadowRoot.addEventListener('pointermove', (e) => {
+            if (!this.dragHandle) return;
+            this.moveTrimHandle(this.timeAtPointer(e));
+        });
+
+        const endDrag = () => { this.dragHandle = null; };
+        this.shadowRoot.addEventListener('pointerup', endDrag);
+        this.shadowRoot.addEventListener('pointercancel', endDrag);
+
         // Listen for state changes from the audio service
         eventBus.subscribe('audio-state-changed', (data) => {
             const myClipId = this.getAttribute('clip-id');
@@ -446,9 +569,199 @@ class AudioPreview extends HTMLElement {
         }));
     }
 
+    handleTranscript() {
+        const clipId = this.getAttribute('clip-id');
+        this.dispatchEvent(new CustomEvent('clip-transcript', {
+            detail: { clipId: clipId },
+            bubbles: true
+        }));
+    }
+
+    async toggleTrimEditor() {
+        const editor = this.shadowRoot.querySelector('#trim-editor');
+        if (!editor || !this.audioBlob) return;
+
+        if (!editor.classList.contains('hidden')) {
+            this.closeTrimEditor();
+            return;
+        }
+
+        editor.classList.remove('hidden');
+        this.setTrimStatus('Loading waveform...');
+
+        try {
+            this.decodedAudio = this.decodedAudio || await audioProcessingService.decode(this.audioBlob);
+        } catch (error) {
+            this.setTrimStatus(`Could not read this clip: ${error.message}`);
+            return;
+        }
+
+        this.trimRange = { start: 0, end: this.decodedAudio.duration };
+        this.setupWaveformCanvas();
+        this.drawWaveform();
+        this.setTrimStatus('Drag the handles to cut the start and end.');
+    }
+
+    closeTrimEditor() {
+        this.stopTrimPreview();
+        this.trimRange = null;
+        this.dragHandle = null;
+        this.shadowRoot.querySelector('#trim-editor')?.classList.add('hidden');
+    }
+
+    setTrimStatus(message) {
+        const statusEl = this.shadowRoot.querySelector('#trim-status');
+        if (statusEl) statusEl.textContent = message;
+    }
+
+    // Size the canvas to its CSS box so one peak maps to one device pixel
+    setupWaveformCanvas() {
+        const canvas = this.shadowRoot.querySelector('#trim-waveform');
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.max(1, Math.floor(canvas.clientWidth * ratio));
+        canvas.height = Math.floor(WAVEFORM_HEIGHT * ratio);
+        this.waveformPeaks = audioProcessingService.computePeaks(this.decodedAudio, canvas.width);
+    }
+
+    drawWaveform() {
+        const canvas = this.shadowRoot.querySelector('#trim-waveform');
+        if (!canvas || !this.waveformPeaks || !this.trimRange) return;
+
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const duration = this.decodedAudio.duration;
+        const startX = (this.trimRange.start / duration) * width;
+        const endX = (this.trimRange.end / duration) * width;
+        const styles = getComputedStyle(this);
+        const selectedColor = styles.getPropertyValue('--primary-color').trim() || '#3b82f6';
+        const handleColor = styles.getPropertyValue('--accent-color').trim() || '#ef4444';
+
+        context.clearRect(0, 0, width, height);
+
+        for (let x = 0; x < width; x++) {
+            const barHeight = Math.max(1, this.waveformPeaks[x] * height);
+            context.fillStyle = x >= startX && x <= endX ? selectedColor : '#d1d5db';
+            context.fillRect(x, (height - barHeight) / 2, 1, barHeight);
+        }
+
+        // Handles: a line with a grip at the top
+        const ratio = window.devicePixelRatio || 1;
+        context.fillStyle = handleColor;
+        for (const x of [startX, endX]) {
+            const clampedX = Math.min(Math.max(x, ratio), width - ratio);
+            context.fillRect(clampedX - ratio, 0, 2 * ratio, height);
+            context.fillRect(clampedX - 5 * ratio, 0, 10 * ratio, 12 * ratio);
+        }
+
+        this.shadowRoot.querySelector('#trim-start').textContent = this.formatTrimTime(this.trimRange.start);
+        this.shadowRoot.querySelector('#trim-end').textContent = this.formatTrimTime(this.trimRange.end);
+        this.shadowRoot.querySelector('#trim-length').textContent =
+            `Keeps ${this.formatTrimTime(this.trimRange.end - this.trimRange.start)}`;
+    }
+
+    timeAtPointer(e) {
+        const rect = e.target.getBoundingClientRect();
+        const position = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+        return position * this.decodedAudio.duration;
+    }
+
+    moveTrimHandle(time) {
+        if (!this.trimRange) return;
+        const duration = this.decodedAudio.duration;
+
+        if (this.dragHandle === 'start') {
+            this.trimRange.start = Math.min(Math.max(time, 0), Math.max(0, this.trimRange.end - MIN_TRIM_SECONDS));
+        } else if (this.dragHandle === 'end') {
+            this.trimRange.end = Math.max(Math.min(time, duration), Math.min(duration, this.trimRange.start + MIN_TRIM_SECONDS));
+        }
+
+        this.drawWaveform();
+    }
+
+    toggleTrimPreview() {
+        if (this.previewSource) {
+            this.stopTrimPreview();
+            return;
+        }
+        if (!this.trimRange) return;
+
+        // Only one thing plays at a time
+        eventBus.publish('stop-audio');
+
+        this.previewContext = this.previewContext || new AudioContext();
+        const source = this.previewContext.createBufferSource();
+        source.buffer = this.decodedAudio;
+        source.connect(this.previewContext.destination);
+        source.onended = () => {
+            if (this.previewSource === source) {
+                this.previewSource = null;
+                this.updateTrimPreviewButton();
+            }
+        };
+        source.start(0, this.trimRange.start, this.trimRange.end - this.trimRange.start);
+
+        this.previewSource = source;
+        this.updateTrimPreviewButton();
+    }
+
+    stopTrimPreview() {
+        if (this.previewSource) {
+            const source = this.previewSource;
+            this.previewSource = null;
+            source.stop();
+        }
+        this.updateTrimPreviewButton();
+    }
+
+    updateTrimPreviewButton() {
+        const playBtn = this.shadowRoot.querySelector('#trim-play-btn');
+        if (playBtn) {
+            playBtn.textContent = this.previewSource ? '■ Stop' : '▶ Play selection';
+        }
+    }
+
+    // Renders the selected range and hands it to the owner to store as a new clip
+    async saveTrimmedCopy() {
+        if (!this.trimRange) return;
+
+        const saveBtn = this.shadowRoot.querySelector('#trim-save-btn');
+        const { start, end } = this.trimRange;
+        saveBtn.disabled = true;
+        this.stopTrimPreview();
+        this.setTrimStatus('Rendering trimmed copy...');
+
+        try {
+            const rendered = await audioProcessingService.renderRange(this.decodedAudio, start, end);
+            const audioBlob = audioProcessingService.encodeWav(rendered);
+
+            this.dispatchEvent(new CustomEvent('clip-trim', {
+                detail: {
+                    clipId: this.getAttribute('clip-id'),
+                    audioBlob,
+                    duration: rendered.duration,
+                    start,
+                    end
+                },
+                bubbles: true
+            }));
+            this.closeTrimEditor();
+        } catch (error) {
+            this.setTrimStatus(`Could not trim this clip: ${error.message}`);
+        } finally {
+            saveBtn.disabled = false;
+        }
+    }
+
+    formatTrimTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remaining = (seconds % 60).toFixed(1).padStart(4, '0');
+        return `${minutes}:${remaining}`;
+    }
+
     // Public method to set audio data
     setAudioBlob(audioBlob) {
         this.audioBlob = audioBlob;
+        this.decodedAudio = null;
     }
 
     // Public method to reset play button
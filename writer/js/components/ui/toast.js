@@ -73,6 +73,18 @@ class ToastComponent extends HTMLElement {
                     background-color: #3b82f6; 
                 }
                 
+                .toast-action {
+                    margin-left: 1rem;
+                    padding: 0.25rem 0.75rem;
+                    background: rgba(255, 255, 255, 0.2);
+                    color: inherit;
+                    border: 1px solid currentColor;
+                    border-radius: 0.375rem;
+                    font-weight: 700;
+                    font-size: 0.8rem;
+                    cursor: pointer;
+                }
+                
                 /* Tablet and up: center positioning */
                 @media (min-width: 768px) {
                     :host {
@@ -110,10 +122,19 @@ class ToastComponent extends HTMLElement {
         toast.className = `toast show ${data.type || 'info'}`;
         toast.textContent = data.message;
         
+        // Optional action button, e.g. { label: 'Undo', onClick } after a delete
+        if (data.action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = data.action.label;
+            actionBtn.addEventListener('click', () => data.action.onClick(), { once: true });
+            toast.appendChild(actionBtn);
+        }
+        
         this.shadowRoot.appendChild(toast);
 
-        // Auto-dismiss after duration
-        const duration = data.duration || 3000;
+        // Auto-dismiss after duration, longer when there is something to click
+        const duration = data.duration || (data.action ? 6000 : 3000);
         setTimeout(() => {
             toast.classList.remove('show');
             toast.addEventListener('transitionend', () => {
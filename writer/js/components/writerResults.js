@@ -3,14 +3,25 @@
 import { log } from '../utils/log.js';
 import { eventBus } from '../services/eventBus.js';
 import { NFCService } from '../services/nfcService.js';
+import { MessageDb } from '../services/messageDb.js';
+import { urlParser } from '../utils/urlParser.js';
+import { checkUrlFits, TAG_TYPES, DEFAULT_TAG_TYPE } from '../utils/ndefUtils.js';
+import { buildQrPayload, renderQrSvg, renderQrPng } from '../utils/qrUtils.js';
+import { downloadBlob } from '../utils/domUtils.js';
+import { sanitizeFilename, normalizeSerial } from '../utils/validationUtils.js';
 
 class WriterResults extends HTMLElement {
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
         this.nfcService = new NFCService();
+        this.db = new MessageDb();
         this.currentTagSerial = null;
         this.nfcUrl = '';
+        this.playlistHash = null;
+        this.pointer = null;
+        this.tagType = DEFAULT_TAG_TYPE;
+        this.qrPayload = '';
         
         this.render();
         this.setupEventListeners();
@@ -90,10 +101,47 @@ class WriterResults extends HTMLElement {
                     font-size: 0.875rem;
                     margin-top: 0.5rem;
                 }
+                .tag-fit {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 1rem;
+                    justify-content: center;
+                    align-items: center;
+                    font-size: 0.875rem;
+                }
+                .tag-fit select {
+                    padding: 0.25rem;
+                    border-radius: 0.375rem;
+                }
+                .tag-fit-status {
+                    font-size: 0.875rem;
+                    color: var(--secondary-color);
+                }
+                .tag-fit-status.error {
+                    color: var(--accent-color);
+                    font-weight: 700;
+                }
+                .qr-code {
+                    width: 200px;
+                    margin: 1rem auto;
+                }
+                .qr-code svg {
+                    display: block;
+                    width: 100%;
+                    height: auto;
+                }
+                .hidden {
+                    display: none !important;
+                }
+                /* The pebbble library shows its own header and navigation */
+                :host([embedded]) { padding: 0; }
+                :host([embedded]) .finalization-only {
+                    display: none;
+                }
             </style>
             <div class="results-container">
-                <h3 class="success-header">🎉 Playlist Ready!</h3>
-                <p class="instructions">
+                <h3 class="success-header finalization-only">🎉 Playlist Ready!</h3>
+                <p class="instructions finalization-only">
                     Your playlist has been successfully encrypted and uploaded. 
                     Now write it to your Pebbble tag to complete the process.
                 </p>
@@ -109,6 +157,19 @@ class WriterResults extends HTMLElement {
                     <p class="warning-text">
                         ⚠️ Keep this URL safe! It contains your encrypted playlist.
                     </p>
+                    <div class="tag-fit">
+                        <label>Tag chip
+                            <select id="tag-type-select">
+                                ${Object.entries(TAG_TYPES).map(([id, type]) =>
+                                    `<option value="${id}">${type.label} (${type.capacity} bytes)</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>
+                            <input type="checkbox" id="compact-url-checkbox">
+                            Compact URL
+                        </label>
+                    </div>
+                    <p id="tag-fit-status" class="tag-fit-status"></p>
                 </div>
 
                 <div class="nfc-actions">
@@ -120,7 +181,38 @@ class WriterResults extends HTMLElement {
                     </button>
                 </div>
 
-                <div class="nfc-actions">
+                <div id="lock-section" class="nfc-url-section hidden">
+                    <h4>Protect this Pebbble</h4>
+                    <p class="instructions">
+                        Locking makes the tag read-only, so nobody can overwrite the message.
+                        This is permanent and cannot be undone.
+                    </p>
+                    <button id="lock-nfc-btn" class="btn btn-secondary">
+                        🔒 Lock Pebbble Permanently
+                    </button>
+                </div>
+
+                <div id="qr-section" class="nfc-url-section hidden">
+                    <h4>QR Code</h4>
+                    <p class="instructions">
+                        For phones without NFC: scan with the camera app or the Pebbble player.
+                    </p>
+                    <div id="qr-code" class="qr-code"></div>
+                    <p class="warning-text">
+                        ⚠️ The code includes the Pebbble serial, so anyone who scans it can listen.
+                        Only give it to the recipient.
+                    </p>
+                    <div class="nfc-actions">
+                        <button id="print-qr-btn" class="btn btn-secondary">
+                            🖨️ Print QR
+                        </button>
+                        <button id="save-qr-btn" class="btn btn-secondary">
+                            💾 Save Image
+                        </button>
+                    </div>
+                </div>
+
+                <div class="nfc-actions finalization-only">
                     <button id="back-to-home-btn" class="btn btn-secondary">
                         🏠 Back to Home
                     </button>
@@ -138,14 +230,24 @@ class WriterResults extends HTMLElement {
         copyBtn.addEventListener('click', () => this.copyUrlToClipboard());
         writeBtn.addEventListener('click', () => this.initiateNFCWrite());
         backBtn.addEventListener('click', () => this.goBackToHome());
+        this.shadowRoot.querySelector('#lock-nfc-btn').addEventListener('click', () => this.lockTag());
+        this.shadowRoot.querySelector('#tag-type-select').addEventListener('change', (e) => this.setTagType(e.target.value));
+        this.shadowRoot.querySelector('#compact-url-checkbox').addEventListener('change', (e) => this.setCompactUrl(e.target.checked));
+        this.shadowRoot.querySelector('#print-qr-btn').addEventListener('click', () => this.printQrCode());
+        this.shadowRoot.querySelector('#save-qr-btn').addEventListener('click', () => this.saveQrImage());
 
         // Auto-select URL when clicked for easy copying
         urlDisplay.addEventListener('click', () => urlDisplay.select());
     }
 
     // Public method to set the results data
-    setResults(data) {
+    async setResults(data) {
         this.nfcUrl = data.url || '';
+        this.playlistHash = data.playlistHash || null;
+        this.pointer = data.pointer || null;
+        this.playerBaseUrl = data.playerBaseUrl || null;
+        // Row in finalizedPlaylists, the URL actually written to the tag is saved there
+        this.finalizedId = data.finalizedId ?? null;
         this.currentTagSerial = data.serial || '';
         this.playlistName = data.playlistName || 'Playlist';
         
@@ -156,7 +258,116 @@ class WriterResults extends HTMLElement {
         const header = this.shadowRoot.querySelector('.success-header');
         header.textContent = `🎉 "${this.playlistName}" Ready!`;
         
-        log(`Writer results loaded for playlist: ${this.playlistName}`, 'success');
+        this.renderQrCode();
+        
+        this.tagType = (await this.db.getSetting('nfcTagType'))?.value || DEFAULT_TAG_TYPE;
+        this.shadowRoot.querySelector('#tag-type-select').value = this.tagType;
+        const compactCheckbox = this.shadowRoot.querySelector('#compact-url-checkbox');
+        const canCompact = (!!this.playlistHash || !!this.pointer) &&
+            urlParser.isCompactShorter({ playlistHash: this.playlistHash, pointer: this.pointer, baseUrl: this.playerBaseUrl });
+        // A URL already on a tag says its own format, a fresh one follows the saved choice
+        compactCheckbox.checked = data.compact ?? (canCompact && (await this.db.getSetting('nfcUrlFormat'))?.value === 'compact');
+        // Still enabled on a tag written compact, so it can be switched back to standard
+        compactCheckbox.disabled = !canCompact && !compactCheckbox.checked;
+        compactCheckbox.parentElement.title = canCompact ? '' : 'The compact URL would not be shorter for this pebbble';
+        this.updateTagFit();
+        
+        // No toast when the library opens a pebbble, only after a finalization
+        log(`Writer results loaded for playlist: ${this.playlistName}`, this.hasAttribute('embedded') ? 'info' : 'success');
+    }
+
+    async setTagType(tagType) {
+        this.tagType = tagType;
+        await this.db.saveSetting('nfcTagType', tagType);
+        this.updateTagFit();
+    }
+
+    // The choice is remembered for the next pebbbles, and applies to this one straight away
+    async setCompactUrl(compact) {
+        await this.db.saveSetting('nfcUrlFormat', compact ? 'compact' : 'standard');
+        this.nfcUrl = urlParser.createSecureNfcUrl({
+            playlistHash: this.playlistHash,
+            pointer: this.pointer,
+            compact,
+            baseUrl: this.playerBaseUrl
+        });
+        this.shadowRoot.querySelector('#nfc-url-display').value = this.nfcUrl;
+        this.renderQrCode();
+        this.updateTagFit();
+        log(`Switched to the ${compact ? 'compact' : 'standard'} URL`, 'info');
+    }
+
+    updateTagFit() {
+        const statusEl = this.shadowRoot.querySelector('#tag-fit-status');
+        const writeBtn = this.shadowRoot.querySelector('#write-nfc-btn');
+        const { size, capacity, fits, label } = checkUrlFits(this.nfcUrl, this.tagType);
+        
+        statusEl.textContent = fits
+            ? `Uses ${size} of ${capacity} bytes on an ${label}.`
+            : `Too large for an ${label}: ${size} of ${capacity} bytes. Use the compact URL or a larger tag.`;
+        statusEl.classList.toggle('error', !fits);
+        writeBtn.disabled = !fits;
+    }
+
+    renderQrCode() {
+        const qrSection = this.shadowRoot.querySelector('#qr-section');
+        const qrContainer = this.shadowRoot.querySelector('#qr-code');
+        
+        try {
+            this.qrPayload = buildQrPayload(this.nfcUrl, this.currentTagSerial);
+            qrContainer.innerHTML = renderQrSvg(this.qrPayload);
+            qrSection.classList.remove('hidden');
+        } catch (error) {
+            this.qrPayload = '';
+            qrContainer.innerHTML = '';
+            qrSection.classList.add('hidden');
+            log(`No QR code for this pebbble: ${error.message}`, 'warning');
+        }
+    }
+
+    printQrCode() {
+        if (!this.qrPayload) return;
+        
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            log('Allow pop-ups to print the QR code', 'warning');
+            return;
+        }
+        
+        const title = this.playlistName.replace(/[<>&"]/g, '');
+        printWindow.document.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>${title}</title>
+                <style>
+                    body { font-family: sans-serif; text-align: center; padding: 2rem; }
+                    svg { width: 8cm; height: 8cm; }
+                </style>
+            </head>
+            <body>
+                <h1>${title}</h1>
+                ${renderQrSvg(this.qrPayload)}
+                <p>Scan with your phone camera to listen.</p>
+            </body>
+            </html>
+        `);
+        printWindow.document.close();
+        printWindow.onafterprint = () => printWindow.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    async saveQrImage() {
+        if (!this.qrPayload) return;
+        
+        try {
+            const image = await renderQrPng(this.qrPayload);
+            downloadBlob(image, `${sanitizeFilename(this.playlistName)}-qr.png`);
+            log('QR code image saved', 'success');
+        } catch (error) {
+            log(`Failed to save QR code: ${error.message}`, 'error');
+        }
     }
 
     async copyUrlToClipboard() {
@@ -194,45 +405,60 @@ class WriterResults extends HTMLElement {
             log('No URL available to write', 'error');
             return;
         }
+        
+        const fit = checkUrlFits(this.nfcUrl, this.tagType);
+        if (!fit.fits) {
+            log(`URL needs ${fit.size} bytes, an ${fit.label} holds ${fit.capacity}`, 'error');
+            return;
+        }
 
         writeBtn.disabled = true;
         writeBtn.textContent = '📱 Tap Pebbble to Verify...';
+        this.shadowRoot.querySelector('#lock-section').classList.add('hidden');
         
         try {
-            await this.nfcService.startReader(async (scannedSerial) => {
-                this.nfcService.stopReader();
-                
-                // Verify this is the same tag that was originally scanned
-                if (scannedSerial === this.currentTagSerial) {
-                    log('Serial verification successful. Writing URL...', 'success');
-                    writeBtn.textContent = '⚡ Writing...';
-                    
-                    try {
-                        await this.nfcService.writeUrl(this.nfcUrl);
-                        
-                        // Success feedback
-                        writeBtn.textContent = '✅ Write Complete!';
-                        writeBtn.style.backgroundColor = 'var(--success-color)';
-                        urlDisplay.value = '✅ Successfully written to Pebbble!';
-                        
-                        log('URL successfully written to NFC tag', 'success');
-                        
-                        // Emit success event
-                        eventBus.publish('nfc-write-success', {
-                            url: this.nfcUrl,
-                            serial: this.currentTagSerial,
-                            playlistName: this.playlistName
-                        });
-                        
-                    } catch (writeError) {
-                        throw new Error(`Write failed: ${writeError.message}`);
-                    }
-                    
-                } else {
-                    throw new Error(`Security verification failed. Expected serial "${this.currentTagSerial}" but got "${scannedSerial}". Please use the correct Pebbble.`);
-                }
+            const { serial: scannedSerial } = await this.nfcService.readTagOnce();
+            
+            // Verify this is the same tag that was originally scanned
+            if (normalizeSerial(scannedSerial) !== normalizeSerial(this.currentTagSerial)) {
+                throw new Error(`Security verification failed. Expected serial "${this.currentTagSerial}" but got "${scannedSerial}". Please use the correct Pebbble.`);
+            }
+            
+            log('Serial verification successful. Writing URL...', 'success');
+            writeBtn.textContent = '⚡ Writing...';
+            
+            try {
+                await this.nfcService.writeUrl(this.nfcUrl);
+            } catch (writeError) {
+                throw new Error(`Write failed: ${writeError.message}`);
+            }
+            
+            // A write can report success and still leave a truncated or stale record
+            writeBtn.textContent = '🔍 Keep Pebbble close, checking...';
+            const check = await this.nfcService.verifyUrl(this.nfcUrl, this.currentTagSerial, { timeoutMs: 15000 });
+            if (!check.valid) {
+                throw new Error(`Verification failed: ${check.error}`);
+            }
+            
+            // Success feedback
+            writeBtn.textContent = '✅ Written & Verified!';
+            writeBtn.style.backgroundColor = 'var(--success-color)';
+            urlDisplay.value = '✅ Successfully written to Pebbble and read back!';
+            
+            log('URL written to NFC tag and verified', 'success');
+            await this.saveWrittenUrl();
+            
+            // Emit success event
+            eventBus.publish('nfc-write-success', {
+                url: this.nfcUrl,
+                serial: this.currentTagSerial,
+                playlistName: this.playlistName
             });
             
+            if (this.nfcService.isSupported().lock) {
+                this.shadowRoot.querySelector('#lock-section').classList.remove('hidden');
+            }
+            
         } catch (error) {
             log(`NFC operation failed: ${error.message}`, 'error');
             
@@ -251,6 +477,47 @@ class WriterResults extends HTMLElement {
         }
     }
 
+    // The format can be switched after finalization, the record must match the tag
+    async saveWrittenUrl() {
+        if (!this.finalizedId) return;
+        try {
+            await this.db.updateFinalizedPlaylist(this.finalizedId, {
+                nfcUrl: this.nfcUrl,
+                playerBaseUrl: urlParser.getBase(this.nfcUrl)
+            });
+        } catch (error) {
+            log(`Could not save the written URL: ${error.message}`, 'warning');
+        }
+    }
+
+    async lockTag() {
+        const lockBtn = this.shadowRoot.querySelector('#lock-nfc-btn');
+        
+        // Updatable pebbbles keep their pointer URL, new messages are still published behind it
+        const consequence = this.pointer
+            ? 'You can still republish new messages to it, but the tag itself can never be rewritten or erased.'
+            : 'It will play these messages forever. The tag can never be rewritten or erased, not even by you.';
+        if (!confirm(`Lock "${this.playlistName}" permanently?\n\n${consequence}\n\nThis cannot be undone. Keep other Pebbbles away from the phone and hold this one still until it is locked.`)) {
+            return;
+        }
+        
+        lockBtn.disabled = true;
+        lockBtn.textContent = '📱 Hold Pebbble still to lock...';
+        
+        try {
+            await this.nfcService.lockTag(this.nfcUrl, this.currentTagSerial);
+            lockBtn.textContent = '🔒 Locked';
+            eventBus.publish('nfc-tag-locked', {
+                url: this.nfcUrl,
+                serial: this.currentTagSerial
+            });
+        } catch (error) {
+            log(`Lock failed: ${error.message}`, 'error');
+            lockBtn.disabled = false;
+            lockBtn.textContent = '🔒 Lock Pebbble Permanently';
+        }
+    }
+
     goBackToHome() {
         eventBus.publish('navigate-to-home');
         log('Returning to home screen', 'info');
@@ -261,6 +528,20 @@ class WriterResults extends HTMLElement {
         this.nfcUrl = '';
         this.currentTagSerial = null;
         this.playlistName = '';
+        this.playlistHash = null;
+        this.pointer = null;
+        this.playerBaseUrl = null;
+        this.finalizedId = null;
+        this.qrPayload = '';
+        this.shadowRoot.querySelector('#tag-fit-status').textContent = '';
+        
+        this.shadowRoot.querySelector('#qr-code').innerHTML = '';
+        this.shadowRoot.querySelector('#qr-section').classList.add('hidden');
+        this.shadowRoot.querySelector('#lock-section').classList.add('hidden');
+        
+        const lockBtn = this.shadowRoot.querySelector('#lock-nfc-btn');
+        lockBtn.disabled = false;
+        lockBtn.textContent = '🔒 Lock Pebbble Permanently';
         
         const urlDisplay = this.shadowRoot.querySelector('#nfc-url-display');
         const writeBtn = this.shadowRoot.querySelector('#write-nfc-btn');
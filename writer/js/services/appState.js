@@ -9,10 +9,9 @@ class AppState {
         this.state = {
             currentView: 'apiSetupForm',
             isProcessing: false,
-            apiCredentials: { 
-                key: null, 
-                secret: null,
-                isSet: false 
+            storageConfig: {
+                provider: null,
+                isSet: false
             },
             currentPlaylist: null,
             currentTagSerial: null,
@@ -108,12 +107,11 @@ class AppState {
         eventBus.publish('show-toast', { message, type });
     }
 
-    setCredentials(apiKey, secret) {
+    setStorageConfig(config) {
         this.update({
-            apiCredentials: {
-                key: apiKey,
-                secret: secret,
-                isSet: !!(apiKey && secret)
+            storageConfig: {
+                ...config,
+                isSet: !!config?.provider
             }
         });
     }
@@ -0,0 +1,88 @@
+// js/services/audioImportService.js
+// Checks files picked or dropped into the library before they become clips:
+// the real format from the file contents, a full decode so corrupt files are
+// caught now instead of on the child's player, and tags to pre-fill the clip.
+
+import { log } from '../utils/log.js';
+import { sniffAudioFormat, readAudioTags } from '../utils/audioFormatUtils.js';
+import { audioProcessingService } from './audioProcessingService.js';
+
+export class AudioImportService {
+    /**
+     * Inspect one file
+     * @param {File} file
+     * @returns {Promise<Object>} - { file, ok, error } plus, for valid files,
+     *   { format, label, mimeType, title, artist, album, duration, artwork }
+     */
+    async inspect(file) {
+        const sniffed = await sniffAudioFormat(file);
+        if (!sniffed) {
+            return { file, ok: false, error: 'Not a supported audio file' };
+        }
+
+        let tags = {};
+        try {
+            tags = await readAudioTags(file, sniffed);
+        } catch (error) {
+            // Damaged tags should not block an otherwise playable file
+            log(`Could not read tags of "${file.name}": ${error.message}`, 'info');
+        }
+
+        let decoded;
+        try {
+            decoded = await audioProcessingService.decode(file);
+        } catch {
+            return { file, ok: false, error: `${sniffed.label} file is damaged or cannot be decoded` };
+        }
+        if (!decoded.duration) {
+            return { file, ok: false, error: 'File contains no audio' };
+        }
+
+        return {
+            file,
+            ok: true,
+            format: sniffed.format,
+            label: sniffed.label,
+            mimeType: sniffed.mimeType,
+            title: tags.title || this._titleFromFileName(file.name),
+            artist: tags.artist || '',
+            album: tags.album || '',
+            // The decoded length is exact, tag durations are often rounded or stale
+            duration: decoded.duration,
+            artwork: tags.artwork || null
+        };
+    }
+
+    /**
+     * Inspect several files one at a time, decoding them in parallel would exhaust memory on phones
+     * @param {File[]} files
+     * @param {Function} onProgress - Called with (index, total) before each file
+     * @returns {Promise<Object[]>}
+     */
+    async inspectAll(files, onProgress = () => {}) {
+        const results = [];
+        for (let i = 0; i < files.length; i++) {
+            onProgress(i, files.length);
+            results.push(await this.inspect(files[i]));
+        }
+        return results;
+    }
+
+    /**
+     * The stored blob carries the sniffed type, not whatever the OS guessed from the extension
+     * @param {Object} inspected - Valid result of inspect()
+     * @returns {Blob}
+     */
+    toAudioBlob(inspected) {
+        return new Blob([inspected.file], { type: inspected.mimeType });
+    }
+
+    /**
+     * @private
+     */
+    _titleFromFileName(fileName) {
+        return fileName.replace(/\.[^.]+$/, '').replace(/[_]+/g, ' ').trim() || 'Imported audio';
+    }
+}
+
+export const audioImportService = new AudioImportService();
@@ -0,0 +1,320 @@
+// js/services/audioProcessingService.js
+// Web Audio helpers for editing clips in the browser: decoding, waveform
+// peaks, loudness measurement, silence detection, rendering a range with
+// OfflineAudioContext and WAV encoding.
+
+// Loudness target for a playlist: mobile/podcast level, leaves headroom for music
+export const TARGET_LOUDNESS_LUFS = -16;
+// Normalization never pushes sample peaks above this
+const PEAK_CEILING_DBFS = -1;
+const MAX_GAIN_DB = 20;
+
+// Recording clean-up defaults: what counts as silence and how long the fades are
+export const DEFAULT_SILENCE_THRESHOLD_DB = -45;
+export const DEFAULT_FADE_MS = 150;
+// Kept around detected sound so breaths and consonants are not clipped
+const SILENCE_PADDING_SECONDS = 0.1;
+const SILENCE_WINDOW_SECONDS = 0.02;
+
+// How finalization evens out volume between clips
+export const DEFAULT_LOUDNESS_MODE = 'render';
+
+export const LOUDNESS_MODES = {
+    render: {
+        label: 'Even out volume'
+    },
+    gain: {
+        label: 'Even out at playback (audio untouched)'
+    },
+    off: {
+        label: 'Leave volume as is'
+    }
+};
+
+class AudioProcessingService {
+    /**
+     * Decodes a clip into an AudioBuffer
+     * @param {Blob} blob - Encoded audio
+     * @returns {Promise<AudioBuffer>}
+     */
+    async decode(blob) {
+        // An OfflineAudioContext decodes without needing a user gesture
+        const context = new OfflineAudioContext(1, 1, 44100);
+        return context.decodeAudioData(await blob.arrayBuffer());
+    }
+
+    /**
+     * Peak amplitude per bucket, all channels mixed, for drawing a waveform
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {number} bucketCount - Number of peaks (usually the canvas width)
+     * @returns {Float32Array} Peaks between 0 and 1
+     */
+    computePeaks(buffer, bucketCount) {
+        const peaks = new Float32Array(bucketCount);
+        const samplesPerBucket = buffer.length / bucketCount;
+
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let bucket = 0; bucket < bucketCount; bucket++) {
+                const from = Math.floor(bucket * samplesPerBucket);
+                const to = Math.min(data.length, Math.floor((bucket + 1) * samplesPerBucket));
+                let peak = peaks[bucket];
+                for (let i = from; i < to; i++) {
+                    const value = Math.abs(data[i]);
+                    if (value > peak) peak = value;
+                }
+                peaks[bucket] = Math.min(1, peak);
+            }
+        }
+
+        return peaks;
+    }
+
+    /**
+     * Integrated loudness after ITU-R BS.1770 / EBU R128: K-weighting, 400 ms
+     * blocks with 75% overlap, absolute gate at -70 LUFS and relative gate at -10 LU
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @returns {Promise<Object>} - { integrated (LUFS, -Infinity for silence), peak (dBFS) }
+     */
+    async measureLoudness(buffer) {
+        const channels = Math.min(buffer.numberOfChannels, 2);
+        const sampleRate = buffer.sampleRate;
+        const context = new OfflineAudioContext(channels, buffer.length, sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+
+        // K-weighting: a high shelf for the head, a high-pass for the RLB curve
+        const shelf = context.createBiquadFilter();
+        shelf.type = 'highshelf';
+        shelf.frequency.value = 1681;
+        shelf.gain.value = 4;
+        const highpass = context.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = 38;
+        highpass.Q.value = 0.5;
+
+        source.connect(shelf).connect(highpass).connect(context.destination);
+        source.start();
+        const weighted = await context.startRendering();
+
+        // Mean square per 100 ms step; a 400 ms block is four consecutive steps
+        const stepSize = Math.round(sampleRate * 0.1);
+        const stepCount = Math.max(1, Math.floor(weighted.length / stepSize));
+        const stepPower = new Float64Array(stepCount);
+        for (let channel = 0; channel < channels; channel++) {
+            const data = weighted.getChannelData(channel);
+            for (let step = 0; step < stepCount; step++) {
+                const from = step * stepSize;
+                const to = Math.min(data.length, from + stepSize);
+                let sum = 0;
+                for (let i = from; i < to; i++) sum += data[i] * data[i];
+                stepPower[step] += sum / Math.max(1, to - from);
+            }
+        }
+
+        const blocks = [];
+        const stepsPerBlock = Math.min(4, stepCount);
+        for (let step = 0; step + stepsPerBlock <= stepCount; step++) {
+            let power = 0;
+            for (let i = 0; i < stepsPerBlock; i++) power += stepPower[step + i];
+            blocks.push(power / stepsPerBlock);
+        }
+
+        const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+        const meanPower = (list) => list.reduce((sum, power) => sum + power, 0) / list.length;
+
+        const aboveAbsolute = blocks.filter(power => toLufs(power) > -70);
+        let integrated = -Infinity;
+        if (aboveAbsolute.length > 0) {
+            const relativeGate = toLufs(meanPower(aboveAbsolute)) - 10;
+            const gated = aboveAbsolute.filter(power => toLufs(power) > relativeGate);
+            integrated = toLufs(meanPower(gated));
+        }
+
+        let peak = 0;
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                const value = Math.abs(data[i]);
+                if (value > peak) peak = value;
+            }
+        }
+
+        return { integrated, peak: 20 * Math.log10(peak) };
+    }
+
+    /**
+     * Gain that brings a clip to the target loudness without clipping
+     * @param {Object} loudness - Result of measureLoudness
+     * @param {number} target - Target in LUFS
+     * @returns {number} Gain in dB, 0 for silent clips
+     */
+    normalizationGain({ integrated, peak }, target = TARGET_LOUDNESS_LUFS) {
+        if (!Number.isFinite(integrated)) return 0;
+
+        const headroom = Number.isFinite(peak) ? PEAK_CEILING_DBFS - peak : MAX_GAIN_DB;
+        const gain = Math.min(target - integrated, headroom);
+        return Math.round(Math.max(-MAX_GAIN_DB, Math.min(MAX_GAIN_DB, gain)) * 10) / 10;
+    }
+
+    /**
+     * Finds where sound starts and ends; quieter windows at both ends count as silence
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {number} thresholdDb - RMS level (dBFS) below which a window is silent
+     * @returns {Object|null} - { start, end } in seconds, null if the clip is all silence
+     */
+    detectSound(buffer, thresholdDb = DEFAULT_SILENCE_THRESHOLD_DB) {
+        const windowSize = Math.max(1, Math.round(buffer.sampleRate * SILENCE_WINDOW_SECONDS));
+        const windowCount = Math.ceil(buffer.length / windowSize);
+        const threshold = Math.pow(10, thresholdDb / 20);
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+        }
+
+        const isLoud = (index) => {
+            const from = index * windowSize;
+            const to = Math.min(buffer.length, from + windowSize);
+            return channels.some(data => {
+                let sum = 0;
+                for (let i = from; i < to; i++) sum += data[i] * data[i];
+                return Math.sqrt(sum / Math.max(1, to - from)) >= threshold;
+            });
+        };
+
+        let first = 0;
+        while (first < windowCount && !isLoud(first)) first++;
+        if (first === windowCount) return null;
+
+        let last = windowCount - 1;
+        while (last > first && !isLoud(last)) last--;
+
+        const windowSeconds = windowSize / buffer.sampleRate;
+        return {
+            start: Math.max(0, first * windowSeconds - SILENCE_PADDING_SECONDS),
+            end: Math.min(buffer.duration, (last + 1) * windowSeconds + SILENCE_PADDING_SECONDS)
+        };
+    }
+
+    /**
+     * Cuts leading and trailing silence from a recording and ramps it in and out
+     * @param {Blob} blob - Raw take
+     * @param {Object} options
+     * @param {number} options.thresholdDb - See detectSound
+     * @param {number} options.fadeMs - Length of each fade, 0 for none
+     * @returns {Promise<Object|null>} - { blob (WAV), duration, removedSeconds }, null if nothing was heard
+     */
+    async cleanUpRecording(blob, { thresholdDb = DEFAULT_SILENCE_THRESHOLD_DB, fadeMs = DEFAULT_FADE_MS } = {}) {
+        const decoded = await this.decode(blob);
+        const sound = this.detectSound(decoded, thresholdDb);
+        if (!sound) return null;
+
+        const fade = Math.min(fadeMs / 1000, (sound.end - sound.start) / 2);
+        const rendered = await this.renderRange(decoded, sound.start, sound.end, {
+            fadeIn: fade,
+            fadeOut: fade
+        });
+
+        return {
+            blob: this.encodeWav(rendered),
+            duration: rendered.duration,
+            removedSeconds: decoded.duration - rendered.duration
+        };
+    }
+
+    /**
+     * Renders part of a clip into a new buffer
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {number} start - Start time in seconds
+     * @param {number} end - End time in seconds
+     * @param {Object} options
+     * @param {number} options.sampleRate - Output rate, the source's by default
+     * @param {number} options.channels - Output channels, the source's by default
+     * @param {number} options.gainDb - Gain applied while rendering
+     * @param {number} options.fadeIn - Linear fade-in length in seconds
+     * @param {number} options.fadeOut - Linear fade-out length in seconds
+     * @returns {Promise<AudioBuffer>}
+     */
+    async renderRange(buffer, start = 0, end = buffer.duration, {
+        sampleRate = buffer.sampleRate,
+        channels = buffer.numberOfChannels,
+        gainDb = 0,
+        fadeIn = 0,
+        fadeOut = 0
+    } = {}) {
+        const from = Math.max(0, Math.min(start, buffer.duration));
+        const to = Math.max(from, Math.min(end, buffer.duration));
+        const length = Math.max(1, Math.ceil((to - from) * sampleRate));
+
+        const context = new OfflineAudioContext(channels, length, sampleRate);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        if (gainDb || fadeIn || fadeOut) {
+            const level = Math.pow(10, gainDb / 20);
+            const duration = to - from;
+            const gain = context.createGain();
+            gain.gain.setValueAtTime(fadeIn ? 0 : level, 0);
+            if (fadeIn) gain.gain.linearRampToValueAtTime(level, fadeIn);
+            if (fadeOut) {
+                gain.gain.setValueAtTime(level, Math.max(fadeIn, duration - fadeOut));
+                gain.gain.linearRampToValueAtTime(0, duration);
+            }
+            source.connect(gain).connect(context.destination);
+        } else {
+            source.connect(context.destination);
+        }
+        source.start(0, from, to - from);
+        return context.startRendering();
+    }
+
+    /**
+     * 16-bit PCM WAV, which every browser can play back
+     * @param {AudioBuffer} buffer - Rendered audio
+     * @returns {Blob} audio/wav blob
+     */
+    encodeWav(buffer) {
+        const channels = buffer.numberOfChannels;
+        const sampleRate = buffer.sampleRate;
+        const dataSize = buffer.length * channels * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channels, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * channels * 2, true);
+        view.setUint16(32, channels * 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channelData = [];
+        for (let channel = 0; channel < channels; channel++) {
+            channelData.push(buffer.getChannelData(channel));
+        }
+
+        let offset = 44;
+        for (let i = 0; i < buffer.length; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += 2;
+            }
+        }
+
+        return new Blob([view], { type: 'audio/wav' });
+    }
+}
+
+// Export singleton instance
+export const audioProcessingService = new AudioProcessingService();
@@ -0,0 +1,297 @@
+// js/services/backupService.js
+// Whole-database backup in a single file, so clearing site data no longer loses
+// every original recording and the record of which serial holds which manifest.
+//
+// File layout:
+//   "PEBBBLE-BACKUP\n" | header length (uint32, big endian) | header JSON | blob bytes
+// The header holds every row. Blob fields are replaced by { $blob: index }, an entry
+// in header.blobs giving the blob's offset (from the end of the header), size and type.
+
+import { log } from '../utils/log.js';
+import { PINNING_PROVIDERS, validatePinningConfig } from './pinning/index.js';
+
+export const BACKUP_FORMAT = 'pebbble-backup-v1';
+export const BACKUP_FILE_EXTENSION = '.pebbble';
+
+const MAGIC = 'PEBBBLE-BACKUP\n';
+const LENGTH_BYTES = 4;
+
+// Finalization jobs, recording sessions and drafts are transient and stay out of backups
+const CONTENT_TABLES = ['audioClips', 'playlists', 'finalizedPlaylists'];
+const BACKUP_TABLES = ['settings', ...CONTENT_TABLES];
+
+// Settings written before storageConfig existed, holding Pinata credentials
+const LEGACY_SECRET_SETTINGS = ['apiKey', 'secret'];
+
+export class BackupService {
+    constructor(messageDb) {
+        this.db = messageDb;
+    }
+
+    /**
+     * Packs the whole database into one file
+     * @param {Object} options
+     * @param {boolean} options.includeSecrets - Keep storage credentials in the backup
+     * @returns {Promise<Blob>}
+     */
+    async exportBackup({ includeSecrets = false } = {}) {
+        const tables = await this.db.dumpTables(BACKUP_TABLES);
+        if (!includeSecrets) {
+            tables.settings = this._stripSecrets(tables.settings);
+        }
+        // A folder handle only works in the browser that picked it, and does not survive JSON
+        tables.settings = tables.settings.map(row => row.key === 'storageConfig' && row.value?.directoryHandle
+            ? { ...row, value: this._withoutDirectoryHandle(row.value) }
+            : row);
+
+        const blobs = [];
+        const blobEntries = [];
+        let offset = 0;
+        const extract = (row) => Object.fromEntries(Object.entries(row).map(([key, value]) => {
+            if (!(value instanceof Blob)) return [key, value];
+            blobEntries.push({ offset, size: value.size, type: value.type });
+            blobs.push(value);
+            offset += value.size;
+            return [key, { $blob: blobEntries.length - 1 }];
+        }));
+
+        const header = {
+            format: BACKUP_FORMAT,
+            createdAt: new Date().toISOString(),
+            includesSecrets: includeSecrets,
+            tables: Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map(extract)])),
+            blobs: blobEntries
+        };
+
+        const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+        const length = new Uint8Array(LENGTH_BYTES);
+        new DataView(length.buffer).setUint32(0, headerBytes.length);
+
+        log(`Backup created: ${this._describe(header)}`, 'info');
+        return new Blob([MAGIC, length, headerBytes, ...blobs], { type: 'application/octet-stream' });
+    }
+
+    /**
+     * Reads and checks a backup file without importing it
+     * @param {File|Blob} file
+     * @returns {Promise<Object>} - { header, summary }
+     */
+    async readBackup(file) {
+        const prefixLength = MAGIC.length + LENGTH_BYTES;
+        const prefix = new Uint8Array(await file.slice(0, prefixLength).arrayBuffer());
+        if (prefix.length < prefixLength || new TextDecoder().decode(prefix.subarray(0, MAGIC.length)) !== MAGIC) {
+            throw new Error('This is not a Pebbble backup file');
+        }
+
+        const headerLength = new DataView(prefix.buffer).getUint32(MAGIC.length);
+        const headerEnd = prefixLength + headerLength;
+        if (headerEnd > file.size) {
+            throw new Error('The backup file is truncated');
+        }
+
+        let header;
+        try {
+            header = JSON.parse(await file.slice(prefixLength, headerEnd).text());
+        } catch {
+            throw new Error('The backup file is damaged');
+        }
+        if (header.format !== BACKUP_FORMAT) {
+            throw new Error(`Unsupported backup format: ${header.format || 'unknown'}`);
+        }
+
+        const dataSize = header.blobs.reduce((sum, entry) => Math.max(sum, entry.offset + entry.size), 0);
+        if (headerEnd + dataSize > file.size) {
+            throw new Error('The backup file is truncated');
+        }
+
+        header.dataStart = headerEnd;
+        return { header, summary: this._describe(header) };
+    }
+
+    /**
+     * Imports a backup file
+     * @param {File|Blob} file
+     * @param {Object} options
+     * @param {string} options.mode - 'merge' keeps local data, 'replace' clears clips, playlists and pebbbles first
+     * @returns {Promise<Object>} - Per-table counts and notes for the user
+     */
+    async importBackup(file, { mode = 'merge' } = {}) {
+        const { header } = await this.readBackup(file);
+        const replace = mode === 'replace';
+
+        // Blob references become slices of the file, resolved before the transaction
+        // starts because awaiting anything but Dexie inside it would commit it early
+        const resolve = (row) => Object.fromEntries(Object.entries(row).map(([key, value]) => {
+            if (value?.$blob === undefined) return [key, value];
+            const entry = header.blobs[value.$blob];
+            const start = header.dataStart + entry.offset;
+            return [key, file.slice(start, start + entry.size, entry.type)];
+        }));
+        const backup = Object.fromEntries(BACKUP_TABLES.map(name =>
+            [name, (header.tables[name] || []).map(resolve)]
+        ));
+
+        const result = {
+            audioClips: { added: 0, skipped: 0, renumbered: 0 },
+            playlists: { added: 0, skipped: 0, renumbered: 0 },
+            finalizedPlaylists: { added: 0, skipped: 0, renumbered: 0 },
+            settings: { added: 0, skipped: 0 },
+            notes: []
+        };
+
+        const tableNames = replace ? [...BACKUP_TABLES, 'playlistDrafts'] : BACKUP_TABLES;
+        await this.db.runImport(tableNames, async (tables) => {
+            if (replace) {
+                // Drafts point at clip IDs that are about to be reused
+                for (const name of [...CONTENT_TABLES, 'playlistDrafts']) {
+                    await tables[name].clear();
+                }
+            }
+
+            const clipIds = await this._importRows(tables.audioClips, backup.audioClips, result.audioClips,
+                (local, row) => local.timestamp === row.timestamp && local.title === row.title,
+                (row) => row);
+
+            const playlistIds = await this._importRows(tables.playlists, backup.playlists, result.playlists,
+                (local, row) => local.timestamp === row.timestamp && local.name === row.name,
+                (row) => this._remapClips(row, clipIds));
+
+            await this._importRows(tables.finalizedPlaylists, backup.finalizedPlaylists, result.finalizedPlaylists,
+                (local, row) => local.playlistHash === row.playlistHash && local.tagSerial === row.tagSerial,
+                (row) => ({
+                    ...this._remapClips(row, clipIds),
+                    ...(row.playlistId ? { playlistId: playlistIds.get(row.playlistId) ?? row.playlistId } : {})
+                }));
+
+            await this._importSettings(tables.settings, backup.settings, result, replace);
+        });
+
+        log(`Backup imported (${mode}): ${this._describe(header)}`, 'success');
+        return result;
+    }
+
+    /**
+     * Writes rows keeping their IDs where possible, since playlists and pebbbles
+     * reference clips by ID. A local row with the same ID is either the same record
+     * (skipped) or a different one, in which case the imported row gets a new ID.
+     * @private
+     * @returns {Promise<Map>} - Backup ID to local ID
+     */
+    async _importRows(table, rows, counts, isSameRecord, remap) {
+        const ids = new Map();
+
+        for (const row of rows) {
+            const record = remap(row);
+            const local = await table.get(row.id);
+
+            if (!local) {
+                await table.put(record);
+                ids.set(row.id, row.id);
+                counts.added++;
+            } else if (isSameRecord(local, row)) {
+                ids.set(row.id, local.id);
+                counts.skipped++;
+            } else {
+                const { id, ...fields } = record;
+                ids.set(row.id, await table.add(fields));
+                counts.renumbered++;
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * @private
+     */
+    async _importSettings(table, rows, result, replace) {
+        for (let row of rows) {
+            const local = await table.get(row.key);
+
+            // Backups from before handles were dropped on export hold an empty object instead
+            const handle = row.key === 'storageConfig' ? row.value?.directoryHandle : null;
+            const dropsHandle = !!handle &&
+                !(typeof FileSystemDirectoryHandle !== 'undefined' && handle instanceof FileSystemDirectoryHandle);
+            if (dropsHandle) {
+                row = { ...row, value: this._withoutDirectoryHandle(row.value) };
+            }
+
+            // Without its credentials a storage config cannot pin, keep asking for them instead
+            if (row.key === 'storageConfig' && !validatePinningConfig(row.value).valid) {
+                result.settings.skipped++;
+                if (!local) {
+                    result.notes.push('Storage credentials were not in the backup. Enter them again in Storage Settings.');
+                }
+                continue;
+            }
+
+            if (local && !replace) {
+                result.settings.skipped++;
+                continue;
+            }
+            await table.put(row);
+            result.settings.added++;
+            if (dropsHandle) {
+                result.notes.push('Offline test storage keeps clips in memory now. Pick its folder again in Storage Settings to save them to disk.');
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _withoutDirectoryHandle(storageConfig) {
+        const { directoryHandle, ...value } = storageConfig;
+        return value;
+    }
+
+    /**
+     * Points a playlist row at the local IDs of its clips. Schedules are keyed by clip ID too,
+     * and a pebbble's messages by the clip they were made from (republish reuses them by it).
+     * @private
+     */
+    _remapClips(row, clipIds) {
+        const remapped = { ...row };
+        if (row.audioClipIds) {
+            remapped.audioClipIds = row.audioClipIds.map(id => clipIds.get(id) ?? id);
+        }
+        if (row.clipSchedules) {
+            remapped.clipSchedules = Object.fromEntries(Object.entries(row.clipSchedules).map(
+                ([id, schedule]) => [clipIds.get(parseInt(id)) ?? id, schedule]
+            ));
+        }
+        if (row.messages) {
+            remapped.messages = row.messages.map(message => message.originalId == null
+                ? message
+                : { ...message, originalId: clipIds.get(message.originalId) ?? message.originalId });
+        }
+        return remapped;
+    }
+
+    /**
+     * Removes credentials: legacy key settings and the secret fields of the storage config
+     * @private
+     */
+    _stripSecrets(settings) {
+        return settings
+            .filter(row => !LEGACY_SECRET_SETTINGS.includes(row.key))
+            .map(row => {
+                if (row.key !== 'storageConfig' || !row.value) return row;
+                const secretFields = (PINNING_PROVIDERS[row.value.provider]?.fields || [])
+                    .filter(field => field.secret)
+                    .map(field => field.name);
+                const value = Object.fromEntries(
+                    Object.entries(row.value).filter(([name]) => !secretFields.includes(name))
+                );
+                return { ...row, value };
+            });
+    }
+
+    /**
+     * @private
+     */
+    _describe(header) {
+        const count = (name) => header.tables[name]?.length || 0;
+        return `${count('audioClips')} clips, ${count('playlists')} playlists, ` +
+            `${count('finalizedPlaylists')} pebbbles, ${count('settings')} settings`;
+    }
+}
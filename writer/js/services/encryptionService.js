@@ -17,13 +17,17 @@ export class EncryptionService {
         return arrayBuffer;
     }
     
-    async deriveEncryptionKey(serial, timestamp) {
+    // WebCrypto operations cannot be interrupted, so an optional AbortSignal
+    // is checked before starting and again once the result is available.
+    async deriveEncryptionKey(serial, timestamp, { signal } = {}) {
+        signal?.throwIfAborted();
         log('Deriving encryption key...');
+        let key;
         try {
             const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(timestamp.toString()), 'PBKDF2', false, ['deriveKey']);
             const serialAsBytes = this.hexToUint8Array(serial);
             
-            return crypto.subtle.deriveKey(
+            key = await crypto.subtle.deriveKey(
                 { name: 'PBKDF2', salt: serialAsBytes, iterations: 100000, hash: 'SHA-256' },
                 keyMaterial,
                 { name: 'AES-GCM', length: 256 },
@@ -34,22 +38,27 @@ export class EncryptionService {
             log(`Error deriving encryption key: ${error.message}`, 'error');
             throw new Error('Failed to derive encryption key.');
         }
+        signal?.throwIfAborted();
+        return key;
     }
     
-    async encryptDataToBinary(data, key) {
+    async encryptDataToBinary(data, key, { signal } = {}) {
+        signal?.throwIfAborted();
         log(`Encrypting data to binary, original size: ${data.byteLength} bytes`);
+        let result;
         try {
             const iv = crypto.getRandomValues(new Uint8Array(12));
             const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, data);
-            const result = new Uint8Array(iv.length + encrypted.byteLength);
+            result = new Uint8Array(iv.length + encrypted.byteLength);
             result.set(iv);
             result.set(new Uint8Array(encrypted), iv.length);
             log(`Data encrypted to binary: ${result.length} bytes`, 'success');
-            return result;
         } catch (error) {
             log(`Encryption to binary error: ${error.message}`, 'error');
             throw new Error('Failed to encrypt data to binary.');
         }
+        signal?.throwIfAborted();
+        return result;
     }
 
     async decryptFromBinary(encryptedData, key) {
@@ -0,0 +1,148 @@
+// js/services/encryptionWorkerPool.js
+// Fixed-size pool of encryption workers. Falls back to the main thread when
+// module workers are unavailable (older browsers, file:// origins).
+
+import { log } from '../utils/log.js';
+import { EncryptionService } from './encryptionService.js';
+
+const WORKER_URL = new URL('../workers/encryptionWorker.js', import.meta.url);
+
+export class EncryptionWorkerPool {
+    constructor({
+        size = Math.min(4, Math.max(1, (navigator.hardwareConcurrency || 2) - 1)),
+        fallbackService = new EncryptionService()
+    } = {}) {
+        this.size = size;
+        this.workers = [];
+        this.idleWorkers = [];
+        this.queue = [];
+        this.pending = new Map();
+        this.nextTaskId = 1;
+        this.useMainThread = false;
+        this.fallbackService = fallbackService;
+    }
+
+    /**
+     * Encrypt one clip
+     * @param {Object} task
+     * @param {string} task.serial - Tag serial (PBKDF2 salt)
+     * @param {number} task.timestamp - Clip timestamp (PBKDF2 key material)
+     * @param {ArrayBuffer} task.audio - Raw audio bytes
+     * @param {string} [task.transcript] - Optional transcript text
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<Object>} - { encryptedAudio, encryptedTranscript, originalSize, encryptedSize }
+     */
+    encryptClip(task, { signal } = {}) {
+        signal?.throwIfAborted();
+
+        if (this.useMainThread) {
+            return this._encryptOnMainThread(task, signal);
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { id: this.nextTaskId++, task, signal, resolve, reject };
+
+            // A running task cannot be interrupted; its result is simply dropped
+            signal?.addEventListener('abort', () => {
+                this.queue = this.queue.filter(queued => queued !== entry);
+                this.pending.delete(entry.id);
+                reject(signal.reason);
+            }, { once: true });
+
+            this.queue.push(entry);
+            this._dispatch();
+        });
+    }
+
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.idleWorkers = [];
+    }
+
+    _dispatch() {
+        while (this.queue.length > 0) {
+            const worker = this.idleWorkers.pop() || this._spawnWorker();
+            if (!worker) return;
+
+            const entry = this.queue.shift();
+            worker.currentTaskId = entry.id;
+            this.pending.set(entry.id, entry);
+            // Copied rather than transferred, so the task can be replayed on the main thread
+            worker.postMessage({ id: entry.id, ...entry.task });
+        }
+    }
+
+    _spawnWorker() {
+        if (this.workers.length >= this.size) return null;
+
+        let worker;
+        try {
+            worker = new Worker(WORKER_URL, { type: 'module' });
+        } catch (error) {
+            this._switchToMainThread(error);
+            return null;
+        }
+
+        worker.onmessage = (event) => this._handleResult(worker, event.data);
+        worker.onerror = (event) => {
+            event.preventDefault();
+            this._switchToMainThread(new Error(event.message || 'Worker failed to load'));
+        };
+        this.workers.push(worker);
+        return worker;
+    }
+
+    _handleResult(worker, { id, error, ...result }) {
+        worker.currentTaskId = null;
+        this.idleWorkers.push(worker);
+
+        const entry = this.pending.get(id);
+        this.pending.delete(id);
+        if (entry) {
+            if (error) {
+                entry.reject(new Error(error));
+            } else {
+                entry.resolve(result);
+            }
+        }
+
+        this._dispatch();
+    }
+
+    _switchToMainThread(error) {
+        if (this.useMainThread) return;
+        log(`Encryption workers unavailable, using the main thread: ${error.message}`, 'info');
+        this.useMainThread = true;
+        this.terminate();
+
+        const unfinished = [...this.pending.values(), ...this.queue];
+        this.pending.clear();
+        this.queue = [];
+        unfinished.forEach(entry => {
+            this._encryptOnMainThread(entry.task, entry.signal).then(entry.resolve, entry.reject);
+        });
+    }
+
+    async _encryptOnMainThread({ serial, timestamp, audio, transcript }, signal) {
+        const service = this.fallbackService;
+        const key = await service.deriveEncryptionKey(serial, timestamp, { signal });
+        const encryptedAudio = await service.encryptDataToBinary(audio, key, { signal });
+
+        let encryptedTranscript = null;
+        if (transcript) {
+            const transcriptBytes = new TextEncoder().encode(transcript);
+            encryptedTranscript = service.binToBase64(
+                await service.encryptDataToBinary(transcriptBytes, key, { signal })
+            );
+        }
+
+        return {
+            encryptedAudio: service.binToBase64(encryptedAudio),
+            encryptedTranscript,
+            originalSize: audio.byteLength,
+            encryptedSize: encryptedAudio.length
+        };
+    }
+}
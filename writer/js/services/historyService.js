@@ -0,0 +1,123 @@
+// js/services/historyService.js
+// Command-based undo/redo. Each command knows how to apply and revert itself,
+// so views record what changed instead of snapshotting their whole state.
+
+const MAX_HISTORY = 50;
+
+export class HistoryStack {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Oldest commands are dropped past this
+     * @param {Function} options.onChange - Called after every change, to refresh undo/redo buttons
+     */
+    constructor({ limit = MAX_HISTORY, onChange = null } = {}) {
+        this.limit = limit;
+        this.onChange = onChange;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.busy = false;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0 && !this.busy;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0 && !this.busy;
+    }
+
+    /**
+     * Applies a command and records it for undo
+     * @param {Object} command - { label, execute, undo }; execute and undo may be async
+     */
+    async execute(command) {
+        await command.execute();
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this._notify();
+    }
+
+    /**
+     * Reverts the last command
+     * @returns {Promise<Object|null>} - The undone command, null if there was nothing to undo
+     */
+    async undo() {
+        return this._step(this.undoStack, this.redoStack, 'undo');
+    }
+
+    /**
+     * Reverts a given command, only while it is still the last one applied.
+     * For Undo buttons tied to one change, e.g. in a toast.
+     * @param {Object} command - A command passed to execute()
+     * @returns {Promise<Object|null>} - The undone command, null if other changes came after it
+     */
+    async undoCommand(command) {
+        if (this.undoStack[this.undoStack.length - 1] !== command) return null;
+        return this.undo();
+    }
+
+    /**
+     * Re-applies the last undone command
+     * @returns {Promise<Object|null>} - The redone command, null if there was nothing to redo
+     */
+    async redo() {
+        return this._step(this.redoStack, this.undoStack, 'execute');
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._notify();
+    }
+
+    /**
+     * @private
+     */
+    async _step(from, to, method) {
+        // Async commands must not interleave, a Ctrl+Z pressed mid-step is ignored
+        if (this.busy || from.length === 0) return null;
+
+        // A command that throws is dropped rather than left to fail on every retry
+        const command = from.pop();
+        this.busy = true;
+        this._notify();
+        try {
+            await command[method]();
+            to.push(command);
+            return command;
+        } finally {
+            this.busy = false;
+            this._notify();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        this.onChange?.(this);
+    }
+}
+
+/**
+ * Maps a keydown event to a history action. Text fields keep their own
+ * native undo, so shortcuts typed into them are ignored.
+ * @param {KeyboardEvent} event
+ * @returns {string|null} - 'undo', 'redo' or null
+ */
+export function getHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return null;
+
+    const target = event.composedPath()[0];
+    if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) {
+        return null;
+    }
+
+    const key = event.key.toLowerCase();
+    if (key === 'z') return event.shiftKey ? 'redo' : 'undo';
+    if (key === 'y' && !event.shiftKey) return 'redo';
+    return null;
+}
@@ -12,6 +12,19 @@ export class MessageDb {
             playlists: '++id, name, description, audioClipIds, timestamp',
             finalizedPlaylists: '++id, name, playlistHash, tagSerial, timestamp, audioClipIds'
         });
+        // v5: checkpoints so an interrupted finalization can resume
+        this.db.version(5).stores({
+            finalizationJobs: '++id, status, playlistId, timestamp'
+        });
+        // v6: recording chunks persisted during capture, recoverable after a crash
+        this.db.version(6).stores({
+            recordingSessions: '++id, timestamp',
+            recordingChunks: '++id, sessionId, index'
+        });
+        // v7: playlist drafts autosaved while editing, offered back on the next launch
+        this.db.version(7).stores({
+            playlistDrafts: '++id, playlistId, timestamp'
+        });
         log('IndexedDB initialized with Dexie.js.');
     }
 
@@ -23,14 +36,37 @@ export class MessageDb {
         return this.db.settings.get(key);
     }
 
-    async saveAudioClip(title, audioBlob, duration) {
+    async saveAudioClip(title, audioBlob, duration, details = {}) {
         return this.db.audioClips.add({
+            ...details,
             title,
             audioBlob,
             duration,
             timestamp: Date.now()
         });
     }
+
+    /**
+     * Save a new recording. A cleaned-up take is a new clip next to its raw take,
+     * which is saved as it was recorded.
+     * @param {Object|null} rawTake - { audioBlob, duration } when the recording was cleaned up
+     * @returns {Promise<Object>} - { clipId, rawClipId }
+     */
+    async saveRecording(title, audioBlob, duration, details = {}, rawTake = null) {
+        if (!rawTake) {
+            return { clipId: await this.saveAudioClip(title, audioBlob, duration, details), rawClipId: null };
+        }
+
+        return this.db.transaction('rw', this.db.audioClips, async () => {
+            const rawClipId = await this.saveAudioClip(`${title} (raw take)`, rawTake.audioBlob, rawTake.duration, details);
+            const clipId = await this.saveAudioClip(title, audioBlob, duration, details);
+            return { clipId, rawClipId };
+        });
+    }
+
+    async updateAudioClip(id, changes) {
+        return this.db.audioClips.update(parseInt(id), changes);
+    }
     
     async getAudioClip(id) {
         return this.db.audioClips.get(parseInt(id));
@@ -40,6 +76,11 @@ export class MessageDb {
         return this.db.audioClips.toArray();
     }
     
+    // Puts a deleted clip back under its old ID, so playlists that referenced it find it again
+    async restoreAudioClip(clip) {
+        return this.db.audioClips.put(clip);
+    }
+
     async deleteAudioClip(id) {
         return this.db.audioClips.delete(parseInt(id));
     }
@@ -71,15 +112,23 @@ export class MessageDb {
     async getAudioClipsForPlaylist(playlistId) {
         const playlist = await this.db.playlists.get(parseInt(playlistId));
         if (!playlist || !playlist.audioClipIds) return [];
-        return this.db.audioClips.where('id').anyOf(playlist.audioClipIds).toArray();
+        // Keep the playlist order, anyOf() would return clips sorted by ID
+        return this.getAudioClipsByIds(playlist.audioClipIds);
+    }
+
+    // Clips in the given order, skipping any deleted since the IDs were stored
+    async getAudioClipsByIds(ids) {
+        const clips = await this.db.audioClips.bulkGet(ids.map(id => parseInt(id)));
+        return clips.filter(Boolean);
     }
 
     async updatePlaylistClipsOrder(playlistId, newOrder) {
         return this.db.playlists.update(playlistId, { audioClipIds: newOrder });
     }
 
-    async saveFinalizedPlaylist(name, playlistHash, tagSerial, audioClipIds) {
+    async saveFinalizedPlaylist(name, playlistHash, tagSerial, audioClipIds, details = {}) {
         return this.db.finalizedPlaylists.add({
+            ...details,
             name,
             playlistHash,
             tagSerial,
@@ -96,7 +145,115 @@ export class MessageDb {
         return this.db.finalizedPlaylists.get(parseInt(id));
     }
     
+    async getFinalizedPlaylistsForPlaylist(playlistId) {
+        return this.db.finalizedPlaylists
+            .filter(row => row.playlistId === parseInt(playlistId))
+            .toArray();
+    }
+
+    async updateFinalizedPlaylist(id, changes) {
+        return this.db.finalizedPlaylists.update(parseInt(id), changes);
+    }
+    
     async deleteFinalizedPlaylist(id) {
         return this.db.finalizedPlaylists.delete(parseInt(id));
     }
-}
\ No newline at end of file
+
+    async createFinalizationJob(job) {
+        return this.db.finalizationJobs.add({
+            ...job,
+            timestamp: Date.now()
+        });
+    }
+
+    async updateFinalizationJob(id, changes) {
+        return this.db.finalizationJobs.update(parseInt(id), {
+            ...changes,
+            timestamp: Date.now()
+        });
+    }
+
+    async getFinalizationJob(id) {
+        return this.db.finalizationJobs.get(parseInt(id));
+    }
+
+    async getOpenFinalizationJobs() {
+        return this.db.finalizationJobs.where('status').anyOf('running', 'failed').toArray();
+    }
+
+    async getCancelledFinalizationJobs() {
+        return this.db.finalizationJobs.where('status').equals('cancelled').toArray();
+    }
+
+    async deleteFinalizationJob(id) {
+        return this.db.finalizationJobs.delete(parseInt(id));
+    }
+
+    async createRecordingSession(session) {
+        return this.db.recordingSessions.add({
+            ...session,
+            timestamp: Date.now()
+        });
+    }
+
+    async updateRecordingSession(id, changes) {
+        return this.db.recordingSessions.update(parseInt(id), {
+            ...changes,
+            timestamp: Date.now()
+        });
+    }
+
+    async addRecordingChunk(sessionId, index, blob) {
+        return this.db.recordingChunks.add({ sessionId, index, blob });
+    }
+
+    async getRecordingSessions() {
+        return this.db.recordingSessions.toArray();
+    }
+
+    async getRecordingChunks(sessionId) {
+        return this.db.recordingChunks.where('sessionId').equals(sessionId).sortBy('index');
+    }
+
+    async deleteRecordingSession(id) {
+        const sessionId = parseInt(id);
+        return this.db.transaction('rw', this.db.recordingSessions, this.db.recordingChunks, async () => {
+            await this.db.recordingChunks.where('sessionId').equals(sessionId).delete();
+            await this.db.recordingSessions.delete(sessionId);
+        });
+    }
+
+    // Backup support: every row of the given tables
+    async dumpTables(tableNames) {
+        const data = {};
+        for (const name of tableNames) {
+            data[name] = await this.db.table(name).toArray();
+        }
+        return data;
+    }
+
+    // Runs an import in one transaction, so a failed import leaves the database as it was.
+    // `apply` receives the tables by name and must only await Dexie calls.
+    async runImport(tableNames, apply) {
+        return this.db.transaction('rw', tableNames, () => apply(
+            Object.fromEntries(tableNames.map(name => [name, this.db.table(name)]))
+        ));
+    }
+
+    async savePlaylistDraft({ id, ...draft }) {
+        const record = { ...draft, timestamp: Date.now() };
+        if (id) {
+            await this.db.playlistDrafts.put({ ...record, id });
+            return id;
+        }
+        return this.db.playlistDrafts.add(record);
+    }
+
+    async getPlaylistDrafts() {
+        return this.db.playlistDrafts.orderBy('timestamp').reverse().toArray();
+    }
+
+    async deletePlaylistDraft(id) {
+        return this.db.playlistDrafts.delete(parseInt(id));
+    }
+}
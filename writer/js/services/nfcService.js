@@ -2,6 +2,7 @@
 // This file encapsulates the Web NFC API interactions, handling both reading and writing.
 
 import { log } from '../utils/log.js';
+import { normalizeSerial } from '../utils/validationUtils.js';
 
 export class NFCService {
     constructor() {
@@ -13,7 +14,8 @@ export class NFCService {
     isSupported() {
         return {
             read: 'NDEFReader' in window,
-            write: 'NDEFWriter' in window || ('NDEFReader' in window && typeof NDEFReader.prototype.write === 'function')
+            write: 'NDEFWriter' in window || ('NDEFReader' in window && typeof NDEFReader.prototype.write === 'function'),
+            lock: 'NDEFReader' in window && typeof NDEFReader.prototype.makeReadOnly === 'function'
         };
     }
 
@@ -67,6 +69,163 @@ export class NFCService {
     }
 
 
+    /**
+     * Wait for a single tag and read it, then stop scanning
+     * @param {Object} options
+     * @param {number} options.timeoutMs - Give up when no tag is seen in this time
+     * @returns {Promise<Object>} - { serial, url, urlBytes } where urlBytes is the raw URL record payload
+     */
+    async readTagOnce({ timeoutMs = 30000 } = {}) {
+        if (!this.isSupported().read) {
+            throw new Error('Web NFC read is not supported on this device.');
+        }
+
+        const controller = new AbortController();
+        const reader = new NDEFReader();
+        try {
+            return await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('No Pebbble detected. Hold it against the phone and try again.')), timeoutMs);
+
+                reader.onreading = (event) => {
+                    clearTimeout(timer);
+                    resolve(this._parseReading(event));
+                };
+                // A tag pulled away mid-read fires this, keep waiting for the next tap
+                reader.onreadingerror = () => {
+                    log('Could not read the Pebbble, hold it still.', 'warning');
+                };
+
+                reader.scan({ signal: controller.signal }).catch((e) => {
+                    clearTimeout(timer);
+                    reject(e);
+                });
+            });
+        } finally {
+            controller.abort();
+        }
+    }
+
+    /**
+     * Read the tag back and compare its URL record with what was written, byte for byte
+     * @param {string} expectedUrl - URL that was written
+     * @param {string} expectedSerial - Serial of the tag it was written to
+     * @param {Object} options - Passed to readTagOnce
+     * @returns {Promise<Object>} - { valid, error }
+     */
+    async verifyUrl(expectedUrl, expectedSerial, options = {}) {
+        const tag = await this.readTagOnce(options);
+        const check = this._checkTag(tag, expectedUrl, expectedSerial);
+        if (check.valid) {
+            log(`Read-back verified: ${tag.urlBytes.length} bytes match.`, 'success');
+        }
+        return check;
+    }
+
+    /**
+     * Make a tag permanently read-only. It cannot be undone, not even by us.
+     * The lock is issued from the same tap that read the tag, once its serial and URL
+     * match. Web NFC cannot address a tag directly, so the stone must stay against
+     * the phone until the lock completes.
+     * @param {string} expectedUrl - URL that must be on the tag
+     * @param {string} expectedSerial - Serial of the tag to lock
+     * @param {Object} options
+     * @param {number} options.timeoutMs - Give up when no tag is locked in this time
+     * @param {AbortSignal} options.signal - Cancels waiting for the tag
+     */
+    async lockTag(expectedUrl, expectedSerial, { timeoutMs = 30000, signal = null } = {}) {
+        if (!this.isSupported().lock) {
+            throw new Error('Locking tags is not supported on this device.');
+        }
+
+        // Ends the scan once the lock is done, and on timeout or cancel
+        const controller = new AbortController();
+        const scanSignal = AbortSignal.any([controller.signal, AbortSignal.timeout(timeoutMs), ...(signal ? [signal] : [])]);
+        const reader = new NDEFReader();
+        let locking = false;
+
+        try {
+            await new Promise((resolve, reject) => {
+                scanSignal.addEventListener('abort', () => reject(scanSignal.reason), { once: true });
+
+                reader.onreading = async (event) => {
+                    if (locking) return;
+                    const check = this._checkTag(this._parseReading(event), expectedUrl, expectedSerial);
+                    if (!check.valid) {
+                        reject(new Error(`Not locked: ${check.error}`));
+                        return;
+                    }
+
+                    locking = true;
+                    log('Locking Pebbble...', 'info');
+                    try {
+                        // Issued while the verified tag is still in range
+                        await reader.makeReadOnly({ signal: scanSignal });
+                        resolve();
+                    } catch (e) {
+                        reject(e);
+                    }
+                };
+                // A tag pulled away mid-read fires this, keep waiting for the next tap
+                reader.onreadingerror = () => {
+                    log('Could not read the Pebbble, hold it still.', 'warning');
+                };
+
+                reader.scan({ signal: scanSignal }).catch(reject);
+            });
+            log('Pebbble locked permanently.', 'success');
+        } catch (e) {
+            if (e?.name === 'TimeoutError') {
+                throw new Error(locking
+                    ? 'The Pebbble was moved away before it was locked. Hold it still and try again.'
+                    : 'No Pebbble detected. Hold it against the phone and try again.');
+            }
+            if (locking) {
+                log(`Failed to lock the Pebbble: ${e.message}`, 'error');
+            }
+            throw e;
+        } finally {
+            controller.abort();
+        }
+    }
+
+    /**
+     * Compare a reading with the expected serial and URL record, byte for byte
+     * @private
+     */
+    _checkTag(tag, expectedUrl, expectedSerial) {
+        if (normalizeSerial(tag.serial) !== normalizeSerial(expectedSerial)) {
+            return { valid: false, error: `A different Pebbble was read (serial ${tag.serial}).` };
+        }
+        if (!tag.urlBytes) {
+            return { valid: false, error: 'The Pebbble has no URL record.' };
+        }
+
+        const expected = new TextEncoder().encode(expectedUrl);
+        const length = Math.max(expected.length, tag.urlBytes.length);
+        for (let i = 0; i < length; i++) {
+            if (expected[i] !== tag.urlBytes[i]) {
+                return {
+                    valid: false,
+                    error: `The URL on the Pebbble differs from the one written at byte ${i} ` +
+                        `(${tag.urlBytes.length} bytes read, ${expected.length} expected): ${tag.url}`
+                };
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * @private
+     */
+    _parseReading(event) {
+        const record = event.message?.records?.find(r => r.recordType === 'url');
+        return {
+            serial: event.serialNumber,
+            url: record ? new TextDecoder().decode(record.data) : null,
+            urlBytes: record ? new Uint8Array(record.data.buffer, record.data.byteOffset, record.data.byteLength) : null
+        };
+    }
+
     async writeUrl(url) {
         if (!this.isSupported().write) {
             throw new Error('Web NFC write is not supported on this device.');
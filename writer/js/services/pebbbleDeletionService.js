@@ -0,0 +1,140 @@
+// js/services/pebbbleDeletionService.js
+
+import { log } from '../utils/log.js';
+
+export class PebbbleDeletionService {
+    constructor(storageService, messageDb) {
+        this.storageService = storageService;
+        this.db = messageDb;
+    }
+
+    /**
+     * Lists every CID pinned for a finalized playlist: its messages, then the manifest.
+     * Older rows did not record message CIDs, so the manifest is fetched to find them.
+     * @param {Object} finalizedPlaylist - Row from finalizedPlaylists
+     * @returns {Promise<Array>} Items as { cid, label }
+     */
+    async collectPinnedItems(finalizedPlaylist) {
+        let messages = finalizedPlaylist.messages;
+
+        if (!messages) {
+            try {
+                const manifest = await this.storageService.fetchJson(finalizedPlaylist.playlistHash);
+                messages = manifest.messages || [];
+            } catch (error) {
+                log(`Could not read manifest, only the manifest will be unpinned: ${error.message}`, 'warning');
+                messages = [];
+            }
+        }
+
+        return [
+            ...messages.map((message, index) => ({
+                cid: message.ipfsHash,
+                label: message.title || `Message ${index + 1}`
+            })),
+            { cid: finalizedPlaylist.playlistHash, label: 'Playlist manifest' },
+            ...(finalizedPlaylist.pointer
+                ? [{ cid: finalizedPlaylist.pointer.recordCid, label: 'Pointer record' }]
+                : [])
+        ];
+    }
+
+    /**
+     * Unpins everything a finalized playlist uploaded, then cleans the local database
+     * @param {number} finalizedId - ID of the finalizedPlaylists row
+     * @param {Object} options
+     * @param {boolean} options.keepLocalCopy - Keep the row (marked as unpinned) and its clips
+     * @param {Function} options.onProgress - Called with { stage, items, index, status, error }
+     * @returns {Promise<Object>} - { success, failed: [{ cid, label, error }] }
+     */
+    async deletePebbble(finalizedId, { keepLocalCopy = true, onProgress = () => {} } = {}) {
+        const finalizedPlaylist = await this.db.getFinalizedPlaylist(finalizedId);
+        if (!finalizedPlaylist) {
+            throw new Error('Finalized playlist not found.');
+        }
+        if (!this.storageService) {
+            throw new Error('Storage service not available. Please check your storage settings.');
+        }
+
+        onProgress({ stage: 'collecting' });
+        const items = await this.collectPinnedItems(finalizedPlaylist);
+        onProgress({ stage: 'unpinning', items });
+
+        const failed = [];
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            onProgress({ stage: 'unpinning', items, index: i, status: 'working' });
+
+            try {
+                await this.storageService.unpin(item.cid);
+                onProgress({ stage: 'unpinning', items, index: i, status: 'done' });
+            } catch (error) {
+                log(`Failed to unpin "${item.label}": ${error.message}`, 'error');
+                failed.push({ ...item, error: error.message });
+                onProgress({ stage: 'unpinning', items, index: i, status: 'failed', error: error.message });
+            }
+        }
+
+        // Updatable pebbbles: drop the IPNS key so the name can never be republished
+        if (failed.length === 0 && finalizedPlaylist.pointer) {
+            try {
+                await this.storageService.removePointer(finalizedPlaylist.pointer.keyName);
+            } catch (error) {
+                log(`Could not remove pointer key: ${error.message}`, 'warning');
+            }
+        }
+
+        onProgress({ stage: 'cleaning-database' });
+
+        if (failed.length > 0) {
+            // Keep the row so the deletion can be retried for what is still pinned
+            await this.db.updateFinalizedPlaylist(finalizedId, {
+                unpinFailedCids: failed.map(item => item.cid)
+            });
+        } else if (keepLocalCopy) {
+            await this.db.updateFinalizedPlaylist(finalizedId, {
+                unpinnedAt: Date.now(),
+                unpinFailedCids: []
+            });
+        } else {
+            await this.deleteLocalData(finalizedPlaylist);
+        }
+
+        const success = failed.length === 0;
+        log(
+            success
+                ? `Pebbble "${finalizedPlaylist.name}" unpinned (${items.length} items).`
+                : `${failed.length} of ${items.length} items could not be unpinned.`,
+            success ? 'success' : 'warning'
+        );
+        onProgress({ stage: 'completed', items, failed });
+
+        return { success, failed };
+    }
+
+    /**
+     * Removes the finalized row, its source playlist, and clips no other playlist uses
+     * @private
+     */
+    async deleteLocalData(finalizedPlaylist) {
+        await this.db.deleteFinalizedPlaylist(finalizedPlaylist.id);
+
+        if (finalizedPlaylist.playlistId) {
+            await this.db.deletePlaylist(finalizedPlaylist.playlistId);
+        }
+
+        const [playlists, finalizedPlaylists] = await Promise.all([
+            this.db.getPlaylists(),
+            this.db.getFinalizedPlaylists()
+        ]);
+        const stillUsed = new Set(
+            [...playlists, ...finalizedPlaylists].flatMap(playlist => playlist.audioClipIds || [])
+        );
+
+        for (const clipId of finalizedPlaylist.audioClipIds || []) {
+            if (!stillUsed.has(clipId)) {
+                await this.db.deleteAudioClip(clipId);
+            }
+        }
+    }
+}
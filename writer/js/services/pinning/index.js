@@ -0,0 +1,108 @@
+// js/services/pinning/index.js
+// Registry of pinning backends. Each provider exposes:
+//   upload(blob, fileName, { signal }) -> Promise<cid>
+//   unpin(cid)             -> Promise<void>, resolves if the CID was not pinned
+//   getGatewayUrl(cid)     -> string
+// Providers that can keep a mutable name (IPNS) also expose:
+//   publishPointer(keyName, cid, { signal }) -> Promise<name>
+//   removePointer(keyName)                   -> Promise<void>
+
+import { PinataProvider } from './pinataProvider.js';
+import { KuboProvider } from './kuboProvider.js';
+import { PinningServiceProvider } from './pinningServiceProvider.js';
+import { MockProvider } from './mockProvider.js';
+
+/**
+ * Provider descriptors used by the setup form to render and validate fields.
+ * With `oneOf`, at least one group of fields must be filled in completely.
+ * Fields marked `secret` are credentials, left out of backups unless asked for.
+ */
+export const PINNING_PROVIDERS = {
+    pinata: {
+        label: 'Pinata',
+        description: 'Hosted pinning. Use either a JWT or an API key and secret.',
+        create: (config) => new PinataProvider(config),
+        fields: [
+            { name: 'jwt', label: 'JWT', type: 'password', secret: true },
+            { name: 'apiKey', label: 'API Key', type: 'text', secret: true },
+            { name: 'secret', label: 'Secret API Key', type: 'password', secret: true }
+        ],
+        oneOf: [['jwt'], ['apiKey', 'secret']],
+        oneOfError: 'Provide either a JWT or both the API key and secret'
+    },
+    kubo: {
+        label: 'IPFS node (Kubo)',
+        description: 'Adds and pins content on your own node through its HTTP RPC API.',
+        create: (config) => new KuboProvider(config),
+        fields: [
+            { name: 'apiUrl', label: 'RPC API URL', type: 'url', placeholder: 'http://127.0.0.1:5001', required: true },
+            { name: 'gatewayUrl', label: 'Gateway URL', type: 'url', placeholder: 'http://127.0.0.1:8080/ipfs/' }
+        ]
+    },
+    pinningService: {
+        label: 'Pinning Service API',
+        description: 'Any service implementing the IPFS Pinning Service API. Content is provided by your Kubo node.',
+        create: (config) => new PinningServiceProvider(config),
+        fields: [
+            { name: 'endpoint', label: 'Service endpoint', type: 'url', placeholder: 'https://api.example.com/psa', required: true },
+            { name: 'accessToken', label: 'Access token', type: 'password', required: true, secret: true },
+            { name: 'apiUrl', label: 'Kubo RPC API URL', type: 'url', placeholder: 'http://127.0.0.1:5001', required: true }
+        ]
+    },
+    mock: {
+        label: 'Offline mock',
+        description: 'Keeps uploads in memory (and optionally in a local folder). Tags will not play outside this browser.',
+        create: (config) => new MockProvider(config),
+        fields: []
+    }
+};
+
+/**
+ * Check that a provider config has everything it needs
+ * @param {Object} config - { provider, ...fields }
+ * @returns {Object} Validation result
+ */
+export function validatePinningConfig(config) {
+    const descriptor = PINNING_PROVIDERS[config?.provider];
+    if (!descriptor) {
+        return { valid: false, error: 'Please choose a storage provider' };
+    }
+
+    const missing = descriptor.fields
+        .filter(field => field.required && !config[field.name]?.trim())
+        .map(field => field.label);
+    if (missing.length > 0) {
+        return { valid: false, error: `Missing: ${missing.join(', ')}` };
+    }
+
+    if (descriptor.oneOf && !descriptor.oneOf.some(group => group.every(name => config[name]?.trim()))) {
+        return { valid: false, error: descriptor.oneOfError };
+    }
+
+    for (const field of descriptor.fields) {
+        if (field.type === 'url' && config[field.name]) {
+            try {
+                new URL(config[field.name]);
+            } catch {
+                return { valid: false, error: `${field.label} is not a valid URL` };
+            }
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Instantiate the provider described by a config
+ * @param {Object} config - { provider, ...fields }
+ */
+export function createPinningProvider(config) {
+    const descriptor = PINNING_PROVIDERS[config?.provider];
+    if (!descriptor) throw new Error(`Unknown storage provider: ${config?.provider}`);
+
+    // Empty form fields fall back to the provider defaults
+    const options = Object.fromEntries(
+        Object.entries(config).filter(([, value]) => value !== '' && value !== undefined)
+    );
+    return descriptor.create(options);
+}
@@ -0,0 +1,111 @@
+// js/services/pinning/kuboProvider.js
+// IPFS Kubo HTTP RPC API (e.g. a local node on 127.0.0.1:5001).
+// The node must allow the writer's origin in API.HTTPHeaders.Access-Control-Allow-Origin.
+
+export class KuboProvider {
+    constructor({ apiUrl = 'http://127.0.0.1:5001', gatewayUrl = 'http://127.0.0.1:8080/ipfs/' } = {}) {
+        this.id = 'kubo';
+        this.apiUrl = apiUrl.replace(/\/+$/, '');
+        this.gatewayUrl = gatewayUrl.endsWith('/') ? gatewayUrl : `${gatewayUrl}/`;
+    }
+
+    async upload(blob, fileName, { pin = true, signal } = {}) {
+        const formData = new FormData();
+        formData.append('file', blob, fileName);
+
+        // The RPC API only accepts POST, including for read-only commands
+        const response = await fetch(`${this.apiUrl}/api/v0/add?cid-version=1&pin=${pin}`, {
+            method: 'POST',
+            body: formData,
+            signal
+        });
+        if (!response.ok) throw new Error(`Upload failed: ${response.statusText}`);
+        const result = await response.json();
+        return result.Hash;
+    }
+
+    async unpin(cid) {
+        const response = await fetch(`${this.apiUrl}/api/v0/pin/rm?arg=${encodeURIComponent(cid)}`, {
+            method: 'POST'
+        });
+        if (response.ok) return;
+
+        // Already unpinned is not an error for our purposes
+        const result = await response.json().catch(() => ({}));
+        if (!/not pinned/i.test(result.Message || '')) {
+            throw new Error(`Unpin failed: ${result.Message || response.statusText}`);
+        }
+    }
+
+    /**
+     * Point an IPNS name at a CID. Each updatable pebbble gets its own key,
+     * so the name stays stable across republishes.
+     * @param {string} keyName - Local key name on the node
+     * @param {string} cid - Content the name should resolve to
+     * @returns {Promise<string>} IPNS name (base36 "k51...")
+     */
+    async publishPointer(keyName, cid, { signal } = {}) {
+        await this.ensureKey(keyName, { signal });
+
+        const params = new URLSearchParams({
+            arg: `/ipfs/${cid}`,
+            key: keyName,
+            lifetime: '8760h',
+            'allow-offline': 'true',
+            'ipns-base': 'base36'
+        });
+        const response = await fetch(`${this.apiUrl}/api/v0/name/publish?${params}`, {
+            method: 'POST',
+            signal
+        });
+        if (!response.ok) throw new Error(`IPNS publish failed: ${response.statusText}`);
+        const result = await response.json();
+        return result.Name;
+    }
+
+    async ensureKey(keyName, { signal } = {}) {
+        const listResponse = await fetch(`${this.apiUrl}/api/v0/key/list?l=true&ipns-base=base36`, {
+            method: 'POST',
+            signal
+        });
+        if (!listResponse.ok) throw new Error(`Key lookup failed: ${listResponse.statusText}`);
+        const { Keys = [] } = await listResponse.json();
+
+        const existing = Keys.find(key => key.Name === keyName);
+        if (existing) return existing.Id;
+
+        const genResponse = await fetch(
+            `${this.apiUrl}/api/v0/key/gen?arg=${encodeURIComponent(keyName)}&type=ed25519&ipns-base=base36`,
+            { method: 'POST', signal }
+        );
+        if (!genResponse.ok) throw new Error(`Key creation failed: ${genResponse.statusText}`);
+        return (await genResponse.json()).Id;
+    }
+
+    async removePointer(keyName) {
+        const response = await fetch(`${this.apiUrl}/api/v0/key/rm?arg=${encodeURIComponent(keyName)}`, {
+            method: 'POST'
+        });
+        if (response.ok) return;
+
+        const result = await response.json().catch(() => ({}));
+        if (!/no key named/i.test(result.Message || '')) {
+            throw new Error(`Key removal failed: ${result.Message || response.statusText}`);
+        }
+    }
+
+    /**
+     * Multiaddrs the node can be reached on, used as pinning origins
+     * @returns {Promise<string[]>}
+     */
+    async getAddresses() {
+        const response = await fetch(`${this.apiUrl}/api/v0/id`, { method: 'POST' });
+        if (!response.ok) throw new Error(`Node unreachable: ${response.statusText}`);
+        const result = await response.json();
+        return result.Addresses || [];
+    }
+
+    getGatewayUrl(cid) {
+        return `${this.gatewayUrl}${cid}`;
+    }
+}
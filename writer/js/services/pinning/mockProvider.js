@@ -0,0 +1,71 @@
+// js/services/pinning/mockProvider.js
+// Offline stand-in for a pinning service. Content is kept in memory and,
+// when a folder was picked, also written there as <cid>.json. CIDs are real
+// CIDv1 values so the rest of the flow (URLs, manifests) behaves as usual.
+// It publishes no pointers: a pointer name only it knows would end up on a real
+// tag that no player can resolve, so updatable pebbbles need a real node.
+
+import { computeRawCid } from '../../utils/cidUtils.js';
+
+// Shared across instances so uploads survive credential changes within a session
+const memoryStore = new Map();
+
+export class MockProvider {
+    constructor({ directoryHandle = null } = {}) {
+        this.id = 'mock';
+        this.directoryHandle = directoryHandle;
+    }
+
+    async upload(blob, fileName, { signal } = {}) {
+        signal?.throwIfAborted();
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const cid = await computeRawCid(bytes);
+        memoryStore.set(cid, blob);
+
+        if (this.directoryHandle) {
+            await this.writeToDirectory(`${cid}.json`, blob);
+        }
+        return cid;
+    }
+
+    async writeToDirectory(fileName, blob) {
+        // Handles restored from IndexedDB must be re-authorized once per session
+        let permission = await this.directoryHandle.queryPermission({ mode: 'readwrite' });
+        if (permission === 'prompt') {
+            permission = await this.directoryHandle.requestPermission({ mode: 'readwrite' });
+        }
+        if (permission !== 'granted') {
+            throw new Error('Permission to write to the selected folder was denied');
+        }
+        const fileHandle = await this.directoryHandle.getFileHandle(fileName, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+    }
+
+    async unpin(cid) {
+        memoryStore.delete(cid);
+
+        if (this.directoryHandle) {
+            try {
+                await this.directoryHandle.removeEntry(`${cid}.json`);
+            } catch (error) {
+                if (error.name !== 'NotFoundError') throw error;
+            }
+        }
+    }
+
+    /**
+     * Read back content stored during this session
+     * @param {string} cid
+     * @returns {Blob|null}
+     */
+    get(cid) {
+        return memoryStore.get(cid) || null;
+    }
+
+    getGatewayUrl(cid) {
+        const blob = memoryStore.get(cid);
+        return blob ? URL.createObjectURL(blob) : null;
+    }
+}
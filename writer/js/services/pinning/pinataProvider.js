@@ -0,0 +1,54 @@
+// js/services/pinning/pinataProvider.js
+// Pinata pinning API. Supports both the legacy key/secret pair and JWT auth.
+
+export class PinataProvider {
+    constructor({ apiKey = '', secret = '', jwt = '' } = {}) {
+        this.id = 'pinata';
+        this.apiKey = apiKey;
+        this.secret = secret;
+        this.jwt = jwt;
+        this.apiUrl = 'https://api.pinata.cloud/pinning/pinFileToIPFS';
+        this.gatewayUrl = 'https://gateway.pinata.cloud/ipfs/';
+    }
+
+    getAuthHeaders() {
+        if (this.jwt) {
+            return { 'Authorization': `Bearer ${this.jwt}` };
+        }
+        return {
+            'pinata_api_key': this.apiKey,
+            'pinata_secret_api_key': this.secret
+        };
+    }
+
+    async upload(blob, fileName, { signal } = {}) {
+        const formData = new FormData();
+        formData.append('file', blob, fileName);
+        formData.append('pinataMetadata', JSON.stringify({ name: fileName }));
+
+        const response = await fetch(this.apiUrl, {
+            method: 'POST',
+            headers: this.getAuthHeaders(),
+            body: formData,
+            signal
+        });
+        if (!response.ok) throw new Error(`Upload failed: ${response.statusText}`);
+        const result = await response.json();
+        return result.IpfsHash;
+    }
+
+    async unpin(cid) {
+        const response = await fetch(`https://api.pinata.cloud/pinning/unpin/${cid}`, {
+            method: 'DELETE',
+            headers: this.getAuthHeaders()
+        });
+        // 404: nothing pinned under this CID for the account, which is what we want
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Unpin failed: ${response.statusText}`);
+        }
+    }
+
+    getGatewayUrl(cid) {
+        return `${this.gatewayUrl}${cid}`;
+    }
+}
@@ -0,0 +1,77 @@
+// js/services/pinning/pinningServiceProvider.js
+// Generic IPFS Pinning Service API (https://ipfs.github.io/pinning-services-api-spec/).
+// The spec only pins CIDs that already exist on the network, so content is first
+// added to a Kubo node and the service is asked to fetch it from there.
+
+import { KuboProvider } from './kuboProvider.js';
+
+export class PinningServiceProvider {
+    constructor({ endpoint = '', accessToken = '', apiUrl, gatewayUrl = 'https://ipfs.io/ipfs/' } = {}) {
+        this.id = 'pinningService';
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.accessToken = accessToken;
+        this.node = new KuboProvider({ apiUrl });
+        this.gatewayUrl = gatewayUrl.endsWith('/') ? gatewayUrl : `${gatewayUrl}/`;
+        this.origins = null;
+    }
+
+    async upload(blob, fileName, { signal } = {}) {
+        const cid = await this.node.upload(blob, fileName, { signal });
+
+        // Origins are a hint only, pinning still works without them
+        if (this.origins === null) {
+            this.origins = await this.node.getAddresses().catch(() => []);
+        }
+
+        const response = await fetch(`${this.endpoint}/pins`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ cid, name: fileName, origins: this.origins }),
+            signal
+        });
+        if (!response.ok) throw new Error(`Pin request failed: ${response.statusText}`);
+
+        const status = await response.json();
+        if (status.status === 'failed') {
+            throw new Error(`Pinning service could not pin ${cid}`);
+        }
+        return cid;
+    }
+
+    async unpin(cid) {
+        const headers = { 'Authorization': `Bearer ${this.accessToken}` };
+
+        // The API deletes pin requests, not CIDs: look up every request for this CID
+        const listResponse = await fetch(`${this.endpoint}/pins?cid=${encodeURIComponent(cid)}`, { headers });
+        if (!listResponse.ok) throw new Error(`Pin lookup failed: ${listResponse.statusText}`);
+        const { results = [] } = await listResponse.json();
+
+        for (const pin of results) {
+            const response = await fetch(`${this.endpoint}/pins/${pin.requestid}`, {
+                method: 'DELETE',
+                headers
+            });
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`Unpin failed: ${response.statusText}`);
+            }
+        }
+
+        await this.node.unpin(cid);
+    }
+
+    // The pinning service API has no naming, IPNS is published by the node
+    async publishPointer(keyName, cid, options) {
+        return this.node.publishPointer(keyName, cid, options);
+    }
+
+    async removePointer(keyName) {
+        return this.node.removePointer(keyName);
+    }
+
+    getGatewayUrl(cid) {
+        return `${this.gatewayUrl}${cid}`;
+    }
+}
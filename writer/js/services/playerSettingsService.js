@@ -0,0 +1,106 @@
+// js/services/playerSettingsService.js
+// Which player a tag URL opens. config.FORCE_NFC_URL_BASE is only the built-in default:
+// the Player Settings screen can replace it and keep other players (a staging build,
+// a self-hosted copy) that a single pebbble can be written for instead.
+// Every finalized pebbble records the base it was written with (playerBaseUrl).
+
+import { urlParser } from '../utils/urlParser.js';
+
+// Hosts where plain http is accepted, for testing a player served from this machine
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+export class PlayerSettingsService {
+    constructor(messageDb) {
+        this.db = messageDb;
+    }
+
+    /**
+     * Base URL from config.js, used until another default is saved
+     * @returns {string}
+     */
+    getBuiltInBaseUrl() {
+        return urlParser.getConfiguredBase();
+    }
+
+    /**
+     * Base URL new pebbbles are written with
+     * @returns {Promise<string>}
+     */
+    async getDefaultBaseUrl() {
+        return (await this.db.getSetting('playerBaseUrl'))?.value || this.getBuiltInBaseUrl();
+    }
+
+    /**
+     * Other players a pebbble can be written for
+     * @returns {Promise<Array>} - [{ label, url }]
+     */
+    async getAlternatives() {
+        return (await this.db.getSetting('playerBaseUrls'))?.value || [];
+    }
+
+    /**
+     * Every player to choose from, the default first
+     * @returns {Promise<Array>} - [{ label, url, isDefault }]
+     */
+    async getPlayers() {
+        const defaultUrl = await this.getDefaultBaseUrl();
+        const alternatives = await this.getAlternatives();
+        return [
+            { label: 'Default player', url: defaultUrl, isDefault: true },
+            ...alternatives
+                .filter(player => player.url !== defaultUrl)
+                .map(player => ({ ...player, isDefault: false }))
+        ];
+    }
+
+    /**
+     * @param {string|null} url - Validated base URL, or null to go back to the built-in one
+     */
+    async saveDefaultBaseUrl(url) {
+        await this.db.saveSetting('playerBaseUrl', url && url !== this.getBuiltInBaseUrl() ? url : null);
+    }
+
+    /**
+     * @param {Array} alternatives - [{ label, url }] with validated URLs
+     */
+    async saveAlternatives(alternatives) {
+        await this.db.saveSetting('playerBaseUrls', alternatives);
+    }
+
+    /**
+     * Check a player base URL and bring it to the form written on tags
+     * @param {string} input
+     * @returns {Object} - { valid, value } or { valid, error }
+     */
+    validateBaseUrl(input) {
+        const trimmed = input?.trim() || '';
+        if (!trimmed) {
+            return { valid: false, error: 'Enter the address the player is served from' };
+        }
+
+        let url;
+        try {
+            url = new URL(trimmed);
+        } catch (error) {
+            return { valid: false, error: 'Not a valid URL, it should start with https://' };
+        }
+
+        const isLocal = LOCAL_HOSTS.includes(url.hostname);
+        if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+            return { valid: false, error: 'The player must be served over https, phones refuse to open it otherwise' };
+        }
+        // The tag data goes in the fragment
+        if (url.hash) {
+            return { valid: false, error: 'Remove the "#..." part, the pebbble data is added there' };
+        }
+
+        // "https://host/player" would open the wrong relative paths, a folder needs its slash
+        const lastSegment = url.pathname.split('/').pop();
+        if (lastSegment && !lastSegment.includes('.')) {
+            url.pathname += '/';
+        }
+        // Drops a bare trailing "#"
+        url.hash = '';
+        return { valid: true, value: url.toString() };
+    }
+}
@@ -2,12 +2,21 @@
 
 import { log } from '../utils/log.js';
 import { urlParser } from '../utils/urlParser.js';
+import { PlayerSettingsService } from './playerSettingsService.js';
+import { EncryptionWorkerPool } from './encryptionWorkerPool.js';
+import { TranscodeService, DEFAULT_AUDIO_FORMAT } from './transcodeService.js';
+import { audioProcessingService, DEFAULT_LOUDNESS_MODE } from './audioProcessingService.js';
+
+// Clips in flight at once: encryption of one overlaps the uploads of others
+const DEFAULT_CONCURRENCY = 3;
 
 export class PlaylistFinalizationService {
     constructor(encryptionService, storageService, messageDb) {
         this.encryptionService = encryptionService;
         this.storageService = storageService;
         this.db = messageDb;
+        this.transcodeService = new TranscodeService();
+        this.abortController = null;
     }
 
     /**
@@ -18,6 +27,16 @@ export class PlaylistFinalizationService {
      * @param {string} options.playlistName - Name of the playlist
      * @param {number|null} options.playlistId - ID of existing playlist (optional)
      * @param {Array} options.audioClipIds - Array of audio clip IDs for database storage
+     * @param {Object} options.clipSchedules - Optional date locks keyed by clip ID ({ availableFrom, availableTo })
+     * @param {number|null} options.jobId - Finalization job to resume (optional)
+     * @param {boolean} options.updatable - Write a mutable pointer to the tag instead of the manifest CID
+     * @param {Object|null} options.republishOf - Finalized playlist row this run replaces (see republishPlaylist)
+     * @param {Object} options.reusedClips - Already pinned packages keyed by clip ID (republish only)
+     * @param {string} options.audioFormat - Codec clips are transcoded to before encryption (see AUDIO_FORMATS)
+     * @param {string} options.loudnessMode - Render normalized audio, store a playback gain, or neither (see LOUDNESS_MODES)
+     * @param {string|null} options.playerBaseUrl - Player the tag URL opens, the saved default when null
+     * @param {number} options.concurrency - Clips processed in parallel
+     * @param {AbortSignal|null} options.signal - Cancels the run, see also cancelFinalization
      * @param {Function} options.onProgress - Progress callback function
      * @returns {Promise<Object>} - Result object with URL and playlist info
      */
@@ -27,6 +46,16 @@ export class PlaylistFinalizationService {
         playlistName,
         playlistId = null,
         audioClipIds = [],
+        clipSchedules = {},
+        jobId = null,
+        updatable = false,
+        republishOf = null,
+        reusedClips = {},
+        audioFormat = DEFAULT_AUDIO_FORMAT,
+        loudnessMode = DEFAULT_LOUDNESS_MODE,
+        playerBaseUrl = null,
+        concurrency = DEFAULT_CONCURRENCY,
+        signal = null,
         onProgress = () => {}
     }) {
         // Validate inputs
@@ -43,51 +72,163 @@ export class PlaylistFinalizationService {
         }
 
         if (!this.storageService) {
-            throw new Error('Storage service not available. Please check your API credentials.');
+            throw new Error('Storage service not available. Please check your storage settings.');
+        }
+
+        if ((updatable || republishOf) && !this.storageService.supportsPointers) {
+            throw new Error('Updatable pebbbles need an IPFS node (Kubo) or Pinning Service API provider.');
+        }
+
+        // A caller's signal may be aborted before this point, it is checked once the job exists
+        if (!signal) {
+            this.abortController = new AbortController();
+            signal = this.abortController.signal;
+        }
+
+        // Rows and jobs from before player settings existed were written for the config.js player
+        if (republishOf) {
+            // A republished tag keeps the URL it was written with
+            playerBaseUrl = republishOf.playerBaseUrl || urlParser.getConfiguredBase();
+        } else if (!jobId) {
+            playerBaseUrl = playerBaseUrl || await new PlayerSettingsService(this.db).getDefaultBaseUrl();
+        }
+
+        const job = jobId
+            ? await this._loadJob(jobId, tagSerial)
+            : await this._createJob({
+                clips, tagSerial, playlistName, playlistId, audioClipIds, clipSchedules,
+                updatable, republishOf, reusedClips, audioFormat, loudnessMode, playerBaseUrl
+            });
+        if (jobId && job.republishOfId) {
+            republishOf = await this.db.getFinalizedPlaylist(job.republishOfId);
+        }
+        if (jobId) {
+            playerBaseUrl = job.playerBaseUrl || urlParser.getConfiguredBase();
         }
 
         log(`Starting playlist finalization: "${playlistName}" with ${clips.length} clips`, 'info');
-        onProgress({ stage: 'starting', message: `Starting finalization for "${playlistName}"` });
+        onProgress({
+            stage: 'starting',
+            jobId: job.id,
+            message: jobId
+                ? `Resuming finalization for "${playlistName}"`
+                : `Starting finalization for "${playlistName}"`
+        });
 
         const playlistManifest = { 
             version: 'playlist-v1', 
             messages: [],
             metadata: {
                 name: playlistName,
-                createdAt: Date.now(),
+                createdAt: job.createdAt,
                 totalClips: clips.length
             }
         };
 
-        // Process each audio clip
-        const processedClips = [];
-        for (let i = 0; i < clips.length; i++) {
-            const clip = clips[i];
-            
-            try {
-                const progress = {
-                    stage: 'processing-clip',
-                    current: i + 1,
-                    total: clips.length,
-                    message: `Processing clip ${i + 1} of ${clips.length}: "${clip.title}"`
-                };
-                onProgress(progress);
-                
-                const processedClip = await this._processAudioClip(clip, tagSerial);
-                processedClips.push(processedClip);
-                playlistManifest.messages.push({
-                    messageId: processedClip.messageId,
-                    ipfsHash: processedClip.ipfsHash
-                });
-                
-                log(`Successfully processed clip: "${clip.title}"`, 'success');
-                
-            } catch (error) {
-                log(`Failed to process clip "${clip.title}": ${error.message}`, 'error');
-                throw new Error(`Failed to process clip "${clip.title}": ${error.message}`);
+        // Clips go through a bounded pipeline, skipping the ones a previous run
+        // already uploaded. Results are slotted by index so the manifest order
+        // never depends on which upload finishes first.
+        const processedClips = new Array(clips.length);
+        const pendingIndexes = [];
+        clips.forEach((clip, i) => {
+            if (job.processedClips[clip.id]) {
+                processedClips[i] = job.processedClips[clip.id];
+            } else {
+                pendingIndexes.push(i);
             }
+        });
+
+        let completed = clips.length - pendingIndexes.length;
+        let remainingBytes = pendingIndexes.reduce((sum, i) => sum + (clips[i].audioBlob?.size || 0), 0);
+        let bytesDone = 0;
+        const pipelineStart = Date.now();
+        const previousThroughput = (await this.db.getSetting('finalizationThroughput'))?.value || null;
+
+        const reportProgress = (message) => {
+            // Measured throughput of this run once a clip finished, the last run's before that
+            const elapsed = Date.now() - pipelineStart;
+            const bytesPerMs = bytesDone > 0 ? bytesDone / elapsed : previousThroughput;
+            const estimate = this.estimateFinalizationTime(remainingBytes, bytesPerMs);
+            onProgress({
+                stage: 'processing-clip',
+                current: completed,
+                total: clips.length,
+                etaMs: estimate?.estimatedMs ?? null,
+                message: estimate ? `${message} · ${this._formatEta(estimate.estimatedMs)}` : message
+            });
+        };
+
+        if (completed > 0) {
+            reportProgress(`${completed} of ${clips.length} clips already uploaded`);
         }
 
+        // Catches a cancel issued during setup, the listener below only sees later ones
+        if (signal.aborted) throw await this._cancelJob(job, onProgress);
+
+        // A failing clip stops the others without being mistaken for a user cancel
+        const pipelineController = new AbortController();
+        const abortPipeline = () => pipelineController.abort(signal.reason);
+        signal.addEventListener('abort', abortPipeline, { once: true });
+
+        const workerPool = new EncryptionWorkerPool({ fallbackService: this.encryptionService });
+        let failure = null;
+
+        try {
+            await this._runWithConcurrency(pendingIndexes, concurrency, async (i) => {
+                const clip = clips[i];
+                if (pipelineController.signal.aborted) return;
+
+                try {
+                    reportProgress(`Processing clip ${i + 1} of ${clips.length}: "${clip.title}"`);
+
+                    const processedClip = await this._processAudioClip(clip, tagSerial, job.clipTimestamps[clip.id], {
+                        signal: pipelineController.signal,
+                        workerPool,
+                        audioFormat: job.audioFormat || audioFormat,
+                        loudnessMode: job.loudnessMode || loudnessMode
+                    });
+                    processedClip.completedAt = Date.now();
+                    processedClips[i] = processedClip;
+
+                    // Checkpoint right away so a failure elsewhere keeps this upload
+                    job.processedClips[clip.id] = processedClip;
+                    await this.db.updateFinalizationJob(job.id, { processedClips: job.processedClips });
+
+                    completed++;
+                    bytesDone += clip.audioBlob?.size || 0;
+                    remainingBytes -= clip.audioBlob?.size || 0;
+                    reportProgress(`Uploaded ${completed} of ${clips.length} clips`);
+                    log(`Successfully processed clip: "${clip.title}"`, 'success');
+                } catch (error) {
+                    if (!failure && !signal.aborted) {
+                        failure = { clip, error };
+                        pipelineController.abort(error);
+                    }
+                }
+            });
+        } finally {
+            workerPool.terminate();
+            signal.removeEventListener('abort', abortPipeline);
+        }
+
+        if (signal.aborted) throw await this._cancelJob(job, onProgress);
+
+        if (failure) {
+            log(`Failed to process clip "${failure.clip.title}": ${failure.error.message}`, 'error');
+            await this._failJob(job.id, failure.error);
+            throw new Error(`Failed to process clip "${failure.clip.title}": ${failure.error.message}`);
+        }
+
+        if (bytesDone > 0) {
+            await this.db.saveSetting('finalizationThroughput', bytesDone / (Date.now() - pipelineStart));
+        }
+
+        processedClips.forEach((processedClip, i) => {
+            playlistManifest.messages.push(
+                this._createManifestEntry(processedClip, clipSchedules[clips[i].id])
+            );
+        });
+
         // Upload final manifest
         onProgress({
             stage: 'uploading-manifest',
@@ -96,31 +237,94 @@ export class PlaylistFinalizationService {
 
         let finalManifestHash;
         let finalNfcUrl;
+        const compact = (await this.db.getSetting('nfcUrlFormat'))?.value === 'compact';
         
         try {
-            finalManifestHash = await this.storageService.uploadMessagePackage(playlistManifest);
-            finalNfcUrl = urlParser.createSecureNfcUrl({ playlistHash: finalManifestHash });
+            signal.throwIfAborted();
+            finalManifestHash = job.manifestHash
+                || await this.storageService.uploadMessagePackage(playlistManifest, { signal });
+            job.manifestHash = finalManifestHash;
+            await this.db.updateFinalizationJob(job.id, { manifestHash: finalManifestHash });
+            finalNfcUrl = urlParser.createSecureNfcUrl({ playlistHash: finalManifestHash, compact, baseUrl: playerBaseUrl });
             
             log(`Final manifest uploaded with hash: ${finalManifestHash}`, 'success');
             
         } catch (error) {
+            if (signal.aborted) throw await this._cancelJob(job, onProgress);
             log(`Failed to upload final playlist manifest: ${error.message}`, 'error');
+            await this._failJob(job.id, error);
             throw new Error(`Failed to create final playlist: ${error.message}`);
         }
 
+        // Updatable pebbbles: the tag holds a stable name resolving to a pointer record
+        let pointer = null;
+        if (job.pointerKeyName) {
+            onProgress({
+                stage: 'publishing-pointer',
+                message: republishOf ? 'Updating the pebbble pointer...' : 'Publishing the pebbble pointer...'
+            });
+
+            try {
+                signal.throwIfAborted();
+                pointer = job.pointer || await this._publishPointer(
+                    job.pointerKeyName,
+                    finalManifestHash,
+                    (republishOf?.pointer?.revision || 0) + 1,
+                    signal
+                );
+                job.pointer = pointer;
+                await this.db.updateFinalizationJob(job.id, { pointer });
+                // The tag of a republished pebbble is not rewritten, its URL stays what was written
+                finalNfcUrl = republishOf?.nfcUrl && republishOf.pointer?.name === pointer.name
+                    ? republishOf.nfcUrl
+                    : urlParser.createSecureNfcUrl({ pointer: pointer.name, compact, baseUrl: playerBaseUrl });
+                
+                log(`Pointer ${pointer.name} now at revision ${pointer.revision}`, 'success');
+                
+            } catch (error) {
+                if (signal.aborted) throw await this._cancelJob(job, onProgress);
+                log(`Failed to publish pointer: ${error.message}`, 'error');
+                await this._failJob(job.id, error);
+                throw new Error(`Failed to publish pointer: ${error.message}`);
+            }
+        }
+
         // Save to database
         onProgress({
             stage: 'saving-to-database',
             message: 'Saving finalized playlist to database...'
         });
 
+        const details = {
+            playlistId,
+            clipSchedules,
+            // Pinned CIDs, needed later to unpin the whole pebbble
+            messages: processedClips.map(({ reused, ...clip }) => clip),
+            // The base on the tag, a compact URL may use COMPACT_NFC_URL_BASE instead of the player's
+            playerBaseUrl: urlParser.getBase(finalNfcUrl),
+            nfcUrl: finalNfcUrl,
+            ...(pointer ? { pointer } : {})
+        };
+
+        let finalizedId = republishOf?.id ?? null;
         try {
-            await this.db.saveFinalizedPlaylist(
-                playlistName,
-                finalManifestHash,
-                tagSerial,
-                audioClipIds
-            );
+            if (republishOf) {
+                await this.db.updateFinalizedPlaylist(republishOf.id, {
+                    ...details,
+                    name: playlistName,
+                    playlistHash: finalManifestHash,
+                    audioClipIds,
+                    republishedAt: Date.now()
+                });
+            } else {
+                finalizedId = await this.db.saveFinalizedPlaylist(
+                    playlistName,
+                    finalManifestHash,
+                    tagSerial,
+                    audioClipIds,
+                    details
+                );
+            }
             
             log(`Playlist "${playlistName}" finalized and saved to database`, 'success');
             
@@ -129,6 +333,14 @@ export class PlaylistFinalizationService {
             // Don't throw here - the playlist was successfully created, just not saved locally
         }
 
+        // Everything is pinned and recorded, the checkpoint is no longer needed
+        await this.db.deleteFinalizationJob(job.id);
+        this.abortController = null;
+
+        if (republishOf) {
+            await this._unpinReplacedVersion(republishOf, processedClips);
+        }
+
         // Return success result
         const result = {
             success: true,
@@ -136,6 +348,10 @@ export class PlaylistFinalizationService {
             playlistHash: finalManifestHash,
             playlistName: playlistName,
             tagSerial: tagSerial,
+            pointer: pointer?.name || null,
+            playerBaseUrl: details.playerBaseUrl,
+            // Null when the record could not be saved
+            finalizedId,
             processedClips: processedClips.length,
             totalClips: clips.length
         };
@@ -151,44 +367,378 @@ export class PlaylistFinalizationService {
     }
 
     /**
-     * Processes a single audio clip: encrypts and uploads to IPFS
+     * Resumes an interrupted or failed finalization job
+     * @param {number} jobId - ID of the finalizationJobs row
+     * @param {Function} onProgress - Progress callback function
+     * @param {AbortSignal|null} signal - Cancels the run
+     * @returns {Promise<Object>} - Same result as finalizePlaylist
+     */
+    async resumeFinalization(jobId, onProgress = () => {}, signal = null) {
+        const job = await this.db.getFinalizationJob(jobId);
+        if (!job) {
+            throw new Error('Finalization job not found.');
+        }
+
+        const clips = [];
+        for (const clipId of job.audioClipIds) {
+            const clip = await this.db.getAudioClip(clipId);
+            if (!clip) {
+                throw new Error('A clip of this playlist was deleted since the finalization started.');
+            }
+            clips.push(clip);
+        }
+
+        return this.finalizePlaylist({
+            clips,
+            tagSerial: job.tagSerial,
+            playlistName: job.playlistName,
+            playlistId: job.playlistId,
+            audioClipIds: job.audioClipIds,
+            clipSchedules: job.clipSchedules,
+            jobId,
+            signal,
+            onProgress
+        });
+    }
+
+    /**
+     * Publishes a new version of an updatable pebbble. Clips that are still in
+     * the playlist keep their pinned packages; only new clips are encrypted and
+     * uploaded. The tag keeps working since its pointer name does not change.
+     * @param {Object} options
+     * @param {number} options.finalizedId - ID of the finalizedPlaylists row
+     * @param {Array} options.clips - Clips of the new version, in order
+     * @param {string} options.playlistName - Name of the playlist
+     * @param {Object} options.clipSchedules - Date locks keyed by clip ID
+     * @param {string} options.audioFormat - Codec for the new clips (see AUDIO_FORMATS)
+     * @param {string} options.loudnessMode - Volume normalization for the new clips (see LOUDNESS_MODES)
+     * @param {AbortSignal|null} options.signal - Cancels the run
+     * @param {Function} options.onProgress - Progress callback function
+     * @returns {Promise<Object>} - Same result as finalizePlaylist
+     */
+    async republishPlaylist({
+        finalizedId, clips, playlistName, clipSchedules = {},
+        audioFormat = DEFAULT_AUDIO_FORMAT, loudnessMode = DEFAULT_LOUDNESS_MODE, signal = null, onProgress = () => {}
+    }) {
+        const finalizedPlaylist = await this.db.getFinalizedPlaylist(finalizedId);
+        if (!finalizedPlaylist?.pointer) {
+            throw new Error('Only updatable pebbbles can be republished.');
+        }
+
+        const reusedClips = {};
+        for (const message of finalizedPlaylist.messages || []) {
+            if (clips.some(clip => clip.id === message.originalId)) {
+                reusedClips[message.originalId] = { ...message, reused: true };
+            }
+        }
+
+        return this.finalizePlaylist({
+            clips,
+            tagSerial: finalizedPlaylist.tagSerial,
+            playlistName,
+            playlistId: finalizedPlaylist.playlistId,
+            audioClipIds: clips.map(clip => clip.id),
+            clipSchedules,
+            republishOf: finalizedPlaylist,
+            reusedClips,
+            audioFormat,
+            loudnessMode,
+            signal,
+            onProgress
+        });
+    }
+
+    /**
+     * Publishes a pointer record and points the pebbble's IPNS name at it
      * @private
      */
-    async _processAudioClip(clip, tagSerial) {
-        const timestamp = Date.now();
-        
-        // Generate encryption key
-        const encryptionKey = await this.encryptionService.deriveEncryptionKey(tagSerial, timestamp);
-        
-        // Convert audio blob to array buffer
-        const audioBuffer = await clip.audioBlob.arrayBuffer();
+    async _publishPointer(keyName, manifestHash, revision, signal) {
+        const pointerRecord = {
+            version: 'pointer-v1',
+            manifest: manifestHash,
+            revision,
+            updatedAt: Date.now()
+        };
+        const recordCid = await this.storageService.uploadMessagePackage(pointerRecord, { signal });
+        const name = await this.storageService.publishPointer(keyName, recordCid, { signal });
+        return { name, keyName, revision, recordCid };
+    }
+
+    /**
+     * After a republish, unpins what only the previous version used:
+     * its manifest, its pointer record and the packages of removed clips
+     * @private
+     */
+    async _unpinReplacedVersion(previous, processedClips) {
+        const keptHashes = new Set(processedClips.map(clip => clip.ipfsHash));
+        const obsolete = [
+            previous.playlistHash,
+            previous.pointer?.recordCid,
+            ...(previous.messages || []).map(message => message.ipfsHash).filter(cid => !keptHashes.has(cid))
+        ].filter(Boolean);
+
+        for (const cid of obsolete) {
+            try {
+                await this.storageService.unpin(cid);
+            } catch (error) {
+                log(`Could not unpin previous version ${cid}: ${error.message}`, 'warning');
+            }
+        }
+    }
+
+    /**
+     * Records a new job. Per-clip timestamps are fixed upfront because they
+     * feed the key derivation: a resumed run must reuse them.
+     * @private
+     */
+    async _createJob({
+        clips, tagSerial, playlistName, playlistId, audioClipIds, clipSchedules,
+        updatable, republishOf, reusedClips, audioFormat, loudnessMode, playerBaseUrl
+    }) {
+        const createdAt = Date.now();
+        const clipTimestamps = {};
+        clips.forEach((clip, index) => {
+            clipTimestamps[clip.id] = createdAt + index;
+        });
+
+        const job = {
+            status: 'running',
+            playlistName,
+            playlistId,
+            audioClipIds: audioClipIds.length > 0 ? audioClipIds : clips.map(clip => clip.id),
+            clipSchedules,
+            tagSerial,
+            clipTimestamps,
+            processedClips: { ...reusedClips },
+            manifestHash: null,
+            // The IPNS key is named once so retries and republishes keep the same name
+            pointerKeyName: republishOf?.pointer?.keyName
+                || (updatable ? `pebbble-${tagSerial.replace(/:/g, '')}-${createdAt}` : null),
+            pointer: null,
+            republishOfId: republishOf?.id || null,
+            // Kept so a resumed run encodes the remaining clips the same way
+            audioFormat,
+            loudnessMode,
+            // A resumed run writes the tag URL for the same player
+            playerBaseUrl,
+            createdAt
+        };
+        job.id = await this.db.createFinalizationJob(job);
+        return job;
+    }
+
+    /**
+     * @private
+     */
+    async _loadJob(jobId, tagSerial) {
+        const job = await this.db.getFinalizationJob(jobId);
+        if (!job) {
+            throw new Error('Finalization job not found.');
+        }
+        if (job.tagSerial !== tagSerial) {
+            throw new Error('This finalization was started for a different Pebbble serial.');
+        }
+
+        await this.db.updateFinalizationJob(jobId, { status: 'running', lastError: null });
+        return job;
+    }
+
+    /**
+     * Unpins whatever a job uploaded and forgets it. CIDs that could not be
+     * unpinned are kept on the job (status "cancelled") for a later cleanup.
+     * @param {Object} job - Row from finalizationJobs
+     * @returns {Promise<Object>} - { unpinned, remaining } lists of CIDs
+     */
+    async discardJob(job) {
+        // Reused packages still belong to the live version of a republished pebbble
+        const uploaded = [
+            ...Object.values(job.processedClips || {}).filter(clip => !clip.reused).map(clip => clip.ipfsHash),
+            ...(job.cleanupCids || []),
+            ...(job.manifestHash ? [job.manifestHash] : []),
+            ...(job.pointer ? [job.pointer.recordCid] : [])
+        ];
+
+        const unpinned = [];
+        const remaining = [];
+        for (const cid of new Set(uploaded)) {
+            try {
+                await this.storageService.unpin(cid);
+                unpinned.push(cid);
+            } catch (error) {
+                log(`Could not unpin ${cid}: ${error.message}`, 'warning');
+                remaining.push(cid);
+            }
+        }
+
+        if (remaining.length === 0) {
+            await this.db.deleteFinalizationJob(job.id);
+        } else {
+            await this.db.updateFinalizationJob(job.id, {
+                status: 'cancelled',
+                processedClips: {},
+                manifestHash: null,
+                cleanupCids: remaining
+            });
+        }
+
+        return { unpinned, remaining };
+    }
+
+    /**
+     * Retries the cleanup of cancelled jobs whose uploads could not all be unpinned
+     * @returns {Promise<number>} - Number of CIDs still pinned
+     */
+    async cleanupCancelledJobs() {
+        const jobs = await this.db.getCancelledFinalizationJobs();
+        let remaining = 0;
+        for (const job of jobs) {
+            remaining += (await this.discardJob(job)).remaining.length;
+        }
+        return remaining;
+    }
+
+    /**
+     * @private
+     */
+    async _cancelJob(job, onProgress) {
+        const uploadedCount = Object.values(job.processedClips).filter(clip => !clip.reused).length
+            + (job.manifestHash ? 1 : 0);
+        onProgress({
+            stage: 'cancelling',
+            message: `Cancelled. Removing ${uploadedCount} uploaded package(s)...`
+        });
+
+        // An upload aborted mid-flight may still complete on the provider side;
+        // its CID is unknown to us, so it cannot be cleaned up here.
+        const { unpinned, remaining } = await this.discardJob(job);
+        this.abortController = null;
+
+        log(`Finalization cancelled: ${unpinned.length} unpinned, ${remaining.length} left for cleanup`, 'warning');
+        onProgress({
+            stage: 'cancelled',
+            unpinned: unpinned.length,
+            remaining: remaining.length,
+            message: remaining.length === 0
+                ? 'Finalization cancelled. Uploaded packages were removed.'
+                : `Finalization cancelled. ${remaining.length} package(s) could not be unpinned yet and will be retried later.`
+        });
+
+        return new DOMException('Finalization cancelled.', 'AbortError');
+    }
+
+    /**
+     * @private
+     */
+    async _failJob(jobId, error) {
+        try {
+            await this.db.updateFinalizationJob(jobId, { status: 'failed', lastError: error.message });
+        } catch (dbError) {
+            log(`Could not record finalization checkpoint: ${dbError.message}`, 'error');
+        }
+    }
+
+    /**
+     * Processes a single audio clip: normalizes and transcodes, encrypts (in the worker pool) and uploads to IPFS
+     * @private
+     */
+    async _processAudioClip(clip, tagSerial, timestamp = Date.now(), { signal, workerPool, audioFormat, loudnessMode } = {}) {
+        // Loudness is measured against a fixed target, so every clip of the playlist lands at the same level
+        let decoded = null;
+        let gainDb = 0;
+        if (loudnessMode && loudnessMode !== 'off') {
+            try {
+                decoded = await audioProcessingService.decode(clip.audioBlob);
+                gainDb = audioProcessingService.normalizationGain(await audioProcessingService.measureLoudness(decoded));
+            } catch (error) {
+                log(`Could not measure loudness of "${clip.title}": ${error.message}`, 'warning');
+            }
+            signal?.throwIfAborted();
+        }
+
+        // Kept originals cannot be re-rendered, their gain is applied at playback instead
+        const bakeGain = loudnessMode === 'render' && audioFormat !== 'original';
+        const playbackGainDb = bakeGain ? 0 : gainDb;
+
+        // Transcoding needs Web Audio, which workers lack, so it stays on the main thread
+        const { blob, mimeType } = await this.transcodeService.transcode(clip.audioBlob, {
+            format: audioFormat,
+            signal,
+            gainDb: bakeGain ? gainDb : 0,
+            decoded
+        });
+        const audioBuffer = await blob.arrayBuffer();
         
-        // Encrypt the audio data
-        const encryptedAudio = await this.encryptionService.encryptDataToBinary(audioBuffer, encryptionKey);
+        // Key derivation and encryption; transcripts (plain text or WebVTT) share the clip's key
+        const encrypted = await workerPool.encryptClip({
+            serial: tagSerial,
+            timestamp,
+            audio: audioBuffer,
+            transcript: clip.transcript?.trim() || ''
+        }, { signal });
         
         // Create message package
         const messagePackage = {
             messageId: `PBB-${clip.id}-${timestamp}`,
             timestamp: timestamp,
-            encryptedAudio: this.encryptionService.binToBase64(encryptedAudio),
+            encryptedAudio: encrypted.encryptedAudio,
             metadata: {
                 title: clip.title,
                 duration: clip.duration,
-                originalSize: audioBuffer.byteLength,
-                encryptedSize: encryptedAudio.length
+                mimeType,
+                originalSize: encrypted.originalSize,
+                encryptedSize: encrypted.encryptedSize
             }
         };
         
+        if (encrypted.encryptedTranscript) {
+            messagePackage.encryptedTranscript = encrypted.encryptedTranscript;
+        }
+        
         // Upload to IPFS
-        const ipfsHash = await this.storageService.uploadMessagePackage(messagePackage);
+        const ipfsHash = await this.storageService.uploadMessagePackage(messagePackage, { signal });
         
         return {
             messageId: messagePackage.messageId,
             ipfsHash: ipfsHash,
             title: clip.title,
             originalId: clip.id,
-            encryptedSize: encryptedAudio.length
+            encryptedSize: encrypted.encryptedSize,
+            ...(playbackGainDb ? { gainDb: playbackGainDb } : {})
+        };
+    }
+
+    /**
+     * Runs an async task per item with at most `limit` tasks in flight
+     * @private
+     */
+    async _runWithConcurrency(items, limit, task) {
+        let next = 0;
+        const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (next < items.length) {
+                const item = items[next++];
+                await task(item);
+            }
+        });
+        await Promise.all(runners);
+    }
+
+    /**
+     * Builds the manifest entry for a processed clip, including any date lock
+     * The player reads availableFrom/availableTo (YYYY-MM-DD) from these entries
+     * @private
+     */
+    _createManifestEntry(processedClip, schedule = {}) {
+        const entry = {
+            messageId: processedClip.messageId,
+            ipfsHash: processedClip.ipfsHash
         };
+        
+        if (schedule?.availableFrom) entry.availableFrom = schedule.availableFrom;
+        if (schedule?.availableTo) entry.availableTo = schedule.availableTo;
+        // Applied by the player's AudioService through a GainNode
+        if (processedClip.gainDb) entry.gainDb = processedClip.gainDb;
+        
+        return entry;
     }
 
     /**
@@ -209,32 +759,38 @@ export class PlaylistFinalizationService {
     }
 
     /**
-     * Estimates the time required for finalization based on clip count
-     * @param {number} clipCount - Number of clips to process
-     * @returns {Object} - Time estimation
+     * Estimates the remaining finalization time from measured throughput
+     * @param {number} remainingBytes - Audio bytes still to encrypt and upload
+     * @param {number|null} bytesPerMs - Measured throughput, null when unknown
+     * @returns {Object|null} - Time estimation, null until there is a measurement
      */
-    estimateFinalizationTime(clipCount) {
-        // Rough estimates based on typical performance
-        const timePerClip = 3000; // 3 seconds per clip (encryption + upload)
-        const manifestTime = 2000; // 2 seconds for final manifest
-        
-        const totalTime = (clipCount * timePerClip) + manifestTime;
-        
+    estimateFinalizationTime(remainingBytes, bytesPerMs) {
+        if (!bytesPerMs) return null;
+
+        const estimatedMs = remainingBytes / bytesPerMs;
         return {
-            estimatedMs: totalTime,
-            estimatedMinutes: Math.ceil(totalTime / 60000),
-            perClipMs: timePerClip
+            estimatedMs: estimatedMs,
+            estimatedMinutes: Math.ceil(estimatedMs / 60000)
         };
     }
 
     /**
-     * Cancels an ongoing finalization process
-     * Note: This is a placeholder for future implementation
-     * The current process cannot be easily cancelled due to encryption/upload operations
+     * @private
+     */
+    _formatEta(ms) {
+        if (ms < 60000) {
+            return `about ${Math.max(1, Math.ceil(ms / 1000))} s left`;
+        }
+        return `about ${Math.ceil(ms / 60000)} min left`;
+    }
+
+    /**
+     * Cancels an ongoing finalization process. The current step stops as soon as
+     * possible and packages already uploaded are unpinned (see discardJob).
      */
     cancelFinalization() {
-        log('Finalization cancellation requested - not yet implemented', 'warning');
-        // TODO: Implement cancellation logic if needed
-        // This would require making the process more granular and checking for cancellation flags
+        if (!this.abortController) return;
+        log('Cancelling finalization...', 'warning');
+        this.abortController.abort();
     }
 }
\ No newline at end of file
@@ -1,46 +1,84 @@
 // services/storageService.js
-// This file is based on your original storage.js and parent.html code. It handles
-// all interactions with the Pinata IPFS API.
-
-// services/storageService.js
+// Uploads encrypted packages through the configured pinning provider
+// (Pinata, a Kubo node, a Pinning Service API endpoint or the offline mock).
 
 import { log } from '../utils/log.js';
+import { createPinningProvider } from './pinning/index.js';
 
 export class StorageService {
-    constructor(apiKey, secret) {
-        this.apiKey = apiKey;
-        this.secret = secret;
-        this.pinataApiUrl = 'https://api.pinata.cloud/pinning/pinFileToIPFS';
-        this.pinataGatewayUrl = 'https://gateway.pinata.cloud/ipfs/';
+    constructor(config) {
+        this.setConfig(config);
         this.publicGateways = [
             'https://ipfs.io/ipfs/',
             'https://cloudflare-ipfs.com/ipfs/',
         ];
     }
 
-    setCredentials(apiKey, secret) {
-        this.apiKey = apiKey;
-        this.secret = secret;
+    setConfig(config) {
+        this.config = config;
+        this.provider = createPinningProvider(config);
     }
 
-    async uploadMessagePackage(messagePackage) {
-        log('Uploading encrypted package to IPFS...', 'info');
-        const formData = new FormData();
+    get providerId() {
+        return this.provider.id;
+    }
+
+    async uploadMessagePackage(messagePackage, { signal } = {}) {
+        log(`Uploading encrypted package to IPFS (${this.provider.id})...`, 'info');
         const jsonString = JSON.stringify(messagePackage);
         const blob = new Blob([jsonString], { type: 'application/json' });
-        formData.append('file', blob, 'package.json');
-        const metadata = JSON.stringify({ name: 'package.json' });
-        formData.append('pinataMetadata', metadata);
-        const response = await fetch(this.pinataApiUrl, {
-            method: 'POST',
-            headers: {
-                'pinata_api_key': this.apiKey,
-                'pinata_secret_api_key': this.secret
-            },
-            body: formData
-        });
-        if (!response.ok) throw new Error(`Upload failed: ${response.statusText}`);
-        const result = await response.json();
-        return result.IpfsHash;
-    }
-}
\ No newline at end of file
+        return this.provider.upload(blob, 'package.json', { signal });
+    }
+
+    async unpin(cid) {
+        log(`Unpinning ${cid} (${this.provider.id})...`, 'info');
+        return this.provider.unpin(cid);
+    }
+
+    /**
+     * Fetch a JSON package, trying the provider's gateway before public ones
+     * @param {string} cid
+     * @returns {Promise<Object>}
+     */
+    async fetchJson(cid) {
+        const providerUrl = this.provider.getGatewayUrl(cid);
+        const urls = [
+            ...(providerUrl ? [providerUrl] : []),
+            ...this.publicGateways.map(gateway => `${gateway}${cid}`)
+        ];
+
+        for (const url of urls) {
+            try {
+                const response = await fetch(url);
+                if (response.ok) return await response.json();
+            } catch (error) {
+                log(`Gateway failed for ${cid}: ${error.message}`, 'info');
+            }
+        }
+        throw new Error(`Could not fetch ${cid} from any gateway`);
+    }
+
+    /**
+     * Whether the provider can publish mutable pointers (updatable pebbbles)
+     */
+    get supportsPointers() {
+        return typeof this.provider.publishPointer === 'function';
+    }
+
+    async publishPointer(keyName, cid, { signal } = {}) {
+        if (!this.supportsPointers) {
+            throw new Error('Updatable pebbbles need an IPFS node (Kubo) or Pinning Service API provider.');
+        }
+        log(`Publishing pointer ${keyName} -> ${cid}...`, 'info');
+        return this.provider.publishPointer(keyName, cid, { signal });
+    }
+
+    async removePointer(keyName) {
+        if (!this.supportsPointers) return;
+        return this.provider.removePointer(keyName);
+    }
+
+    getGatewayUrl(cid) {
+        return this.provider.getGatewayUrl(cid);
+    }
+}
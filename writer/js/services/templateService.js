@@ -0,0 +1,259 @@
+// js/services/templateService.js
+// Guided pebbble templates. A template is a data file in /templates describing
+// named segments (prompt, suggested duration, optional), the pacing to speak at,
+// and a date-lock rule that turns the recorded segments into a scheduled playlist.
+//
+// Schedule rules, applied to every segment that does not set "lock": false:
+//   none   - nothing is locked
+//   fixed  - everything unlocks on the date input named by "from"
+//   daily  - locked segments unlock one per "everyDays" (default 1), starting on "from"
+// "expiresAfterDays" optionally closes each segment again that many days after it unlocks.
+
+import { log } from '../utils/log.js';
+
+export const TEMPLATE_IDS = ['meditation', 'bedtime-story', 'birthday', 'advent'];
+
+const SCHEDULE_RULES = ['none', 'fixed', 'daily'];
+
+// A take this far outside the suggested range gets a pacing note
+const PACING_TOLERANCE = 0.2;
+
+export class TemplateService {
+    constructor() {
+        this.templates = null;
+    }
+
+    /**
+     * Load and validate every bundled template. Broken files are skipped, not fatal.
+     * @returns {Promise<Object[]>}
+     */
+    async loadTemplates() {
+        if (this.templates) return this.templates;
+
+        const loaded = await Promise.all(TEMPLATE_IDS.map(async (id) => {
+            try {
+                const response = await fetch(new URL(`../../templates/${id}.json`, import.meta.url));
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const template = await response.json();
+                this.validateTemplate(template);
+                return template;
+            } catch (error) {
+                log(`Template "${id}" could not be loaded: ${error.message}`, 'warning');
+                return null;
+            }
+        }));
+
+        this.templates = loaded.filter(Boolean);
+        return this.templates;
+    }
+
+    /**
+     * @param {Object} template
+     * @throws {Error} When a required field is missing or a rule is unknown
+     */
+    validateTemplate(template) {
+        if (!template.id || !template.name) throw new Error('Template needs an id and a name');
+        if (!Array.isArray(template.segments) || template.segments.length === 0) {
+            throw new Error('Template has no segments');
+        }
+
+        const rule = template.schedule?.rule || 'none';
+        if (!SCHEDULE_RULES.includes(rule)) throw new Error(`Unknown schedule rule: ${rule}`);
+        if (rule !== 'none' && !template.inputs?.some(input => input.id === template.schedule.from)) {
+            throw new Error(`Schedule starts from unknown input: ${template.schedule.from}`);
+        }
+
+        for (const segment of template.segments) {
+            if (!segment.id || !segment.title) throw new Error('Every segment needs an id and a title');
+            if (!segment.prompt && !segment.prompts?.length) throw new Error(`Segment "${segment.id}" has no prompt`);
+            if (!(segment.duration?.min > 0) || segment.duration.max < segment.duration.min) {
+                throw new Error(`Segment "${segment.id}" has an invalid duration`);
+            }
+        }
+    }
+
+    /**
+     * Expand repeated segments ("repeat": n) into one segment each.
+     * "{n}" in the title is replaced by the running number, prompts rotate through "prompts".
+     * @param {Object} template
+     * @returns {Object[]} - Segments with unique ids
+     */
+    getSegments(template) {
+        return template.segments.flatMap((segment) => {
+            if (!segment.repeat) {
+                return [{ ...segment, prompt: segment.prompt || segment.prompts[0] }];
+            }
+
+            const prompts = segment.prompts || [segment.prompt];
+            return Array.from({ length: segment.repeat }, (_, i) => ({
+                ...segment,
+                id: `${segment.id}-${i + 1}`,
+                title: segment.title.replace('{n}', i + 1),
+                prompt: prompts[i % prompts.length]
+            }));
+        });
+    }
+
+    /**
+     * Total suggested length, optional segments count towards the maximum only
+     * @returns {Object} - { min, max } in seconds
+     */
+    estimateDuration(template) {
+        return this.getSegments(template).reduce((total, segment) => ({
+            min: total.min + (segment.optional ? 0 : segment.duration.min),
+            max: total.max + segment.duration.max
+        }), { min: 0, max: 0 });
+    }
+
+    /**
+     * Default values for the template's inputs
+     * @returns {Object} - Input id to value
+     */
+    getDefaultInputs(template, today = new Date()) {
+        return Object.fromEntries((template.inputs || []).map(input =>
+            [input.id, input.type === 'date' ? this._resolveDateDefault(input.default, today) : (input.default || '')]
+        ));
+    }
+
+    /**
+     * Unlock and expiry dates for every segment, in the same format as the playlist date locks
+     * @param {Object} template
+     * @param {Object} inputs - Values from the setup step
+     * @returns {Object} - Segment id to { availableFrom?, availableTo? }
+     */
+    computeSchedule(template, inputs) {
+        const { rule = 'none', from, everyDays = 1, expiresAfterDays } = template.schedule || {};
+        const schedules = {};
+        if (rule === 'none') return schedules;
+
+        const start = this._parseDate(inputs[from]);
+        if (!start) throw new Error(`Please choose a date for "${this._inputLabel(template, from)}"`);
+
+        let lockedIndex = 0;
+        for (const segment of this.getSegments(template)) {
+            if (segment.lock === false) continue;
+
+            const offset = rule === 'daily' ? lockedIndex * everyDays : 0;
+            const unlock = this._addDays(start, offset);
+            schedules[segment.id] = {
+                availableFrom: this._formatDate(unlock),
+                ...(expiresAfterDays ? { availableTo: this._formatDate(this._addDays(unlock, expiresAfterDays)) } : {})
+            };
+            lockedIndex++;
+        }
+        return schedules;
+    }
+
+    /**
+     * How many words fit in a segment at the template's pace, to help write a script
+     * @returns {Object|null} - { min, max } or null when the template has no pace
+     */
+    estimateWords(template, segment) {
+        const wordsPerMinute = template.pacing?.wordsPerMinute;
+        if (!wordsPerMinute) return null;
+        return {
+            min: Math.round(segment.duration.min / 60 * wordsPerMinute),
+            max: Math.round(segment.duration.max / 60 * wordsPerMinute)
+        };
+    }
+
+    /**
+     * Compare a take with the suggested duration
+     * @param {Object} segment
+     * @param {number} duration - Seconds
+     * @returns {Object} - { status: 'short' | 'ok' | 'long', message }
+     */
+    checkPacing(segment, duration) {
+        const { min, max } = segment.duration;
+        if (duration < min * (1 - PACING_TOLERANCE)) {
+            return { status: 'short', message: 'Shorter than suggested, the listener may feel rushed' };
+        }
+        if (duration > max * (1 + PACING_TOLERANCE)) {
+            return { status: 'long', message: 'Longer than suggested, consider trimming' };
+        }
+        return { status: 'ok', message: 'Good length' };
+    }
+
+    /**
+     * Assemble the recorded segments into playlist data, ready to save and finalize
+     * @param {Object} template
+     * @param {Object} takes - Segment id to saved clip id
+     * @param {Object} inputs - Values from the setup step
+     * @param {string} name - Playlist title
+     * @returns {Object} - { name, description, audioClipIds, clipSchedules, templateId }
+     */
+    buildPlaylist(template, takes, inputs, name) {
+        const schedules = this.computeSchedule(template, inputs);
+        const segments = this.getSegments(template);
+
+        const missing = segments.filter(segment => !segment.optional && !takes[segment.id]);
+        if (missing.length > 0) {
+            throw new Error(`Still to record: ${missing.map(segment => segment.title).join(', ')}`);
+        }
+
+        const recorded = segments.filter(segment => takes[segment.id]);
+        const clipSchedules = {};
+        for (const segment of recorded) {
+            if (schedules[segment.id]) {
+                clipSchedules[takes[segment.id]] = schedules[segment.id];
+            }
+        }
+
+        return {
+            name: name || template.name,
+            description: template.description,
+            audioClipIds: recorded.map(segment => takes[segment.id]),
+            clipSchedules,
+            templateId: template.id
+        };
+    }
+
+    /**
+     * "today", "tomorrow" or "next-MM-DD" (the next time that day comes round, today included)
+     * @private
+     */
+    _resolveDateDefault(value, today) {
+        const base = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        if (value === 'tomorrow') return this._formatDate(this._addDays(base, 1));
+
+        const match = /^next-(\d{2})-(\d{2})$/.exec(value || '');
+        if (match) {
+            let date = new Date(base.getFullYear(), parseInt(match[1]) - 1, parseInt(match[2]));
+            if (date < base) date = new Date(base.getFullYear() + 1, parseInt(match[1]) - 1, parseInt(match[2]));
+            return this._formatDate(date);
+        }
+        return this._formatDate(base);
+    }
+
+    /**
+     * @private
+     */
+    _inputLabel(template, id) {
+        return template.inputs?.find(input => input.id === id)?.label || id;
+    }
+
+    /**
+     * @private
+     */
+    _parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return match ? new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])) : null;
+    }
+
+    /**
+     * @private
+     */
+    _addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD, the value format of date inputs
+     * @private
+     */
+    _formatDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+}
+
+export const templateService = new TemplateService();
@@ -0,0 +1,297 @@
+// js/services/transcodeService.js
+// Converts recorded and uploaded clips to a codec every player device can decode.
+// WebCodecs does the encoding where the browser supports the codec. Opus falls back
+// to libopus compiled to WebAssembly (libav.js). There is no such encoder for AAC:
+// a browser that cannot encode it stops with an error rather than picking another format.
+
+import { Muxer as Mp4Muxer, ArrayBufferTarget as Mp4Target } from 'https://unpkg.com/mp4-muxer@5.2.2/build/mp4-muxer.mjs';
+import { Muxer as WebmMuxer, ArrayBufferTarget as WebmTarget } from 'https://unpkg.com/webm-muxer@5.1.4/build/webm-muxer.mjs';
+import { log } from '../utils/log.js';
+import { audioProcessingService } from './audioProcessingService.js';
+
+// libav.js build holding only libopus and the WebM/Ogg muxers, about 1 MB, fetched on first use
+const LIBAV_URL = 'https://unpkg.com/@libav.js/variant-opus@6.10.9/dist/libav-opus.mjs';
+
+// Preferred default, see getDefaultFormat() for browsers that cannot encode it
+export const DEFAULT_AUDIO_FORMAT = 'aac';
+
+export const AUDIO_FORMATS = {
+    aac: {
+        label: 'AAC (plays on every device)',
+        codec: 'mp4a.40.2',
+        mimeType: 'audio/mp4',
+        sampleRate: 48000,
+        bitrate: 96000,
+        fallbackEncoder: null
+    },
+    opus: {
+        label: 'Opus (smaller, recent devices only)',
+        codec: 'opus',
+        mimeType: 'audio/webm;codecs=opus',
+        sampleRate: 48000,
+        bitrate: 64000,
+        fallbackEncoder: 'libopus'
+    },
+    original: {
+        label: 'Keep original'
+    }
+};
+
+const FRAMES_PER_CHUNK = 4096;
+
+// libav.js channel layout masks
+const CHANNEL_LAYOUTS = { 1: 0x4, 2: 0x3 };
+
+// Opus frames handed to libav.js per call, about a second of audio between abort checks
+const LIBAV_FRAMES_PER_BATCH = 50;
+
+export class TranscodeService {
+    constructor() {
+        this.libavModule = null;
+    }
+
+    /**
+     * Check whether clips can be converted to a format in this browser
+     * @param {string} format - Key of AUDIO_FORMATS
+     * @returns {Promise<boolean>}
+     */
+    async isFormatSupported(format) {
+        const target = AUDIO_FORMATS[format];
+        if (!target || format === 'original' || target.fallbackEncoder) return true;
+        // Mono checks the codec, stereo support never differs from it in practice
+        return this._canEncode(target, 1);
+    }
+
+    /**
+     * Format used until one is chosen: AAC plays on every device, Opus is encoded
+     * with its WebAssembly fallback where the browser has no AAC encoder (e.g. Firefox)
+     * @returns {Promise<string>}
+     */
+    async getDefaultFormat() {
+        return await this.isFormatSupported(DEFAULT_AUDIO_FORMAT) ? DEFAULT_AUDIO_FORMAT : 'opus';
+    }
+
+    /**
+     * Transcodes an audio blob to the configured format
+     * @param {Blob} blob - Source audio (recording or upload)
+     * @param {Object} options
+     * @param {string} options.format - Key of AUDIO_FORMATS
+     * @param {AbortSignal} options.signal - Stops between encoded chunks
+     * @param {number} options.gainDb - Loudness gain baked into the output
+     * @param {AudioBuffer} options.decoded - Already decoded source, saves decoding twice
+     * @returns {Promise<Object>} - { blob, mimeType, encoder }
+     * @throws {Error} When the browser has no encoder for the format
+     */
+    async transcode(blob, { format = DEFAULT_AUDIO_FORMAT, signal, gainDb = 0, decoded = null } = {}) {
+        const target = AUDIO_FORMATS[format];
+        if (!target || format === 'original') {
+            return { blob, mimeType: blob.type || 'audio/webm', encoder: 'none' };
+        }
+
+        // Already in the target container (browser recordings are WebM/Opus), nothing to gain
+        if (!gainDb && this._baseType(blob.type) === this._baseType(target.mimeType)) {
+            return { blob, mimeType: blob.type, encoder: 'none' };
+        }
+
+        try {
+            decoded = decoded || await audioProcessingService.decode(blob);
+        } catch (error) {
+            // The browser cannot read it either, so there is nothing to convert from
+            log(`Could not decode clip for transcoding, keeping original: ${error.message}`, 'warning');
+            return { blob, mimeType: blob.type || 'audio/webm', encoder: 'none' };
+        }
+        signal?.throwIfAborted();
+
+        const channels = Math.min(decoded.numberOfChannels, 2);
+
+        if (await this._canEncode(target, channels)) {
+            const rendered = await audioProcessingService.renderRange(decoded, 0, decoded.duration, {
+                sampleRate: target.sampleRate,
+                channels,
+                gainDb
+            });
+            signal?.throwIfAborted();
+            const data = await this._encodeWithWebCodecs(rendered, target, signal);
+            return { blob: new Blob([data], { type: target.mimeType }), mimeType: target.mimeType, encoder: 'webcodecs' };
+        }
+
+        if (!target.fallbackEncoder) {
+            throw new Error(`This browser cannot encode ${target.label}. Choose another format, or finalize in a browser that can (e.g. Chrome).`);
+        }
+
+        const rendered = await audioProcessingService.renderRange(decoded, 0, decoded.duration, {
+            sampleRate: target.sampleRate,
+            channels,
+            gainDb
+        });
+        signal?.throwIfAborted();
+        const data = await this._encodeWithLibav(rendered, target, signal);
+        return { blob: new Blob([data], { type: target.mimeType }), mimeType: target.mimeType, encoder: 'libav' };
+    }
+
+    /**
+     * @private
+     */
+    _baseType(mimeType = '') {
+        return mimeType.split(';')[0].trim().toLowerCase();
+    }
+
+    /**
+     * @private
+     */
+    async _canEncode(target, channels) {
+        if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') {
+            return false;
+        }
+        try {
+            const { supported } = await AudioEncoder.isConfigSupported(this._encoderConfig(target, channels));
+            return supported;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _encoderConfig(target, channels) {
+        return {
+            codec: target.codec,
+            sampleRate: target.sampleRate,
+            numberOfChannels: channels,
+            bitrate: target.bitrate
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _encodeWithWebCodecs(buffer, target, signal) {
+        const channels = buffer.numberOfChannels;
+        const sampleRate = buffer.sampleRate;
+        const isMp4 = this._baseType(target.mimeType) === 'audio/mp4';
+
+        const muxer = isMp4
+            ? new Mp4Muxer({
+                target: new Mp4Target(),
+                audio: { codec: 'aac', numberOfChannels: channels, sampleRate },
+                fastStart: 'in-memory'
+            })
+            : new WebmMuxer({
+                target: new WebmTarget(),
+                audio: { codec: 'A_OPUS', numberOfChannels: channels, sampleRate }
+            });
+
+        let encoderError = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+            error: (error) => { encoderError = error; }
+        });
+        encoder.configure(this._encoderConfig(target, channels));
+
+        try {
+            for (let offset = 0; offset < buffer.length; offset += FRAMES_PER_CHUNK) {
+                signal?.throwIfAborted();
+                if (encoderError) throw encoderError;
+
+                const frames = Math.min(FRAMES_PER_CHUNK, buffer.length - offset);
+                const planar = new Float32Array(frames * channels);
+                for (let channel = 0; channel < channels; channel++) {
+                    planar.set(buffer.getChannelData(channel).subarray(offset, offset + frames), channel * frames);
+                }
+
+                const audioData = new AudioData({
+                    format: 'f32-planar',
+                    sampleRate,
+                    numberOfFrames: frames,
+                    numberOfChannels: channels,
+                    timestamp: Math.round((offset / sampleRate) * 1e6),
+                    data: planar
+                });
+                encoder.encode(audioData);
+                audioData.close();
+            }
+
+            await encoder.flush();
+            if (encoderError) throw encoderError;
+        } finally {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+
+        muxer.finalize();
+        return muxer.target.buffer;
+    }
+
+    /**
+     * Encodes with libav.js, for browsers without a WebCodecs encoder for the codec
+     * @private
+     */
+    async _encodeWithLibav(buffer, target, signal) {
+        if (!this.libavModule) {
+            this.libavModule = (await import(LIBAV_URL)).default;
+        }
+        // A worker cannot be started from the CDN origin, so libav.js runs on this thread like the rest of transcoding
+        const libav = await this.libavModule.LibAV({ noworker: true });
+
+        const channels = buffer.numberOfChannels;
+        const sampleRate = buffer.sampleRate;
+        const channelLayout = CHANNEL_LAYOUTS[channels];
+        const fileName = `transcode-${Date.now()}.webm`;
+
+        try {
+            const [, context, frame, packet, frameSize] = await libav.ff_init_encoder(target.fallbackEncoder, {
+                ctx: {
+                    bit_rate: target.bitrate,
+                    sample_fmt: libav.AV_SAMPLE_FMT_FLT,
+                    sample_rate: sampleRate,
+                    channel_layout: channelLayout
+                },
+                time_base: [1, sampleRate]
+            });
+            const [formatContext, , io] = await libav.ff_init_muxer(
+                { filename: fileName, format_name: 'webm', open: true },
+                [[context, 1, sampleRate]]
+            );
+            await libav.avformat_write_header(formatContext, 0);
+
+            const batchLength = frameSize * LIBAV_FRAMES_PER_BATCH;
+            for (let start = 0; start < buffer.length; start += batchLength) {
+                signal?.throwIfAborted();
+
+                const frames = [];
+                const end = Math.min(start + batchLength, buffer.length);
+                for (let offset = start; offset < end; offset += frameSize) {
+                    const frameLength = Math.min(frameSize, end - offset);
+                    // libopus takes interleaved samples
+                    const interleaved = new Float32Array(frameLength * channels);
+                    for (let channel = 0; channel < channels; channel++) {
+                        const data = buffer.getChannelData(channel);
+                        for (let i = 0; i < frameLength; i++) {
+                            interleaved[i * channels + channel] = data[offset + i];
+                        }
+                    }
+                    frames.push({
+                        data: interleaved,
+                        format: libav.AV_SAMPLE_FMT_FLT,
+                        channel_layout: channelLayout,
+                        sample_rate: sampleRate,
+                        nb_samples: frameLength,
+                        pts: offset
+                    });
+                }
+
+                const packets = await libav.ff_encode_multi(context, frame, packet, frames, end === buffer.length);
+                await libav.ff_write_multi(formatContext, packet, packets);
+            }
+
+            await libav.av_write_trailer(formatContext);
+            await libav.ff_free_muxer(formatContext, io);
+            await libav.ff_free_encoder(context, frame, packet);
+            const data = await libav.readFile(fileName);
+            await libav.unlink(fileName);
+            return data;
+        } finally {
+            libav.terminate();
+        }
+    }
+}
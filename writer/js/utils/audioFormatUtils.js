@@ -0,0 +1,381 @@
+// js/utils/audioFormatUtils.js
+// Format detection from file contents and tag reading for imported audio.
+// File names and MIME strings from the OS are often wrong (".mp3" that is really
+// AAC, "audio/x-m4a", empty types on Android), so the first bytes are what count.
+
+export const AUDIO_CONTAINERS = {
+    mp3: { label: 'MP3', mimeType: 'audio/mpeg' },
+    aac: { label: 'AAC', mimeType: 'audio/aac' },
+    mp4: { label: 'MP4/M4A', mimeType: 'audio/mp4' },
+    ogg: { label: 'Ogg Vorbis', mimeType: 'audio/ogg' },
+    opus: { label: 'Ogg Opus', mimeType: 'audio/ogg; codecs=opus' },
+    flac: { label: 'FLAC', mimeType: 'audio/flac' },
+    wav: { label: 'WAV', mimeType: 'audio/wav' },
+    aiff: { label: 'AIFF', mimeType: 'audio/aiff' },
+    webm: { label: 'WebM', mimeType: 'audio/webm' }
+};
+
+const SNIFF_BYTES = 64;
+// Ogg comment packets with cover art can span many pages, stop looking after this
+const OGG_TAG_READ_LIMIT = 4 * 1024 * 1024;
+
+/**
+ * Detect the real container of an audio file from its first bytes
+ * @param {File|Blob} file
+ * @returns {Promise<Object|null>} - { format, mimeType, label, id3Size } or null when not audio
+ */
+export async function sniffAudioFormat(file) {
+    let bytes = await readBytes(file, 0, SNIFF_BYTES);
+    let id3Size = 0;
+
+    // An ID3v2 tag can precede MP3, AAC and even FLAC streams, look behind it
+    if (ascii(bytes, 0, 3) === 'ID3') {
+        id3Size = 10 + syncsafe(bytes, 6) + (bytes[5] & 0x10 ? 10 : 0);
+        bytes = await readBytes(file, id3Size, id3Size + SNIFF_BYTES);
+    }
+
+    const format = detectContainer(bytes) || (id3Size ? 'mp3' : null);
+    if (!format) return null;
+    return { format, ...AUDIO_CONTAINERS[format], id3Size };
+}
+
+/**
+ * @param {Uint8Array} bytes - Start of the stream
+ * @returns {string|null} - Key of AUDIO_CONTAINERS
+ */
+function detectContainer(bytes) {
+    if (ascii(bytes, 0, 4) === 'fLaC') return 'flac';
+    if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WAVE') return 'wav';
+    if (ascii(bytes, 0, 4) === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(bytes, 8, 4))) return 'aiff';
+    if (ascii(bytes, 4, 4) === 'ftyp') return 'mp4';
+    if (bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) return 'webm';
+    if (ascii(bytes, 0, 4) === 'OggS') {
+        return ascii(bytes, 28, 8) === 'OpusHead' ? 'opus' : 'ogg';
+    }
+    // Frame sync: ADTS (AAC) has layer bits 00, MPEG audio layers use the others
+    if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0) {
+        return (bytes[1] & 0x06) === 0 ? 'aac' : 'mp3';
+    }
+    return null;
+}
+
+/**
+ * Read title, artist, album, duration and cover art from ID3v2, MP4 or Vorbis comment tags
+ * @param {File|Blob} file
+ * @param {Object} sniffed - Result of sniffAudioFormat
+ * @returns {Promise<Object>} - { title, artist, album, duration, artwork }, fields missing when not tagged
+ */
+export async function readAudioTags(file, sniffed) {
+    const tags = sniffed.id3Size ? await readId3(file, sniffed.id3Size) : {};
+
+    switch (sniffed.format) {
+        case 'mp4':
+            return { ...tags, ...await readMp4Tags(file) };
+        case 'flac':
+            return { ...tags, ...await readFlacTags(file, sniffed.id3Size) };
+        case 'ogg':
+        case 'opus':
+            return { ...tags, ...await readOggTags(file) };
+        default:
+            return tags;
+    }
+}
+
+// ID3v2.2 to 2.4. Frame IDs are three characters in 2.2, four afterwards.
+async function readId3(file, tagSize) {
+    const bytes = await readBytes(file, 0, tagSize);
+    const version = bytes[3];
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    const names = version === 2
+        ? { TT2: 'title', TP1: 'artist', TAL: 'album', TLE: 'length', PIC: 'picture' }
+        : { TIT2: 'title', TPE1: 'artist', TALB: 'album', TLEN: 'length', APIC: 'picture' };
+
+    let offset = 10;
+    if (bytes[5] & 0x40) {
+        // Extended header: syncsafe size including itself in 2.4, plain size excluding itself in 2.3
+        offset += version === 4 ? syncsafe(bytes, offset) : 4 + uint32(bytes, offset);
+    }
+
+    const tags = {};
+    while (offset + headerLength <= bytes.length) {
+        const id = ascii(bytes, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+        const size = version === 2
+            ? (bytes[offset + 3] << 16) | (bytes[offset + 4] << 8) | bytes[offset + 5]
+            : version === 4 ? syncsafe(bytes, offset + 4) : uint32(bytes, offset + 4);
+        const frame = bytes.subarray(offset + headerLength, offset + headerLength + size);
+        offset += headerLength + size;
+
+        const name = names[id];
+        if (!name || frame.length === 0) continue;
+
+        if (name === 'picture') {
+            tags.artwork = tags.artwork || parseId3Picture(frame, version);
+        } else if (name === 'length') {
+            const ms = parseInt(decodeId3Text(frame));
+            if (ms > 0) tags.duration = ms / 1000;
+        } else {
+            tags[name] = decodeId3Text(frame);
+        }
+    }
+    return tags;
+}
+
+function decodeId3Text(frame) {
+    return decodeText(frame.subarray(1), frame[0]).replace(/\0+$/, '').split('\0')[0].trim();
+}
+
+function parseId3Picture(frame, version) {
+    const encoding = frame[0];
+    let offset = 1;
+    let mimeType;
+
+    if (version === 2) {
+        const imageFormat = ascii(frame, 1, 3).toLowerCase();
+        mimeType = imageFormat === 'png' ? 'image/png' : 'image/jpeg';
+        offset = 4;
+    } else {
+        const mimeEnd = frame.indexOf(0, offset);
+        if (mimeEnd === -1) return null;
+        mimeType = ascii(frame, offset, mimeEnd - offset) || 'image/jpeg';
+        offset = mimeEnd + 1;
+    }
+    offset += 1; // Picture type
+
+    // The description ends with a one or two byte terminator depending on its encoding
+    const wide = encoding === 1 || encoding === 2;
+    while (offset < frame.length) {
+        if (!wide && frame[offset] === 0) { offset += 1; break; }
+        if (wide && frame[offset] === 0 && frame[offset + 1] === 0) { offset += 2; break; }
+        offset += wide ? 2 : 1;
+    }
+
+    const data = frame.subarray(offset);
+    return data.length ? new Blob([data], { type: mimeType.includes('/') ? mimeType : `image/${mimeType}` }) : null;
+}
+
+// MP4: duration from moov/mvhd, tags from moov/udta/meta/ilst
+async function readMp4Tags(file) {
+    const moov = await findTopLevelBox(file, 'moov');
+    if (!moov) return {};
+
+    const tags = {};
+    const mvhd = findBox(moov, 'mvhd');
+    if (mvhd) {
+        const version = mvhd[0];
+        const timescale = uint32(mvhd, version === 1 ? 20 : 12);
+        const duration = version === 1
+            ? uint32(mvhd, 24) * 2 ** 32 + uint32(mvhd, 28)
+            : uint32(mvhd, 16);
+        if (timescale) tags.duration = duration / timescale;
+    }
+
+    const udta = findBox(moov, 'udta');
+    const meta = udta && findBox(udta, 'meta');
+    // meta is a full box, its children start after version and flags
+    const ilst = meta && findBox(meta.subarray(4), 'ilst');
+    if (!ilst) return tags;
+
+    const items = { '©nam': 'title', '©ART': 'artist', '©alb': 'album', 'covr': 'artwork' };
+    for (const [type, item] of walkBoxes(ilst)) {
+        const name = items[type];
+        const data = name && findBox(item, 'data');
+        if (!data) continue;
+
+        // data box: type indicator (1 = UTF-8, 13 = JPEG, 14 = PNG), locale, then the value
+        const dataType = uint32(data, 0) & 0xFFFFFF;
+        const value = data.subarray(8);
+        if (name === 'artwork') {
+            tags.artwork = new Blob([value], { type: dataType === 14 ? 'image/png' : 'image/jpeg' });
+        } else {
+            tags[name] = new TextDecoder().decode(value).trim();
+        }
+    }
+    return tags;
+}
+
+// Only the box headers are read until the wanted box is found, the media data can be huge
+async function findTopLevelBox(file, wanted) {
+    let offset = 0;
+    while (offset + 8 <= file.size) {
+        const header = await readBytes(file, offset, offset + 16);
+        let size = uint32(header, 0);
+        const type = ascii(header, 4, 4);
+        let headerSize = 8;
+
+        if (size === 1) {
+            size = uint32(header, 8) * 2 ** 32 + uint32(header, 12);
+            headerSize = 16;
+        } else if (size === 0) {
+            size = file.size - offset;
+        }
+        if (size < headerSize) return null;
+
+        if (type === wanted) {
+            return readBytes(file, offset + headerSize, offset + size);
+        }
+        offset += size;
+    }
+    return null;
+}
+
+function* walkBoxes(bytes) {
+    let offset = 0;
+    while (offset + 8 <= bytes.length) {
+        const size = uint32(bytes, offset);
+        if (size < 8 || offset + size > bytes.length) return;
+        yield [ascii(bytes, offset + 4, 4), bytes.subarray(offset + 8, offset + size)];
+        offset += size;
+    }
+}
+
+function findBox(bytes, wanted) {
+    for (const [type, body] of walkBoxes(bytes)) {
+        if (type === wanted) return body;
+    }
+    return null;
+}
+
+// FLAC: STREAMINFO for duration, VORBIS_COMMENT and PICTURE blocks for tags
+async function readFlacTags(file, start = 0) {
+    const tags = {};
+    let offset = start + 4;
+    let isLast = false;
+
+    while (!isLast && offset + 4 <= file.size) {
+        const header = await readBytes(file, offset, offset + 4);
+        isLast = (header[0] & 0x80) !== 0;
+        const type = header[0] & 0x7F;
+        const length = (header[1] << 16) | (header[2] << 8) | header[3];
+        offset += 4;
+
+        if (type === 0 || type === 4 || type === 6) {
+            const block = await readBytes(file, offset, offset + length);
+            if (type === 0) {
+                // 20 bits sample rate, 3 channels, 5 bits per sample, 36 bits total samples
+                const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+                const totalSamples = (block[13] & 0x0F) * 2 ** 32 + uint32(block, 14);
+                if (sampleRate && totalSamples) tags.duration = totalSamples / sampleRate;
+            } else if (type === 4) {
+                Object.assign(tags, parseVorbisComment(block));
+            } else if (!tags.artwork) {
+                tags.artwork = parseFlacPicture(block);
+            }
+        }
+        offset += length;
+    }
+    return tags;
+}
+
+// Ogg: the comment header is the second packet of the first logical stream
+async function readOggTags(file) {
+    const bytes = await readBytes(file, 0, Math.min(file.size, OGG_TAG_READ_LIMIT));
+    const packets = [];
+    let current = [];
+    let offset = 0;
+
+    while (packets.length < 2 && offset + 27 <= bytes.length && ascii(bytes, offset, 4) === 'OggS') {
+        const segmentCount = bytes[offset + 26];
+        const lacing = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+        let dataOffset = offset + 27 + segmentCount;
+
+        for (const length of lacing) {
+            current.push(bytes.subarray(dataOffset, dataOffset + length));
+            dataOffset += length;
+            // A segment shorter than 255 bytes ends the packet
+            if (length < 255) {
+                packets.push(concatBytes(current));
+                current = [];
+                if (packets.length === 2) break;
+            }
+        }
+        offset = dataOffset;
+    }
+
+    const comment = packets[1];
+    if (!comment) return {};
+    if (ascii(comment, 0, 8) === 'OpusTags') return parseVorbisComment(comment.subarray(8));
+    if (comment[0] === 3 && ascii(comment, 1, 6) === 'vorbis') return parseVorbisComment(comment.subarray(7));
+    return {};
+}
+
+function parseVorbisComment(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    const names = { TITLE: 'title', ARTIST: 'artist', ALBUM: 'album' };
+    const tags = {};
+
+    let offset = 4 + view.getUint32(0, true); // Vendor string
+    const count = view.getUint32(offset, true);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = view.getUint32(offset, true);
+        const entry = decoder.decode(bytes.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+
+        const separator = entry.indexOf('=');
+        const key = entry.slice(0, separator).toUpperCase();
+        const value = entry.slice(separator + 1);
+
+        if (names[key] && !tags[names[key]]) {
+            tags[names[key]] = value.trim();
+        } else if (key === 'METADATA_BLOCK_PICTURE' && !tags.artwork) {
+            try {
+                tags.artwork = parseFlacPicture(Uint8Array.from(atob(value), c => c.charCodeAt(0)));
+            } catch {
+                // Broken base64, the clip imports without artwork
+            }
+        }
+    }
+    return tags;
+}
+
+function parseFlacPicture(block) {
+    let offset = 4; // Picture type
+    const mimeLength = uint32(block, offset);
+    const mimeType = ascii(block, offset + 4, mimeLength);
+    offset += 4 + mimeLength;
+    offset += 4 + uint32(block, offset); // Description
+    offset += 16; // Width, height, colour depth, palette size
+    const dataLength = uint32(block, offset);
+    const data = block.subarray(offset + 4, offset + 4 + dataLength);
+    return data.length ? new Blob([data], { type: mimeType || 'image/jpeg' }) : null;
+}
+
+async function readBytes(file, start, end) {
+    return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+function decodeText(bytes, encoding) {
+    switch (encoding) {
+        case 1: return new TextDecoder('utf-16').decode(bytes);
+        case 2: return new TextDecoder('utf-16be').decode(bytes);
+        case 3: return new TextDecoder('utf-8').decode(bytes);
+        default: return new TextDecoder('iso-8859-1').decode(bytes);
+    }
+}
+
+function ascii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function uint32(bytes, offset) {
+    return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+}
+
+function syncsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+}
@@ -21,16 +21,6 @@ export function formatDuration(seconds) {
     }
 }
 
-/**
- * Validate audio file type
- * @param {File} file - File to validate
- * @returns {boolean} True if valid audio file
- */
-export function isValidAudioFile(file) {
-    const validTypes = ['audio/mp3', 'audio/wav', 'audio/ogg', 'audio/webm', 'audio/m4a'];
-    return file && validTypes.some(type => file.type.includes(type.split('/')[1]));
-}
-
 /**
  * Get audio duration from file
  * @param {File|Blob} audioBlob - Audio file/blob
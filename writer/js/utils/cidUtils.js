@@ -0,0 +1,44 @@
+// js/utils/cidUtils.js
+// Minimal CID helpers. Enough to derive the CIDv1 of a single raw block
+// without pulling a full IPFS implementation into the writer.
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Encode bytes as RFC 4648 base32 (lowercase, no padding)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Compute the CIDv1 (raw codec, sha2-256) of some bytes.
+ * Matches what Kubo returns for small files added with cid-version=1.
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {Promise<string>} Multibase base32 CID ("bafkrei...")
+ */
+export async function computeRawCid(data) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    // version 1, raw codec (0x55), sha2-256 multihash (0x12) of 32 bytes (0x20)
+    const cidBytes = new Uint8Array([0x01, 0x55, 0x12, 0x20, ...digest]);
+    return 'b' + base32Encode(cidBytes);
+}
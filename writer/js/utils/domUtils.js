@@ -68,4 +68,21 @@ export function createEmptyState(message, icon = '📭') {
         <p>${message}</p>
     `;
     return div;
-}
\ No newline at end of file
+}
+
+/**
+ * Save a blob through the browser's download prompt
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
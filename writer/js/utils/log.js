@@ -3,6 +3,9 @@
 import { eventBus } from '../services/eventBus.js';
 
 export function log(message, type = 'info') {
+    // Services are also loaded in Web Workers, where there is no log panel
+    if (typeof document === 'undefined') return;
+
     const timestamp = new Date().toLocaleTimeString();
     const logOutput = document.getElementById('logOutput');
     if (!logOutput) return;
@@ -0,0 +1,63 @@
+// js/utils/ndefUtils.js
+// Size of the NDEF message a tag URL turns into, so an oversized URL is caught
+// before the write instead of failing half-way on the stone.
+
+// NFC Forum URI record prefixes. The browser stores the matching prefix as one byte.
+const URI_PREFIXES = [
+    '', 'http://www.', 'https://www.', 'http://', 'https://', 'tel:', 'mailto:',
+    'ftp://anonymous:anonymous@', 'ftp://ftp.', 'ftps://', 'sftp://', 'smb://', 'nfs://',
+    'ftp://', 'dav://', 'news:', 'telnet://', 'imap:', 'rtsp://', 'urn:', 'pop:', 'sip:',
+    'sips:', 'tftp:', 'btspp://', 'btl2cap://', 'btgoep://', 'tcpobex://', 'irdaobex://',
+    'file://', 'urn:epc:id:', 'urn:epc:tag:', 'urn:epc:pat:', 'urn:epc:raw:', 'urn:epc:', 'urn:nfc:'
+];
+
+// Usable NDEF bytes per chip. Web NFC does not report a tag's capacity,
+// so the writer asks which chip the Pebbble uses.
+export const TAG_TYPES = {
+    ntag213: { label: 'NTAG213', capacity: 137 },
+    ntag215: { label: 'NTAG215', capacity: 496 },
+    ntag216: { label: 'NTAG216', capacity: 868 }
+};
+
+export const DEFAULT_TAG_TYPE = 'ntag213';
+
+/**
+ * Split a URL into its one-byte prefix code and the rest
+ * @param {string} url
+ * @returns {Object} - { code, prefix, rest }
+ */
+export function abbreviateUri(url) {
+    let code = 0;
+    // Longest match wins, "https://www." before "https://"
+    URI_PREFIXES.forEach((prefix, i) => {
+        if (prefix && url.startsWith(prefix) && prefix.length > URI_PREFIXES[code].length) {
+            code = i;
+        }
+    });
+    return { code, prefix: URI_PREFIXES[code], rest: url.slice(URI_PREFIXES[code].length) };
+}
+
+/**
+ * Bytes of an NDEF message holding a single URL record
+ * @param {string} url
+ * @returns {number}
+ */
+export function getNdefUrlMessageSize(url) {
+    const { rest } = abbreviateUri(url);
+    const payloadLength = 1 + new TextEncoder().encode(rest).length;
+    // Header, type length, payload length (1 byte for short records, 4 otherwise), type "U"
+    const headerLength = 1 + 1 + (payloadLength < 256 ? 1 : 4) + 1;
+    return headerLength + payloadLength;
+}
+
+/**
+ * Check whether a URL fits on a tag type
+ * @param {string} url
+ * @param {string} tagType - Key of TAG_TYPES
+ * @returns {Object} - { size, capacity, fits, label }
+ */
+export function checkUrlFits(url, tagType = DEFAULT_TAG_TYPE) {
+    const { label, capacity } = TAG_TYPES[tagType] || TAG_TYPES[DEFAULT_TAG_TYPE];
+    const size = getNdefUrlMessageSize(url);
+    return { size, capacity, fits: size <= capacity, label };
+}
@@ -0,0 +1,91 @@
+// js/utils/qrUtils.js
+// QR codes for devices that cannot read the Pebbble over NFC (iPhones, desktops).
+//
+// A tag hands the player two things: the URL record and the tag serial, which is the
+// decryption salt. A QR code has no serial of its own, so it carries the serial in the
+// URL fragment: #playlistHash=...&serial=042DB71AE71C90, or #1.Qm...&serial=... for
+// compact URLs. The fragment never leaves the browser, and the player removes the
+// serial from the address bar once it has read it.
+// This also means a QR code unlocks the pebbble for anyone who sees it.
+
+import { encode } from 'https://unpkg.com/uqr@0.1.2/dist/index.mjs';
+import { normalizeSerial } from './validationUtils.js';
+
+// Quiet zone around the code, in modules, as the QR spec asks for
+const QR_BORDER = 4;
+
+/**
+ * Add the tag serial to a player URL
+ * @param {string} url - NFC URL as written to the tag
+ * @param {string} serial - Tag serial in any common notation
+ * @returns {string} URL to encode in the QR code
+ * @throws {Error} When the serial is not hex bytes, since the player could not derive the key
+ */
+export function buildQrPayload(url, serial) {
+    const normalized = normalizeSerial(serial);
+    if (!normalized) {
+        throw new Error(`Serial "${serial}" is not a tag serial, a QR code would not unlock this pebbble`);
+    }
+
+    // Appended as text: compact fragments ("#1.Qm...") are not key=value pairs.
+    // Plain hex keeps the code small, colons would be percent-encoded.
+    const target = new URL(url);
+    const fragment = target.hash.slice(1);
+    target.hash = `${fragment}${fragment ? '&' : ''}serial=${normalized.replace(/:/g, '')}`;
+    return target.toString();
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean[][]} Dark modules, quiet zone included
+ */
+function encodeModules(text) {
+    // Medium error correction survives a slightly creased print without growing the code much
+    return encode(text, { ecc: 'M', border: QR_BORDER }).data;
+}
+
+/**
+ * Render a QR code as an SVG string, it scales cleanly for print
+ * @param {string} text
+ * @returns {string}
+ */
+export function renderQrSvg(text) {
+    const modules = encodeModules(text);
+    const size = modules.length;
+    let path = '';
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path += `M${x} ${y}h1v1h-1z`;
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+        `<rect width="${size}" height="${size}" fill="#ffffff"/>` +
+        `<path d="${path}" fill="#000000"/></svg>`;
+}
+
+/**
+ * Render a QR code as a PNG image
+ * @param {string} text
+ * @param {number} moduleSize - Pixels per module
+ * @returns {Promise<Blob>}
+ */
+export function renderQrPng(text, moduleSize = 12) {
+    const modules = encodeModules(text);
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = modules.length * moduleSize;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#000000';
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) ctx.fillRect(x * moduleSize, y * moduleSize, moduleSize, moduleSize);
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create QR image')), 'image/png');
+    });
+}
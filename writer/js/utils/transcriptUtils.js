@@ -0,0 +1,58 @@
+// js/utils/transcriptUtils.js
+
+/**
+ * Parse a WebVTT timestamp into seconds
+ * @param {string} value - Timestamp ("01:02.500" or "01:02:03.250")
+ * @returns {number|null} Seconds, or null if the timestamp is malformed
+ */
+export function parseVttTimestamp(value) {
+    const match = /^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/.exec(value.trim());
+    if (!match) return null;
+    
+    const [, hours = '0', minutes, seconds, millis] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+/**
+ * Parse transcript text entered by the user.
+ * Text starting with a "WEBVTT" header is read as timed cues, anything else
+ * is kept as a plain transcript shown for the whole clip.
+ * @param {string} text - Raw transcript text
+ * @returns {Object} { isTimed, cues: [{ start, end, text }], errors }
+ */
+export function parseTranscript(text) {
+    const trimmed = text?.trim() || '';
+    
+    if (!trimmed.startsWith('WEBVTT')) {
+        return { isTimed: false, cues: [], errors: [] };
+    }
+    
+    const cues = [];
+    const errors = [];
+    const blocks = trimmed.replace(/\r\n?/g, '\n').split(/\n{2,}/).slice(1);
+    
+    blocks.forEach((block, index) => {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        
+        // NOTE/STYLE blocks and cues without timings are skipped
+        if (timingIndex === -1) return;
+        
+        const [startText, endText] = lines[timingIndex].split('-->');
+        const start = parseVttTimestamp(startText);
+        const end = parseVttTimestamp(endText.trim().split(/\s+/)[0]);
+        
+        if (start === null || end === null || end <= start) {
+            errors.push(`Cue ${index + 1} has invalid timings`);
+            return;
+        }
+        
+        cues.push({
+            start,
+            end,
+            text: lines.slice(timingIndex + 1).join('\n').trim()
+        });
+    });
+    
+    return { isTimed: true, cues, errors };
+}
@@ -10,9 +10,63 @@
 
 import { config } from '../../config.js';
 
+// Version of the compact URL format, the player refuses versions it does not know
+const COMPACT_URL_VERSION = 1;
+
 export const urlParser = {
-    createSecureNfcUrl({ playlistHash }) {
-        const baseUrl = config.FORCE_NFC_URL_BASE || (window.location.origin + window.location.pathname);
+    // Updatable pebbbles carry a pointer (IPNS name) instead of the manifest CID.
+    // baseUrl is the player chosen for this pebbble, config.js decides when it is not given.
+    // A compact request falls back to the standard form when it would not be shorter.
+    createSecureNfcUrl({ playlistHash, pointer, compact = false, baseUrl = null }) {
+        if (compact && this.isCompactShorter({ playlistHash, pointer, baseUrl })) {
+            return this.createCompactNfcUrl({ playlistHash, pointer, baseUrl });
+        }
+        baseUrl = baseUrl || this.getConfiguredBase();
+        if (pointer) {
+            return `${baseUrl}#pointer=${pointer}`;
+        }
         return `${baseUrl}#playlistHash=${playlistHash}`;
+    },
+
+    // Compact form for small tags: "<short base>#1.<id>". The id is the manifest CID as the
+    // provider returned it (a CIDv0 "Qm..." is shorter than any CIDv1 text) or an IPNS name
+    // ("k51..."), the player tells them apart by their prefix.
+    createCompactNfcUrl({ playlistHash, pointer, baseUrl = null }) {
+        const id = pointer || playlistHash;
+        return `${this.getCompactBase(baseUrl)}#${COMPACT_URL_VERSION}.${id}`;
+    },
+
+    // The compact option is only worth offering when it saves bytes on the tag
+    isCompactShorter({ playlistHash, pointer, baseUrl = null }) {
+        const standardBase = baseUrl || this.getConfiguredBase();
+        const standard = pointer ? `${standardBase}#pointer=${pointer}` : `${standardBase}#playlistHash=${playlistHash}`;
+        return this.createCompactNfcUrl({ playlistHash, pointer, baseUrl }).length < standard.length;
+    },
+
+    // COMPACT_NFC_URL_BASE only stands in for the config.js player, not for another chosen one
+    getCompactBase(baseUrl = null) {
+        const configuredBase = this.getConfiguredBase();
+        return baseUrl && baseUrl !== configuredBase
+            ? this.shortenBase(baseUrl)
+            : config.COMPACT_NFC_URL_BASE || this.shortenBase(configuredBase);
+    },
+
+    // Everything before the fragment, the base a tag URL was written with
+    getBase(url) {
+        return url.split('#')[0];
+    },
+
+    // Compact URLs have a "<version>." fragment instead of key=value pairs
+    isCompactUrl(url) {
+        return /#\d+\./.test(url);
+    },
+
+    getConfiguredBase() {
+        return config.FORCE_NFC_URL_BASE || (window.location.origin + window.location.pathname);
+    },
+
+    // "https://host/app/index.html" and "https://host/app/" load the same page
+    shortenBase(baseUrl) {
+        return baseUrl.replace(/\/index\.html?$/, '/');
     }
 };
\ No newline at end of file
@@ -61,6 +61,42 @@ export function validateCredentials(apiKey, secret) {
     return { valid: true };
 }
 
+/**
+ * Validate an optional availability window for a clip
+ * @param {string} availableFrom - Unlock date (YYYY-MM-DD) or empty
+ * @param {string} availableTo - Expiry date (YYYY-MM-DD) or empty
+ * @returns {Object} Validation result
+ */
+export function validateDateRange(availableFrom, availableTo) {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    
+    if (availableFrom && !datePattern.test(availableFrom)) {
+        return { valid: false, error: 'Unlock date must be in YYYY-MM-DD format' };
+    }
+    
+    if (availableTo && !datePattern.test(availableTo)) {
+        return { valid: false, error: 'Expiry date must be in YYYY-MM-DD format' };
+    }
+    
+    if (availableFrom && availableTo && availableFrom > availableTo) {
+        return { valid: false, error: 'Expiry date must be on or after the unlock date' };
+    }
+    
+    return { valid: true };
+}
+
+/**
+ * Bring a tag serial to one form, so scanned and typed serials compare equal.
+ * The serial is the decryption salt: only the bytes matter, not case or separators.
+ * @param {string} serial - e.g. "04:2d:b7:1a" or "042DB71A"
+ * @returns {string|null} Uppercase colon-separated hex, or null if it is not hex bytes
+ */
+export function normalizeSerial(serial) {
+    const hex = (serial || '').replace(/[\s:-]/g, '').toUpperCase();
+    if (!/^([0-9A-F]{2})+$/.test(hex)) return null;
+    return hex.match(/.{2}/g).join(':');
+}
+
 /**
  * Sanitize filename
  * @param {string} filename - Original filename
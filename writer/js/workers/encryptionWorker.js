@@ -0,0 +1,34 @@
+// js/workers/encryptionWorker.js
+// Derives the clip key and encrypts audio (and transcript) off the main thread.
+// Uses EncryptionService so the PBKDF2/AES-GCM parameters stay in one place.
+
+import { EncryptionService } from '../services/encryptionService.js';
+
+const encryptionService = new EncryptionService();
+
+self.onmessage = async (event) => {
+    const { id, serial, timestamp, audio, transcript } = event.data;
+
+    try {
+        const key = await encryptionService.deriveEncryptionKey(serial, timestamp);
+        const encryptedAudio = await encryptionService.encryptDataToBinary(audio, key);
+
+        let encryptedTranscript = null;
+        if (transcript) {
+            const transcriptBytes = new TextEncoder().encode(transcript);
+            encryptedTranscript = encryptionService.binToBase64(
+                await encryptionService.encryptDataToBinary(transcriptBytes, key)
+            );
+        }
+
+        self.postMessage({
+            id,
+            encryptedAudio: encryptionService.binToBase64(encryptedAudio),
+            encryptedTranscript,
+            originalSize: audio.byteLength,
+            encryptedSize: encryptedAudio.length
+        });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};